@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One connection per database, shared by the server and every service and
+// route module. Models are compiled on these connections so the whole app
+// runs on a single pool per database. They only connect once connectDatabases()
+// is called (server.js does at startup), so modules can be loaded without a
+// database, e.g. by the tests.
+const OPTIONS = {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+};
+
+// PDF Database
+const pdfDB = mongoose.createConnection();
+pdfDB.on('connected', () => console.log('✅ Connected to PDF Database'));
+pdfDB.on('error', (err) => console.error('❌ PDF DB connection error:', err));
+
+// User Database
+const userDB = mongoose.createConnection();
+userDB.on('connected', () => console.log('✅ Connected to User Database'));
+userDB.on('error', (err) => console.error('❌ User DB connection error:', err));
+
+// Open both connections. Failures are reported through the 'error' handlers above;
+// queries wait (buffer) until a connection is up.
+function connectDatabases() {
+  pdfDB.openUri(process.env.PDF_DB_URI, OPTIONS).catch(() => {});
+  userDB.openUri(process.env.USER_DB_URI, OPTIONS).catch(() => {});
+}
+
+module.exports = { pdfDB, userDB, connectDatabases };
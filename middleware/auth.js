@@ -1,4 +1,5 @@
 const { Types } = require('mongoose');
+const { hasRole } = require('../utils/roles');
 
 // Middleware to check if user is authenticated
 exports.requireAuth = (req, res, next) => {
@@ -8,6 +9,17 @@ exports.requireAuth = (req, res, next) => {
   next();
 };
 
+// Middleware to check that the user has a role (utils/roles.js) or a higher one
+exports.requireRole = (role) => (req, res, next) => {
+  if (!req.session.user) {
+    return res.status(401).json({ success: false, message: 'Unauthorized' });
+  }
+  if (!hasRole(req.session.user, role)) {
+    return res.status(403).json({ success: false, message: 'Not authorized to perform this action' });
+  }
+  next();
+};
+
 // Middleware to validate ObjectId
 exports.validateObjectId = (req, res, next) => {
   const { id } = req.params;
@@ -17,7 +29,26 @@ exports.validateObjectId = (req, res, next) => {
   next();
 };
 
-// Middleware to check if user is the owner of the resource
+// Whether the session user owns a document: a note by its `uploader`, anything else
+// (e.g. a collection) by its `owner`. Legacy notes without an uploader belong to nobody.
+exports.isOwner = (doc, user) => {
+  if (!doc || !user) return false;
+  const ownerId = doc.owner || (doc.uploader && (doc.uploader._id || doc.uploader));
+  return Boolean(ownerId) && ownerId.toString() === String(user.id);
+};
+
+// Whether the session user may manage a document: its owner, or any admin
+exports.canManage = (doc, user) => {
+  return Boolean(doc) && (exports.isOwner(doc, user) || hasRole(user, 'admin'));
+};
+
+// Whether the session user may open a note or collection: private ones are for their
+// owner (and admins) only
+exports.canView = (doc, user) => {
+  return Boolean(doc) && (doc.visibility !== 'private' || exports.canManage(doc, user));
+};
+
+// Middleware to check if user is the owner of the resource (or an admin)
 exports.checkOwnership = (model) => async (req, res, next) => {
   try {
     const doc = await model.findById(req.params.id);
@@ -25,11 +56,7 @@ exports.checkOwnership = (model) => async (req, res, next) => {
       return res.status(404).json({ success: false, message: 'Resource not found' });
     }
     
-    // Check if the uploader is a string (legacy) or ObjectId
-    const isOwner = doc.uploader.toString() === req.session.user.id || 
-                   (doc.uploaderName && doc.uploaderName === req.session.user.username);
-                   
-    if (!isOwner) {
+    if (!exports.canManage(doc, req.session.user)) {
       return res.status(403).json({ success: false, message: 'Not authorized to perform this action' });
     }
     
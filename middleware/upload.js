@@ -0,0 +1,39 @@
+const fs = require('fs');
+const multer = require('multer');
+const { MAX_UPLOAD_BYTES, TMP_DIR, removeTempFile } = require('../utils/uploads');
+const { apiResponse } = require('../utils/helpers');
+
+// Multipart uploads are spooled to disk (never held in memory) and capped at MAX_UPLOAD_MB
+fs.mkdirSync(TMP_DIR, { recursive: true });
+const upload = multer({
+  storage: multer.diskStorage({ destination: TMP_DIR }),
+  limits: { fileSize: MAX_UPLOAD_BYTES },
+});
+
+// Answer multer errors as JSON and delete the spooled files once the response is done
+function handleUpload(middleware) {
+  return (req, res, next) => {
+    middleware(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+        return apiResponse(res, {
+          success: false,
+          status: tooLarge ? 413 : 400,
+          message: tooLarge
+            ? `File is too large (max ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB)`
+            : err.message,
+        });
+      }
+      if (err) return next(err);
+      const files = req.file ? [req.file] : (req.files || []);
+      if (files.length) res.on('close', () => files.forEach(file => removeTempFile(file.path)));
+      next();
+    });
+  };
+}
+
+// Accept a single file field
+exports.singleFile = (field) => handleUpload(upload.single(field));
+
+// Accept up to `maxCount` files in one field (bulk uploads)
+exports.multipleFiles = (field, maxCount) => handleUpload(upload.array(field, maxCount));
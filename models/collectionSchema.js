@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { VISIBILITIES, DEFAULT_VISIBILITY } = require('../utils/visibility');
+
+// Mongoose schema for a collection: a named, ordered list of notes put together by
+// one user, mixing their own uploads and other people's
+const collectionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserLogin',
+    required: true,
+    index: true,
+  },
+  ownerName: {
+    type: String,
+    default: '',
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  visibility: {
+    type: String, // same levels as notes, see utils/visibility.js
+    enum: VISIBILITIES,
+    default: DEFAULT_VISIBILITY,
+  },
+  notes: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Note' }], // in display order
+    default: [],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+collectionSchema.index({ notes: 1 });
+
+module.exports = collectionSchema;
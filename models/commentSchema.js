@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Mongoose schema for a comment on a note (see services/commentService.js). Replies
+// point at their `parent` and at the top-level comment of their thread (`root`).
+const commentSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId, // null for a top-level comment
+    ref: 'Comment',
+    default: null,
+  },
+  root: {
+    type: mongoose.Schema.Types.ObjectId, // null for a top-level comment
+    ref: 'Comment',
+    default: null,
+  },
+  depth: {
+    type: Number, // 0 for a top-level comment
+    default: 0,
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserLogin',
+    default: null, // cleared when the account is deleted
+  },
+  authorName: {
+    type: String,
+    default: '',
+  },
+  body: {
+    type: String, // plain text, never rendered as HTML
+    default: '',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedAt: {
+    type: Date, // set when a comment with replies is deleted; it stays as a placeholder
+    default: null,
+  },
+});
+
+// Top-level comments of a note, newest first; the replies of a page of threads
+commentSchema.index({ note: 1, root: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ root: 1, createdAt: 1 });
+commentSchema.index({ author: 1 });
+
+module.exports = commentSchema;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Mongoose schema for one user following another (see services/followService.js);
+// one document per pair
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserLogin',
+    required: true,
+  },
+  followee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserLogin',
+    required: true,
+    index: true,
+  },
+  followedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+followSchema.index({ follower: 1, followee: 1 }, { unique: true });
+
+module.exports = followSchema;
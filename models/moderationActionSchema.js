@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { REPORT_REASONS, MODERATION_ACTIONS } = require('../utils/moderation');
+
+// Mongoose schema for a moderator's decision on a reported note (see
+// services/reportService.js). The note's title and uploader are copied in, so the
+// record outlives a deleted note.
+const moderationActionSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true,
+    index: true,
+  },
+  noteTitle: {
+    type: String,
+    default: '',
+  },
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserLogin',
+    default: null,
+  },
+  action: {
+    type: String,
+    enum: Object.keys(MODERATION_ACTIONS),
+    required: true,
+  },
+  reasons: {
+    type: [String], // the reasons of the reports it resolved, most frequent first
+    enum: Object.keys(REPORT_REASONS),
+    default: [],
+  },
+  reportCount: {
+    type: Number,
+    default: 0,
+  },
+  message: {
+    type: String, // the moderator's own note on the decision
+    trim: true,
+    maxlength: 1000,
+    default: '',
+  },
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserLogin',
+    required: true,
+  },
+  moderatorName: {
+    type: String,
+    default: '',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+moderationActionSchema.index({ createdAt: -1 });
+
+module.exports = moderationActionSchema;
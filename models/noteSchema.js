@@ -1,4 +1,25 @@
 const mongoose = require('mongoose');
+const { VISIBILITIES, DEFAULT_VISIBILITY } = require('../utils/visibility');
+const { rankFor } = require('../utils/ranking');
+
+// An earlier file version of a note, kept when a new one is uploaded.
+// Same file fields as the note itself, which always describes the latest version.
+const revisionSchema = new mongoose.Schema({
+  rev: { type: Number, required: true },
+  fileUrl: { type: String, required: true },
+  thumbnailUrl: { type: String, default: '' },
+  thumbnails: { sm: String, md: String, lg: String },
+  publicId: { type: String, default: '' },
+  resourceType: { type: String, default: '' },
+  contentHash: { type: String, default: '' },
+  pageCount: { type: Number, default: 0 },
+  security: {
+    activeContent: { type: [String], default: [] },
+    sanitized: { type: Boolean, default: false },
+    flagged: { type: Boolean, default: false },
+  },
+  uploadedAt: { type: Date, default: Date.now },
+}, { _id: false });
 
 // Mongoose schema for storing only file metadata
 const noteSchema = new mongoose.Schema({
@@ -6,6 +27,25 @@ const noteSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  description: {
+    type: String, // optional summary written by the uploader
+    default: '',
+  },
+  visibility: {
+    type: String, // public (listed) | unlisted (link only) | private (owner only), see utils/visibility.js
+    enum: VISIBILITIES,
+    default: DEFAULT_VISIBILITY,
+    index: true,
+  },
+  hidden: {
+    type: Boolean, // hidden from listings by a moderator (services/reportService.js)
+    default: false,
+  },
+  tags: {
+    type: [String], // normalized by utils/tags.js, e.g. ['subject:physics', 'course:phy-101', 'exam:final', 'handwritten']
+    default: [],
+    index: true,
+  },
   fileUrl: {
     type: String, // Cloudinary URL
     required: true,
@@ -15,9 +55,38 @@ const noteSchema = new mongoose.Schema({
     required: true,
   },
   thumbnailUrl: {
-    type: String, // Cloudinary PNG preview for first page
+    type: String, // First-page PNG preview (Cloudinary eager transform or rendered locally)
     default: '',
   },
+  // Locally rendered first-page previews by width (sm 320px, md 640px, lg 1200px)
+  thumbnails: {
+    sm: String,
+    md: String,
+    lg: String,
+  },
+  publicId: {
+    type: String, // Storage id of the PDF (e.g. 'pdf_uploads/lecture-1'), used to delete it
+    default: '',
+    index: true,
+  },
+  resourceType: {
+    type: String, // Cloudinary pipeline the asset lives in: 'image' | 'raw'
+    default: '',
+  },
+  contentHash: {
+    type: String, // hex SHA-256 of the stored file; '' for notes that predate hashing
+    default: '',
+  },
+  pageCount: {
+    type: Number,
+    default: 0,
+  },
+  // Result of the active-content check at ingest
+  security: {
+    activeContent: { type: [String], default: [] }, // e.g. ['JavaScript', 'OpenAction']
+    sanitized: { type: Boolean, default: false }, // scripts/actions were neutralized in the stored file
+    flagged: { type: Boolean, default: false }, // active content is still present in the stored file
+  },
   uploader: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'UserLogin',
@@ -31,6 +100,73 @@ const noteSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  revision: {
+    type: Number, // number of the current file version, starting at 1
+    default: 1,
+  },
+  revisedAt: {
+    type: Date, // when the current file version was uploaded
+    default: Date.now,
+  },
+  revisions: {
+    type: [revisionSchema], // older file versions, oldest first
+    default: [],
+  },
+  viewCount: {
+    type: Number, // counted views (services/analyticsService.js), for the "most viewed" sort
+    default: 0,
+  },
+  downloadCount: {
+    type: Number, // counted downloads, for the "most downloaded" sort
+    default: 0,
+  },
+  // Vote totals, kept in step with the votes store by services/voteService.js
+  upvotes: {
+    type: Number,
+    default: 0,
+  },
+  downvotes: {
+    type: Number,
+    default: 0,
+  },
+  score: {
+    type: Number, // upvotes minus downvotes, the all-time top sort
+    default: 0,
+  },
+  rank: {
+    type: Number, // time-decayed score (utils/ranking.js), the top sort of a week or month
+    default: () => rankFor(0, Date.now()),
+  },
 });
 
+// Stored file locations never leave the server: files are only served through
+// /download/:id and /s/:token/file, after the visibility and share checks.
+function hideFileLocations(doc, ret) {
+  delete ret.fileUrl;
+  delete ret.publicId;
+  (ret.revisions || []).forEach(revision => {
+    delete revision.fileUrl;
+    delete revision.publicId;
+  });
+  return ret;
+}
+noteSchema.set('toJSON', { transform: hideFileLocations });
+
+// One note per file: a re-upload of the same bytes resolves to the existing note.
+// Partial, so legacy notes without a hash don't collide.
+noteSchema.index(
+  { contentHash: 1 },
+  { unique: true, partialFilterExpression: { contentHash: { $gt: '' } } }
+);
+
+// Listing sorts (utils/pagination.js); each ends on _id so cursors are exact
+noteSchema.index({ uploadedAt: -1, _id: -1 });
+noteSchema.index({ viewCount: -1, _id: -1 });
+noteSchema.index({ downloadCount: -1, _id: -1 });
+noteSchema.index({ rank: -1, _id: -1 });
+noteSchema.index({ score: -1, _id: -1 });
+noteSchema.index({ title: 1, _id: 1 }, { collation: { locale: 'en', strength: 2 } });
+// A user's uploads, newest first (/profile, and the feed of the people they follow)
+noteSchema.index({ uploader: 1, uploadedAt: -1, _id: -1 });
+
 module.exports = noteSchema;
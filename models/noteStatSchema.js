@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Mongoose schema for one note's counted views and downloads on one (UTC) day
+const noteStatSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true,
+  },
+  day: {
+    type: Date, // midnight UTC
+    required: true,
+  },
+  views: {
+    type: Number,
+    default: 0,
+  },
+  downloads: {
+    type: Number,
+    default: 0,
+  },
+});
+
+noteStatSchema.index({ note: 1, day: 1 }, { unique: true });
+
+module.exports = noteStatSchema;
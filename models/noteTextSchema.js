@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Text extracted from a note's current file, kept out of the note itself so listing
+// notes never loads it. Uploader, date, tags, visibility and the hidden flag are copied
+// over so search filters can run inside the text query.
+const noteTextSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true,
+    unique: true,
+  },
+  title: {
+    type: String, // copy of the note title, ranked above the body text
+    default: '',
+  },
+  pages: {
+    type: [String], // text of each page, page 1 first
+    default: [],
+  },
+  revision: {
+    type: Number, // file version the text was extracted from
+    default: 1,
+  },
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserLogin',
+  },
+  uploaderName: {
+    type: String,
+    default: '',
+  },
+  uploadedAt: {
+    type: Date,
+  },
+  tags: {
+    type: [String], // copy of the note's tags, for the search's tag filter
+    default: [],
+  },
+  visibility: {
+    type: String, // copy of the note's, so search only lists public notes
+    default: 'public',
+  },
+  hidden: {
+    type: Boolean, // copy of the note's moderation flag; hidden notes aren't listed
+    default: false,
+  },
+  extractedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+noteTextSchema.index(
+  { title: 'text', pages: 'text' },
+  { name: 'note_text', weights: { title: 10, pages: 1 }, default_language: 'english' }
+);
+
+module.exports = noteTextSchema;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Mongoose schema for the "already counted" marker of one visitor's views or downloads
+// of a note (see services/analyticsService.js). While a marker is live, more events
+// from the same visitor aren't counted again.
+const noteVisitSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: ['view', 'download'],
+    required: true,
+  },
+  visitor: {
+    type: String, // `u:<user id>` or `a:<hash of IP and user agent>`, never the raw address
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+noteVisitSchema.index({ note: 1, kind: 1, visitor: 1 }, { unique: true });
+// Expired markers are cleaned up; until then their expiresAt still decides
+noteVisitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = noteVisitSchema;
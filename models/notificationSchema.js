@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Notification types (services/notificationService.js)
+//   comment     someone commented on the recipient's note
+//   reply       someone replied to the recipient's comment
+//   follow      someone started following the recipient
+//   upload      someone the recipient follows uploaded a public note
+//   moderation  a moderator decided on reports about the recipient's note
+const NOTIFICATION_TYPES = ['comment', 'reply', 'follow', 'upload', 'moderation'];
+
+// Mongoose schema for one notification of one user. The actor's name and the note's
+// title are copied in, so the list reads right even after either is gone.
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserLogin',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserLogin',
+    default: null,
+  },
+  actorName: {
+    type: String,
+    default: '',
+  },
+  actorUsername: {
+    type: String, // for the link to their profile
+    default: '',
+  },
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    default: null,
+    index: true,
+  },
+  noteTitle: {
+    type: String,
+    default: '',
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  action: {
+    type: String, // moderation: dismiss | hide | delete, and the main reason reported
+    default: '',
+  },
+  reason: {
+    type: String,
+    default: '',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  readAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+// The notifications page, newest first, and the unread badge
+notificationSchema.index({ recipient: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+// Old notifications are dropped after 180 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+module.exports = notificationSchema;
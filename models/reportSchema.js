@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { REPORT_REASONS } = require('../utils/moderation');
+
+// Mongoose schema for a user's report of a note (see services/reportService.js). Open
+// reports make up the moderation queue; a moderator's decision resolves all the open
+// reports of a note at once and is recorded as a ModerationAction.
+const reportSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true,
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserLogin',
+    required: true,
+    index: true,
+  },
+  reporterName: {
+    type: String,
+    default: '',
+  },
+  reason: {
+    type: String,
+    enum: Object.keys(REPORT_REASONS),
+    required: true,
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: '',
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open',
+  },
+  decision: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModerationAction',
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  resolvedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+// The queue, oldest first, and one open report per user and note
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ note: 1, reporter: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+module.exports = reportSchema;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Mongoose schema for a note a user saved for later (see services/savedService.js);
+// one document per user and note
+const savedNoteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserLogin',
+    required: true,
+  },
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true,
+    index: true,
+  },
+  savedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+savedNoteSchema.index({ user: 1, note: 1 }, { unique: true });
+// The Saved tab: most recently saved first
+savedNoteSchema.index({ user: 1, savedAt: -1, _id: -1 });
+
+module.exports = savedNoteSchema;
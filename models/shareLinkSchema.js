@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Mongoose schema for a share link to one note (see services/shareService.js).
+// The link itself is an HMAC-signed token of the _id, so nothing secret is stored here.
+const shareLinkSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true,
+    index: true,
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId, // the note's uploader, who created the link
+    ref: 'UserLogin',
+    required: true,
+    index: true,
+  },
+  expiresAt: {
+    type: Date, // null: never expires
+    default: null,
+  },
+  maxDownloads: {
+    type: Number, // null: unlimited
+    default: null,
+  },
+  downloadCount: {
+    type: Number,
+    default: 0,
+  },
+  viewCount: {
+    type: Number,
+    default: 0,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Expired links are dropped a month after their expiry; links without one are kept
+shareLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = shareLinkSchema;
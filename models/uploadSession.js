@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Mongoose schema for a resumable (chunked) upload in progress.
+// The bytes received so far live in a temp file named after the session _id.
+const uploadSessionSchema = new mongoose.Schema({
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserLogin',
+    required: true,
+  },
+  uploaderName: {
+    type: String,
+    required: true,
+  },
+  note: {
+    type: mongoose.Schema.Types.ObjectId, // set when the upload is a new version of this note
+    ref: 'Note',
+    default: null,
+  },
+  title: {
+    type: String,
+    default: '',
+  },
+  tags: {
+    type: [String], // normalized tags for the new note
+    default: [],
+  },
+  filename: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number, // total bytes the client announced at init
+    required: true,
+  },
+  offset: {
+    type: Number, // bytes received and persisted so far
+    default: 0,
+  },
+  finalizing: {
+    type: Boolean, // set while the assembled file is being handed to storage
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24, // abandoned uploads are dropped after a day
+  },
+});
+
+module.exports = uploadSessionSchema;
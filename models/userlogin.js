@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ROLES, DEFAULT_ROLE } = require('../utils/roles');
 
 const userLoginSchema = new mongoose.Schema({
   name: {
@@ -20,6 +21,25 @@ const userLoginSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  role: {
+    type: String, // user | moderator | admin, see utils/roles.js
+    enum: ROLES,
+    default: DEFAULT_ROLE,
+  },
+  // Suspended accounts can't log in, and their sessions end (set on /admin)
+  suspendedAt: {
+    type: Date,
+    default: null,
+  },
+  suspendedReason: {
+    type: String,
+    default: '',
+  },
+  // Email digest of unread notifications (services/digestService.js)
+  digest: {
+    frequency: { type: String, enum: ['off', 'daily', 'weekly'], default: 'off' },
+    lastSentAt: { type: Date, default: null }, // the last digest, or when it was switched on
+  },
 });
 
 module.exports = userLoginSchema;
\ No newline at end of file
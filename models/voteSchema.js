@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Mongoose schema for a user's vote on a note (see services/voteService.js); one
+// document per user and note. The note keeps the totals (upvotes, downvotes, score).
+const voteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserLogin',
+    required: true,
+    index: true,
+  },
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true,
+  },
+  value: {
+    type: Number, // 1 up, -1 down
+    enum: [1, -1],
+    required: true,
+  },
+  votedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+voteSchema.index({ note: 1, user: 1 }, { unique: true });
+
+module.exports = voteSchema;
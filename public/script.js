@@ -60,6 +60,10 @@ document.addEventListener('DOMContentLoaded', function() {
     // Form validation and enhancement
     const uploadForm = document.querySelector('#upload-form');
     if (uploadForm) {
+        uploadForm.querySelectorAll('.upload-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => setUploadMode(uploadForm, btn.dataset.mode));
+        });
+
         uploadForm.addEventListener('submit', async function(e) {
             // Server will enforce auth; optionally prompt client-side if known
             if (typeof window !== 'undefined' && window.isLoggedIn === false) {
@@ -68,6 +72,11 @@ document.addEventListener('DOMContentLoaded', function() {
                 openAuth('login');
                 return;
             }
+            if (uploadForm.dataset.mode === 'bulk') {
+                e.preventDefault();
+                await submitBulkUpload(uploadForm);
+                return;
+            }
             const titleInput = document.querySelector('input[name="title"]');
             const fileInput = document.querySelector('input[name="file"]');
             
@@ -93,11 +102,16 @@ document.addEventListener('DOMContentLoaded', function() {
                 return;
             }
             
-            // Removed client-side size limit to allow large files (100MB+)
-            // Direct upload to Cloudinary will bypass Vercel body limits
-            
-            // Direct client upload flow to bypass server body size limits (~5MB)
+            // Same magic-byte check the server runs, so a renamed file fails before any bytes are sent
             e.preventDefault();
+            if (!(await looksLikePdf(file))) {
+                showNotification('This file is not a valid PDF', 'warning');
+                fileInput.focus();
+                return;
+            }
+
+            // No client-side size limit: the server enforces MAX_UPLOAD_MB, and the file
+            // is sent in small chunks so host body limits (~5MB) don't apply
             const submitBtn = document.getElementById('uploadSubmitBtn') || uploadForm.querySelector('button[type="submit"]');
             const originalText = submitBtn.innerHTML;
             submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Uploading...';
@@ -106,60 +120,23 @@ document.addEventListener('DOMContentLoaded', function() {
             submitBtn.setAttribute('aria-busy', 'true');
 
             try {
-                // 1) Get a signed payload for direct client upload
-                const sigRes = await fetch('/api/cloudinary/signature', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
-                    credentials: 'include',
-                    body: JSON.stringify({ filename: file.name })
+                // Resumable upload: chunks go to our server, which streams the file to storage
+                const metaJson = await resumableUpload(file, titleInput.value.trim(), setUploadProgress, {
+                    tags: collectUploadTags(uploadForm)
                 });
-                const sig = await sigRes.json().catch(() => ({}));
-                if (!sigRes.ok || sig.success === false) throw new Error(sig.message || 'Failed to get upload signature');
-
-                const { cloudName, apiKey, timestamp, signature, folder, public_id, eager, eager_async } = sig;
-                if (!cloudName || !apiKey || !timestamp || !signature) throw new Error('Invalid Cloudinary signature response');
-
-                // 2) Upload directly to Cloudinary image/upload (so PDFs can be thumbnailed)
-                const cldForm = new FormData();
-                cldForm.append('file', file);
-                cldForm.append('api_key', apiKey);
-                cldForm.append('timestamp', timestamp);
-                cldForm.append('signature', signature);
-                cldForm.append('folder', folder);
-                cldForm.append('public_id', public_id);
-                // resource_type should be image to enable page transformations
-                cldForm.append('resource_type', 'image');
-                // Include eager transform so Cloudinary generates PNG at upload time (works with Strict Transformations)
-                if (eager) cldForm.append('eager', eager);
-                if (typeof eager_async !== 'undefined') cldForm.append('eager_async', String(eager_async));
-                const endpoint = `https://api.cloudinary.com/v1_1/${encodeURIComponent(cloudName)}/image/upload`;
-
-                const cldRes = await fetch(endpoint, { method: 'POST', body: cldForm });
-                const cldJson = await cldRes.json().catch(() => ({}));
-                if (!cldRes.ok || !cldJson.secure_url) throw new Error(cldJson.error?.message || 'Cloudinary upload failed');
-                const eagerThumb = (cldJson && Array.isArray(cldJson.eager) && cldJson.eager[0] && cldJson.eager[0].secure_url) ? cldJson.eager[0].secure_url : '';
-
-                // 3) Save note metadata to our server (small JSON only; no file body hits server)
-                const metaRes = await fetch('/api/notes/create', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
-                    credentials: 'include',
-                    body: JSON.stringify({ 
-                        title: titleInput.value.trim(), 
-                        fileUrl: cldJson.secure_url, 
-                        fileType: file.type || 'application/pdf',
-                        public_id,
-                        folder,
-                        thumbnailUrl: eagerThumb
-                    })
-                });
-                const metaJson = await metaRes.json().catch(() => ({}));
-                if (!metaRes.ok || metaJson.success === false) throw new Error(metaJson.message || 'Failed to save note');
 
                 const title = (metaJson && metaJson.data && metaJson.data.title) ? metaJson.data.title : '';
                 showNotification(`${title ? '"' + title + '" ' : ''}uploaded successfully`, 'success');
                 setTimeout(() => { window.location.href = '/profile'; }, 1000);
             } catch (err) {
+                // Someone already shared this exact file: take the user to it instead
+                const existing = err.data && err.data.code === 'duplicate' && err.data.note;
+                if (existing) {
+                    const safeTitle = String(existing.title || '').replace(/[<>&"]/g, '');
+                    showNotification(`Already uploaded as "${safeTitle}". Opening it…`, 'info');
+                    setTimeout(() => { window.location.href = `/view/${existing._id}`; }, 1500);
+                    return;
+                }
                 showNotification(err.message || 'Upload failed', 'error');
             } finally {
                 submitBtn.innerHTML = originalText;
@@ -168,16 +145,24 @@ document.addEventListener('DOMContentLoaded', function() {
                 submitBtn.removeAttribute('aria-busy');
             }
         });
+
+        // Remind the user about uploads interrupted by a refresh or a dropped connection
+        const pending = Object.values(loadPendingUploads());
+        if (pending.length) {
+            const names = pending.map(p => `"${String(p.filename).replace(/[<>&"]/g, '')}"`).join(', ');
+            showNotification(`Unfinished upload: ${names}. Select the same file again to resume.`, 'info');
+        }
     }
     
     // File input enhancement
     const fileInput = document.querySelector('input[type="file"]');
     if (fileInput) {
         fileInput.addEventListener('change', function(e) {
-            const file = e.target.files[0];
+            const files = Array.from(e.target.files);
+            const file = files[0];
             if (file) {
-                const fileName = file.name;
-                const fileSize = (file.size / 1024 / 1024).toFixed(2);
+                const fileName = files.length > 1 ? `${files.length} files` : file.name;
+                const fileSize = (files.reduce((sum, f) => sum + f.size, 0) / 1024 / 1024).toFixed(2);
                 
                 // Update file input label
                 const label = document.querySelector('.file-input-label');
@@ -197,6 +182,442 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 });
 
+// ======================
+// Resumable uploads
+// ======================
+// The upload id is remembered per file (name + size + modified time) so a refresh
+// or a dropped connection continues from the last stored chunk.
+const PENDING_UPLOADS_KEY = 'cloudnotes:pendingUploads';
+
+function fileFingerprint(file) {
+    return [file.name, file.size, file.lastModified].join(':');
+}
+
+function loadPendingUploads() {
+    try {
+        return JSON.parse(localStorage.getItem(PENDING_UPLOADS_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function savePendingUploads(pending) {
+    try {
+        localStorage.setItem(PENDING_UPLOADS_KEY, JSON.stringify(pending));
+    } catch (e) { /* storage full or disabled: uploads still work, just without resume */ }
+}
+
+async function uploadApi(url, options = {}) {
+    const res = await fetch(url, {
+        credentials: 'include',
+        ...options,
+        headers: { 'Accept': 'application/json', ...(options.headers || {}) }
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || json.success === false) {
+        throw Object.assign(new Error(json.message || 'Upload failed'), { status: res.status, data: json.data });
+    }
+    return json;
+}
+
+// With `noteId` the file is uploaded as a new version of that note
+async function resumableUpload(file, title, onProgress = () => {}, { noteId, tags } = {}) {
+    const key = fileFingerprint(file) + (noteId ? `@${noteId}` : '');
+    const pending = loadPendingUploads();
+    let session = null;
+
+    if (pending[key]) {
+        try {
+            session = (await uploadApi(`/api/uploads/${pending[key].uploadId}`)).data;
+            if (session.offset > 0) {
+                showNotification(`Resuming upload at ${Math.floor(session.offset / file.size * 100)}%`, 'info');
+            }
+        } catch (e) {
+            session = null; // expired or finished elsewhere: start over
+        }
+    }
+    if (!session) {
+        session = (await uploadApi('/api/uploads', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ filename: file.name, size: file.size, title, tags, noteId })
+        })).data;
+        pending[key] = { uploadId: session.uploadId, filename: file.name, size: file.size };
+        savePendingUploads(pending);
+    }
+
+    const forget = () => {
+        const current = loadPendingUploads();
+        delete current[key];
+        savePendingUploads(current);
+    };
+
+    let offset = session.offset;
+    let retries = 0;
+    onProgress(offset, file.size);
+    while (offset < file.size) {
+        try {
+            const json = await uploadApi(`/api/uploads/${session.uploadId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/octet-stream', 'Upload-Offset': String(offset) },
+                body: file.slice(offset, offset + session.chunkSize)
+            });
+            offset = json.data.offset;
+            retries = 0;
+            onProgress(offset, file.size);
+        } catch (err) {
+            // The server knows better where we are: continue from its offset
+            if (err.status === 409 && err.data && typeof err.data.offset === 'number') {
+                offset = err.data.offset;
+                continue;
+            }
+            if (err.status === 404 || err.status === 410) forget();
+            // Retry network blips and server hiccups with backoff; give up on client errors
+            if ((err.status && err.status < 500) || ++retries > 5) throw err;
+            await new Promise(resolve => setTimeout(resolve, 1000 * retries));
+        }
+    }
+
+    onProgress(file.size, file.size, 'Processing…');
+    try {
+        const done = await uploadApi(`/api/uploads/${session.uploadId}/finalize`, { method: 'POST' });
+        forget();
+        return done;
+    } catch (err) {
+        // Rejected by PDF validation: the server dropped the upload, nothing to resume
+        if (err.data && err.data.code) forget();
+        throw err;
+    }
+}
+
+// ======================
+// Bulk uploads
+// ======================
+// Several PDFs and/or ZIP archives; titles come from the file names. Each selected
+// file is sent on its own so every row gets its own progress bar and report.
+function setUploadMode(form, mode) {
+    form.dataset.mode = mode;
+    const bulk = mode === 'bulk';
+    form.querySelectorAll('.upload-mode-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+        btn.setAttribute('aria-pressed', String(btn.dataset.mode === mode));
+    });
+
+    const titleGroup = document.getElementById('titleGroup');
+    const titleInput = form.querySelector('input[name="title"]');
+    const fileInput = form.querySelector('input[name="file"]');
+    if (titleGroup) titleGroup.hidden = bulk;
+    if (titleInput) titleInput.required = !bulk;
+    fileInput.multiple = bulk;
+    fileInput.accept = bulk ? '.pdf,.zip' : '.pdf';
+    fileInput.value = '';
+
+    const fileLabel = document.getElementById('fileLabel');
+    if (fileLabel) fileLabel.textContent = bulk ? 'Select PDF files or a ZIP archive' : 'Select PDF File';
+    const dropLabel = form.querySelector('.file-input-label');
+    if (dropLabel) {
+        dropLabel.removeAttribute('style');
+        dropLabel.innerHTML = `
+            <i class="fas fa-cloud-upload-alt"></i>
+            <span>${bulk ? 'Choose files or drag and drop here' : 'Choose PDF file or drag and drop here'}</span>
+        `;
+    }
+    const list = document.getElementById('bulkUploadList');
+    if (list) {
+        list.hidden = true;
+        list.replaceChildren();
+    }
+}
+
+function isZipName(file) {
+    return /\.zip$/i.test(file.name) || /zip/.test(file.type);
+}
+
+// One row of the progress list; text is always set with textContent
+function createBulkRow(list, name, { nested = false } = {}) {
+    const row = document.createElement('li');
+    row.className = 'bulk-item' + (nested ? ' nested' : '');
+    row.innerHTML = `
+        <div class="bulk-item-head"><span class="bulk-item-name"></span><span class="bulk-item-status"></span></div>
+        <div class="upload-progress-track"><div class="upload-progress-bar"></div></div>
+    `;
+    row.querySelector('.bulk-item-name').textContent = name;
+    if (nested) row.querySelector('.upload-progress-track').remove();
+    list.appendChild(row);
+    return row;
+}
+
+function setBulkRow(row, { status, text, progress, href }) {
+    if (status) row.classList.add(status);
+    if (text !== undefined) row.querySelector('.bulk-item-status').textContent = text;
+    const bar = row.querySelector('.upload-progress-bar');
+    if (bar && progress !== undefined) bar.style.width = Math.floor(progress * 100) + '%';
+    if (href) {
+        const name = row.querySelector('.bulk-item-name');
+        const link = document.createElement('a');
+        link.href = href;
+        link.textContent = name.textContent;
+        name.replaceChildren(link);
+    }
+}
+
+const BULK_STATUS_TEXT = { created: 'Uploaded', duplicate: 'Already uploaded', skipped: 'Skipped' };
+
+function applyBulkResult(row, result) {
+    const note = result.note;
+    setBulkRow(row, {
+        status: result.status,
+        text: result.status === 'failed' || result.status === 'skipped'
+            ? (result.message || BULK_STATUS_TEXT[result.status] || 'Failed')
+            : BULK_STATUS_TEXT[result.status],
+        progress: 1,
+        href: note && note._id ? `/view/${note._id}` : null
+    });
+}
+
+// POST one file to the bulk endpoint; XHR instead of fetch for upload progress
+function postBulkFile(file, onProgress, tags = []) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', '/api/notes/bulk');
+        xhr.withCredentials = true;
+        xhr.setRequestHeader('Accept', 'application/json');
+        xhr.upload.addEventListener('progress', e => {
+            if (e.lengthComputable) onProgress(e.loaded, e.total);
+        });
+        xhr.addEventListener('load', () => {
+            let json = {};
+            try { json = JSON.parse(xhr.responseText); } catch (e) { /* not JSON */ }
+            if (xhr.status >= 400 || json.success === false) {
+                reject(Object.assign(new Error(json.message || 'Upload failed'), { status: xhr.status, data: json.data }));
+            } else {
+                resolve(json);
+            }
+        });
+        xhr.addEventListener('error', () => reject(new Error('Network error, please try again')));
+        const body = new FormData();
+        body.append('files', file);
+        if (tags.length) body.append('tags', tags.join(','));
+        xhr.send(body);
+    });
+}
+
+async function submitBulkUpload(form) {
+    const fileInput = form.querySelector('input[name="file"]');
+    const files = Array.from(fileInput.files);
+    if (!files.length) {
+        showNotification('Please select PDF files or a ZIP archive', 'warning');
+        fileInput.focus();
+        return;
+    }
+
+    const list = document.getElementById('bulkUploadList');
+    list.replaceChildren();
+    list.hidden = false;
+    const submitBtn = document.getElementById('uploadSubmitBtn') || form.querySelector('button[type="submit"]');
+    const originalText = submitBtn.innerHTML;
+    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Uploading...';
+    submitBtn.disabled = true;
+    submitBtn.classList.add('btn-loading');
+    submitBtn.setAttribute('aria-busy', 'true');
+
+    const rows = files.map(file => createBulkRow(list, file.name));
+    const tags = collectUploadTags(form);
+    let created = 0;
+    let total = 0;
+    try {
+        for (let i = 0; i < files.length; i++) {
+            const file = files[i];
+            const row = rows[i];
+            const zip = isZipName(file);
+            if (!zip && !(await looksLikePdf(file))) {
+                setBulkRow(row, { status: 'failed', text: 'Not a valid PDF', progress: 1 });
+                total++;
+                continue;
+            }
+
+            setBulkRow(row, { text: 'Waiting…', progress: 0 });
+            try {
+                const json = await postBulkFile(file, (loaded, size) => {
+                    setBulkRow(row, {
+                        text: loaded < size ? `${Math.floor(loaded / size * 100)}%` : 'Processing…',
+                        progress: loaded / size
+                    });
+                }, tags);
+                const data = json.data || {};
+                const results = data.results || [];
+                created += data.created || 0;
+                total += results.length;
+                if (zip) {
+                    // An archive expands into one nested row per file inside it
+                    setBulkRow(row, {
+                        status: data.created ? 'created' : 'failed',
+                        text: json.message,
+                        progress: 1
+                    });
+                    let last = row;
+                    results.forEach(result => {
+                        const name = result.filename.slice(file.name.length + 1) || result.filename;
+                        const child = createBulkRow(list, name, { nested: true });
+                        last.after(child);
+                        last = child;
+                        applyBulkResult(child, result);
+                    });
+                } else if (results[0]) {
+                    applyBulkResult(row, results[0]);
+                }
+            } catch (err) {
+                setBulkRow(row, { status: 'failed', text: err.message || 'Upload failed', progress: 1 });
+                total++;
+            }
+        }
+        showNotification(`${created} of ${total} file(s) uploaded`, created ? 'success' : 'warning');
+    } finally {
+        submitBtn.innerHTML = originalText;
+        submitBtn.disabled = false;
+        submitBtn.classList.remove('btn-loading');
+        submitBtn.removeAttribute('aria-busy');
+    }
+}
+
+// ======================
+// Tags
+// ======================
+// Subject, course code and exam type become "subject:…", "course:…" and "exam:…" tags;
+// labels are sent as typed (the server normalizes everything)
+function collectUploadTags(form) {
+    const value = name => ((form.querySelector(`[name="${name}"]`) || {}).value || '').trim();
+    const tags = [];
+    if (value('subject')) tags.push(`subject:${value('subject')}`);
+    if (value('courseCode')) tags.push(`course:${value('courseCode')}`);
+    if (value('examType')) tags.push(`exam:${value('examType')}`);
+    value('tags').split(',').map(t => t.trim()).filter(Boolean).forEach(t => tags.push(t));
+    return tags;
+}
+
+// Suggest tags that already exist while typing, so "Physics", "physics " and "phys"
+// don't end up as three different subjects. `data-tag-kind` limits the suggestions to
+// one kind; an empty value means a comma-separated list of any tags.
+function attachTagSuggestions(input) {
+    const kind = input.dataset.tagKind || '';
+    const list = document.createElement('datalist');
+    list.id = `${input.id || 'tags'}-suggestions`;
+    input.after(list);
+    input.setAttribute('list', list.id);
+
+    let timer = null;
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+            // In a list only the part after the last comma is completed
+            const parts = input.value.split(',');
+            const q = kind ? input.value.trim() : parts[parts.length - 1].trim();
+            if (!q) return list.replaceChildren();
+            const head = kind ? '' : parts.slice(0, -1).map(p => p.trim()).filter(Boolean).join(', ');
+            try {
+                const res = await fetch(`/api/notes/tags?q=${encodeURIComponent(q)}${kind ? `&kind=${kind}` : ''}`, {
+                    headers: { 'Accept': 'application/json' }
+                });
+                const json = await res.json();
+                list.replaceChildren(...(json.data || []).map(({ tag, count }) => {
+                    const option = document.createElement('option');
+                    const value = kind ? tag.slice(kind.length + 1).replace(/-/g, ' ') : tag;
+                    option.value = head ? `${head}, ${value}` : value;
+                    option.label = `${value} (${count})`;
+                    return option;
+                }));
+            } catch (e) { /* suggestions are optional */ }
+        }, 200);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('input[data-tag-kind]').forEach(attachTagSuggestions);
+});
+
+// ======================
+// Infinite scroll
+// ======================
+// Listing pages render their first cards and a `.load-more` element carrying
+// `data-next-cursor` and `data-grid` (the selector of the card container). When it
+// scrolls into view (or its button is clicked) the page's own URL (or `data-url`) is
+// fetched again with ?cursor=…, which answers { html, nextCursor } with the next cards.
+function infiniteScroll(sentinel) {
+    const grid = document.querySelector(sentinel.dataset.grid);
+    const button = sentinel.querySelector('button');
+    let cursor = sentinel.dataset.nextCursor;
+    let loading = false;
+    let observer = null;
+
+    async function loadMore() {
+        // Nothing to do while the listing is hidden (e.g. replaced by search results)
+        if (loading || !cursor || !grid || grid.offsetParent === null) return;
+        loading = true;
+        button.disabled = true;
+        button.textContent = 'Loading...';
+        try {
+            const url = new URL(sentinel.dataset.url || window.location.href, window.location.href);
+            url.searchParams.set('cursor', cursor);
+            const res = await fetch(url, { headers: { 'Accept': 'application/json' } });
+            const json = await res.json().catch(() => ({}));
+            if (!res.ok || !json.success) throw new Error(json.message || 'Failed to load more notes');
+            grid.insertAdjacentHTML('beforeend', json.html);
+            grid.querySelectorAll('input[data-tag-kind]:not([list])').forEach(attachTagSuggestions);
+            cursor = json.nextCursor;
+        } catch (err) {
+            button.textContent = 'Retry';
+            button.disabled = false;
+            loading = false;
+            return;
+        }
+        loading = false;
+        if (!cursor) {
+            if (observer) observer.disconnect();
+            sentinel.remove();
+            return;
+        }
+        button.textContent = 'Load more';
+        button.disabled = false;
+        // Re-observing reports the current state again, so a sentinel that is still
+        // on screen (short pages, tall windows) keeps loading
+        if (observer) {
+            observer.unobserve(sentinel);
+            observer.observe(sentinel);
+        }
+    }
+
+    button.addEventListener('click', loadMore);
+    if ('IntersectionObserver' in window) {
+        observer = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) loadMore();
+        }, { rootMargin: '400px 0px' });
+        observer.observe(sentinel);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('.load-more[data-next-cursor]').forEach(infiniteScroll);
+});
+
+// A PDF header must appear within the first 1024 bytes
+async function looksLikePdf(file) {
+    try {
+        return (await file.slice(0, 1024).text()).includes('%PDF-');
+    } catch (e) {
+        return true; // let the server decide
+    }
+}
+
+function setUploadProgress(loaded, total, label) {
+    const box = document.getElementById('uploadProgress');
+    if (!box) return;
+    const pct = total ? Math.floor(loaded / total * 100) : 0;
+    box.hidden = false;
+    box.querySelector('.upload-progress-bar').style.width = pct + '%';
+    box.querySelector('.upload-progress-text').textContent = label
+        || `${pct}% · ${(loaded / 1024 / 1024).toFixed(1)} of ${(total / 1024 / 1024).toFixed(1)} MB`;
+}
+
 // Check for feedback parameter in URL
 window.addEventListener('DOMContentLoaded', () => {
     const params = new URLSearchParams(window.location.search);
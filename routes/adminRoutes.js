@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const AdminService = require('../services/adminService');
+const ModerationService = require('../services/moderationService');
+const { requireRole, validateObjectId } = require('../middleware/auth');
+const { asyncHandler, apiResponse, apiError } = require('../utils/helpers');
+const { parseLimit } = require('../utils/pagination');
+
+// The admin dashboard's API (admins only); /admin is the page for it
+//   GET    /api/admin/stats              -> system counts
+//   GET    /api/admin/users              -> accounts, newest first: { data, nextCursor } (?q=, ?limit=, ?cursor=)
+//   PATCH  /api/admin/users/:id          { role } -> user | moderator | admin
+//   POST   /api/admin/users/:id/suspend  { reason? } -> suspend the account
+//   DELETE /api/admin/users/:id/suspend  -> lift the suspension
+//   GET    /api/admin/notes              -> notes of any visibility, newest first (?q=, ?limit=, ?cursor=)
+//   DELETE /api/admin/notes/:id          { message? } -> delete a note; recorded and the uploader is notified
+
+router.get('/stats',
+  requireRole('admin'),
+  asyncHandler(async (req, res) => {
+    apiResponse(res, { data: await AdminService.stats() });
+  })
+);
+
+router.get('/users',
+  requireRole('admin'),
+  asyncHandler(async (req, res) => {
+    let page;
+    try {
+      page = await AdminService.listUsers({
+        q: req.query.q,
+        cursor: req.query.cursor,
+        limit: parseLimit(req.query.limit),
+      });
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    apiResponse(res, { data: page.users, nextCursor: page.nextCursor });
+  })
+);
+
+router.patch('/users/:id',
+  requireRole('admin'),
+  validateObjectId,
+  asyncHandler(async (req, res) => {
+    let user;
+    try {
+      user = await AdminService.setRole(req.session.user, req.params.id, (req.body || {}).role);
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    apiResponse(res, { message: 'Role updated', data: user });
+  })
+);
+
+router.post('/users/:id/suspend',
+  requireRole('admin'),
+  validateObjectId,
+  asyncHandler(async (req, res) => {
+    let user;
+    try {
+      user = await AdminService.suspend(req.session.user, req.params.id, (req.body || {}).reason);
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    apiResponse(res, { message: 'Account suspended', data: user });
+  })
+);
+
+router.delete('/users/:id/suspend',
+  requireRole('admin'),
+  validateObjectId,
+  asyncHandler(async (req, res) => {
+    let user;
+    try {
+      user = await AdminService.unsuspend(req.params.id);
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    apiResponse(res, { message: 'Suspension lifted', data: user });
+  })
+);
+
+router.get('/notes',
+  requireRole('admin'),
+  asyncHandler(async (req, res) => {
+    let page;
+    try {
+      page = await AdminService.listNotes({
+        q: req.query.q,
+        cursor: req.query.cursor,
+        limit: parseLimit(req.query.limit),
+      });
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    apiResponse(res, { data: page.notes, nextCursor: page.nextCursor });
+  })
+);
+
+router.delete('/notes/:id',
+  requireRole('admin'),
+  validateObjectId,
+  asyncHandler(async (req, res) => {
+    let decision;
+    try {
+      decision = await ModerationService.decide(req.params.id, req.session.user, {
+        action: 'delete',
+        message: (req.body || {}).message,
+        force: true,
+      });
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    apiResponse(res, { message: 'Note deleted', data: decision });
+  })
+);
+
+module.exports = router;
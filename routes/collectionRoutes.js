@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const collectionSchema = require('../models/collectionSchema');
+const CollectionService = require('../services/collectionService');
+const { requireAuth, validateObjectId, checkOwnership, canView } = require('../middleware/auth');
+const { collectionFromBody } = require('../utils/collectionMetadata');
+const { asyncHandler, apiResponse, apiError, isValidObjectId } = require('../utils/helpers');
+
+// Collections: named, ordered lists of notes (services/collectionService.js)
+//   GET    /api/collections                  -> the user's collections (?note=<id>: flag the ones holding it)
+//   POST   /api/collections                  { title, description?, visibility?, noteId? } -> create
+//   GET    /api/collections/:id              -> the collection and the notes the caller may open
+//   PATCH  /api/collections/:id              { title?, description?, visibility? } (owner)
+//   DELETE /api/collections/:id              (owner; the notes themselves stay)
+//   POST   /api/collections/:id/notes        { noteId, position? } -> add a note (owner)
+//   PUT    /api/collections/:id/notes        { notes: [id, ...] } -> reorder; unlisted notes go last (owner)
+//   DELETE /api/collections/:id/notes/:note  -> take a note out (owner)
+
+const { pdfDB } = require('../db');
+const Collection = pdfDB.model('Collection', collectionSchema);
+
+function serialize(collection, notes) {
+  const { _id, owner, ownerName, title, description, visibility, createdAt, updatedAt } = collection;
+  return {
+    _id,
+    owner,
+    ownerName,
+    title,
+    description,
+    visibility,
+    noteCount: collection.notes.length,
+    createdAt,
+    updatedAt,
+    ...(notes ? { notes } : {}),
+  };
+}
+
+// Forward the service's status-carrying errors as API responses
+function sendCollectionError(res, err) {
+  if (!err.status) throw err;
+  return apiError(res, err);
+}
+
+router.get('/',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const noteId = isValidObjectId(req.query.note) ? req.query.note : undefined;
+    const collections = await CollectionService.listForOwner(req.session.user.id, { noteId });
+    apiResponse(res, { data: collections });
+  })
+);
+
+router.post('/',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    let collection;
+    try {
+      // Created from the "Add to collection" dialog: start with that note
+      collection = await CollectionService.create(req.session.user, collectionFromBody(req.body, { create: true }), {
+        noteId: req.body && req.body.noteId,
+      });
+    } catch (err) {
+      return sendCollectionError(res, err);
+    }
+    apiResponse(res, { status: 201, message: 'Collection created', data: serialize(collection) });
+  })
+);
+
+router.get('/:id',
+  validateObjectId,
+  asyncHandler(async (req, res) => {
+    const collection = await CollectionService.getById(req.params.id);
+    if (!collection || !canView(collection, req.session.user)) {
+      return apiResponse(res, { success: false, status: 404, message: 'Collection not found' });
+    }
+    const notes = await CollectionService.notesOf(collection, req.session.user, {
+      select: 'title description tags thumbnailUrl thumbnails uploader uploaderName uploadedAt pageCount revision',
+    });
+    apiResponse(res, { data: serialize(collection, notes) });
+  })
+);
+
+router.patch('/:id',
+  requireAuth,
+  validateObjectId,
+  checkOwnership(Collection),
+  asyncHandler(async (req, res) => {
+    let fields;
+    try {
+      fields = collectionFromBody(req.body);
+    } catch (err) {
+      return apiError(res, err);
+    }
+    const collection = await CollectionService.update(req.resource, fields);
+    apiResponse(res, { message: 'Collection updated', data: serialize(collection) });
+  })
+);
+
+router.delete('/:id',
+  requireAuth,
+  validateObjectId,
+  checkOwnership(Collection),
+  asyncHandler(async (req, res) => {
+    await CollectionService.remove(req.resource._id);
+    apiResponse(res, { message: 'Collection deleted' });
+  })
+);
+
+router.post('/:id/notes',
+  requireAuth,
+  validateObjectId,
+  checkOwnership(Collection),
+  asyncHandler(async (req, res) => {
+    const { noteId, position } = req.body || {};
+    let collection;
+    try {
+      collection = await CollectionService.addNote(req.resource, noteId, req.session.user, { position });
+    } catch (err) {
+      return sendCollectionError(res, err);
+    }
+    apiResponse(res, { message: 'Added to collection', data: serialize(collection) });
+  })
+);
+
+router.put('/:id/notes',
+  requireAuth,
+  validateObjectId,
+  checkOwnership(Collection),
+  asyncHandler(async (req, res) => {
+    let collection;
+    try {
+      collection = await CollectionService.reorder(req.resource, (req.body || {}).notes);
+    } catch (err) {
+      return sendCollectionError(res, err);
+    }
+    apiResponse(res, { message: 'Collection reordered', data: serialize(collection) });
+  })
+);
+
+router.delete('/:id/notes/:noteId',
+  requireAuth,
+  validateObjectId,
+  checkOwnership(Collection),
+  asyncHandler(async (req, res) => {
+    if (!isValidObjectId(req.params.noteId)) {
+      return apiResponse(res, { success: false, status: 400, message: 'Invalid ID format' });
+    }
+    const collection = await CollectionService.removeNote(req.resource, req.params.noteId);
+    apiResponse(res, { message: 'Removed from collection', data: serialize(collection) });
+  })
+);
+
+module.exports = router;
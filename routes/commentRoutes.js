@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const CommentService = require('../services/commentService');
+const NoteService = require('../services/noteService');
+const NotificationService = require('../services/notificationService');
+const { requireAuth, validateObjectId, canView, canManage } = require('../middleware/auth');
+const { commentBodyFrom } = require('../utils/commentMetadata');
+const { parseLimit } = require('../utils/pagination');
+const { asyncHandler, apiResponse, apiError, isValidObjectId } = require('../utils/helpers');
+
+// Comments on a note, mounted under /api/notes/:id/comments (routes/noteRoutes.js).
+// Anyone who can open the note can read them; posting needs an account.
+//   GET    /api/notes/:id/comments             -> threads, newest first: { data, nextCursor }
+//                                                 (?limit=20, max 100; ?cursor=<nextCursor>)
+//   POST   /api/notes/:id/comments             { body, parentId? } -> comment or reply
+//   PATCH  /api/notes/:id/comments/:commentId  { body } (author)
+//   DELETE /api/notes/:id/comments/:commentId  (author, the note's owner or an admin)
+
+// The note, if the caller may open it
+const loadNote = asyncHandler(async (req, res, next) => {
+  const note = await NoteService.getNoteById(req.params.id);
+  if (!note || !canView(note, req.session.user)) {
+    return apiResponse(res, { success: false, status: 404, message: 'Note not found' });
+  }
+  req.note = note;
+  next();
+});
+
+// The comment, if it belongs to the note
+const loadComment = asyncHandler(async (req, res, next) => {
+  const comment = isValidObjectId(req.params.commentId) ? await CommentService.getById(req.params.commentId) : null;
+  if (!comment || String(comment.note) !== String(req.note._id) || comment.deletedAt) {
+    return apiResponse(res, { success: false, status: 404, message: 'Comment not found' });
+  }
+  req.comment = comment;
+  next();
+});
+
+router.get('/',
+  validateObjectId,
+  loadNote,
+  asyncHandler(async (req, res) => {
+    let page;
+    try {
+      page = await CommentService.listThreads(req.note._id, req.session.user, {
+        cursor: req.query.cursor,
+        limit: parseLimit(req.query.limit),
+        canModerate: canManage(req.note, req.session.user),
+      });
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    apiResponse(res, { data: page.threads, nextCursor: page.nextCursor });
+  })
+);
+
+router.post('/',
+  requireAuth,
+  validateObjectId,
+  loadNote,
+  asyncHandler(async (req, res) => {
+    let comment;
+    try {
+      const body = commentBodyFrom(req.body);
+      comment = await CommentService.create(req.note, req.session.user, body, { parentId: (req.body || {}).parentId });
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    await NotificationService.commentPosted(req.note, comment, req.session.user);
+    apiResponse(res, {
+      status: 201,
+      message: 'Comment posted',
+      data: CommentService.describe(comment, req.session.user, { canModerate: canManage(req.note, req.session.user) }),
+    });
+  })
+);
+
+router.patch('/:commentId',
+  requireAuth,
+  validateObjectId,
+  loadNote,
+  loadComment,
+  asyncHandler(async (req, res) => {
+    if (!CommentService.isAuthor(req.comment, req.session.user)) {
+      return apiResponse(res, { success: false, status: 403, message: 'Only the author can edit a comment' });
+    }
+    let comment;
+    try {
+      comment = await CommentService.update(req.comment, commentBodyFrom(req.body));
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    apiResponse(res, {
+      message: 'Comment updated',
+      data: CommentService.describe(comment, req.session.user, { canModerate: canManage(req.note, req.session.user) }),
+    });
+  })
+);
+
+router.delete('/:commentId',
+  requireAuth,
+  validateObjectId,
+  loadNote,
+  loadComment,
+  asyncHandler(async (req, res) => {
+    if (!CommentService.isAuthor(req.comment, req.session.user) && !canManage(req.note, req.session.user)) {
+      return apiResponse(res, { success: false, status: 403, message: 'Not authorized to perform this action' });
+    }
+    await CommentService.remove(req.comment);
+    apiResponse(res, { message: 'Comment deleted' });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const SavedService = require('../services/savedService');
+const { requireAuth, validateObjectId } = require('../middleware/auth');
+const { asyncHandler, apiResponse, apiError } = require('../utils/helpers');
+const { parseLimit } = require('../utils/pagination');
+
+// The logged-in user's own things
+//   GET    /api/me/saved      -> saved notes, most recently saved first: { data, nextCursor }
+//                                (?limit=20, max 100; ?cursor=<nextCursor of the previous page>)
+//   PUT    /api/me/saved/:id  -> save a note (saving it twice changes nothing)
+//   DELETE /api/me/saved/:id  -> unsave it
+
+router.get('/saved',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    let page;
+    try {
+      page = await SavedService.list(req.session.user, {
+        cursor: req.query.cursor,
+        limit: parseLimit(req.query.limit),
+        select: 'title description tags thumbnailUrl thumbnails uploader uploaderName uploadedAt pageCount revision visibility',
+      });
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    apiResponse(res, { data: page.notes, nextCursor: page.nextCursor });
+  })
+);
+
+router.put('/saved/:id',
+  requireAuth,
+  validateObjectId,
+  asyncHandler(async (req, res) => {
+    let saved;
+    try {
+      saved = await SavedService.save(req.session.user, req.params.id);
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    apiResponse(res, { message: 'Note saved', data: { note: saved.note, savedAt: saved.savedAt } });
+  })
+);
+
+router.delete('/saved/:id',
+  requireAuth,
+  validateObjectId,
+  asyncHandler(async (req, res) => {
+    await SavedService.unsave(req.session.user.id, req.params.id);
+    apiResponse(res, { message: 'Note removed from saved' });
+  })
+);
+
+module.exports = router;
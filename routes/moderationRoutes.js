@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const ReportService = require('../services/reportService');
+const ModerationService = require('../services/moderationService');
+const { requireRole, validateObjectId } = require('../middleware/auth');
+const { asyncHandler, apiResponse, apiError } = require('../utils/helpers');
+
+// The report queue, for moderators and admins; /moderation is the page for it
+//   GET  /api/moderation/reports    -> notes with open reports, most reported first
+//   GET  /api/moderation/actions    -> the latest decisions, newest first
+//   POST /api/moderation/notes/:id  { action, message? } -> decide on a note's open reports
+//                                     (action dismiss|hide|delete); the uploader is notified
+
+router.get('/reports',
+  requireRole('moderator'),
+  asyncHandler(async (req, res) => {
+    apiResponse(res, { data: await ReportService.queue() });
+  })
+);
+
+router.get('/actions',
+  requireRole('moderator'),
+  asyncHandler(async (req, res) => {
+    apiResponse(res, { data: await ModerationService.history() });
+  })
+);
+
+router.post('/notes/:id',
+  requireRole('moderator'),
+  validateObjectId,
+  asyncHandler(async (req, res) => {
+    let decision;
+    try {
+      decision = await ModerationService.decide(req.params.id, req.session.user, req.body || {});
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    apiResponse(res, { message: 'Decision recorded', data: decision });
+  })
+);
+
+module.exports = router;
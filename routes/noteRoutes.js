@@ -1,35 +1,71 @@
 const express = require('express');
-const multer = require('multer');
 const router = express.Router();
-const { v2: cloudinary } = require('cloudinary');
-const mongoose = require('mongoose');
 const noteSchema = require('../models/noteSchema');
-const { requireAuth, validateObjectId, checkOwnership } = require('../middleware/auth');
-const { asyncHandler, apiResponse } = require('../utils/helpers');
+const { requireAuth, validateObjectId, checkOwnership, canView, isOwner } = require('../middleware/auth');
+const { singleFile, multipleFiles } = require('../middleware/upload');
+const { MAX_BULK_FILES } = require('../utils/uploads');
+const { KINDS, tagsFromBody, tagsFromQuery } = require('../utils/tags');
+const { parseSort, parsePeriod, parseLimit } = require('../utils/pagination');
+const { metadataFromBody } = require('../utils/noteMetadata');
+const { listedQuery } = require('../utils/visibility');
+const { asyncHandler, apiResponse, apiError } = require('../utils/helpers');
+const { getStorageForUrl, isOwnFileUrl } = require('../services/storage');
+const NoteService = require('../services/noteService');
+const ShareService = require('../services/shareService');
+const AnalyticsService = require('../services/analyticsService');
+const VoteService = require('../services/voteService');
+const ReportService = require('../services/reportService');
+const commentRoutes = require('./commentRoutes');
 
-// Ensure we have a connection to the PDF DB and a compiled Note model
+// Compile the Note model on the shared PDF DB connection
 // This avoids 'Note is not a constructor' (was importing a schema previously)
-const pdfDB = mongoose.createConnection(process.env.PDF_DB_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-});
+const { pdfDB } = require('../db');
 const Note = pdfDB.model('Note', noteSchema);
 
-// Multer configuration
-const storage = multer.memoryStorage();
-const upload = multer({ storage });
+// One page of notes as { data, nextCursor }, for every listing below:
+// ?sort=newest|oldest|title|views|downloads|top (?period=week|month|all for top),
+// ?limit=20 (max 100), ?cursor=<nextCursor of the previous page>
+async function sendNotePage(res, req, filter, options = {}) {
+  let page;
+  try {
+    page = await NoteService.listNotes(filter, {
+      sort: parseSort(req.query.sort),
+      period: parsePeriod(req.query.period),
+      cursor: req.query.cursor,
+      limit: parseLimit(req.query.limit),
+      ...options,
+    });
+  } catch (err) {
+    if (!err.status) throw err;
+    return apiError(res, err);
+  }
+  return apiResponse(res, { data: page.notes, nextCursor: page.nextCursor });
+}
 
-// Get all notes
+// Get all listed (public) notes; ?tag=a&tag=b (or ?tags=a,b) keeps notes carrying every given tag
 router.get('/', asyncHandler(async (req, res) => {
-  const notes = await Note.find()
-    .populate({ path: 'uploader', select: 'name username' })
-    .sort({ uploadedAt: -1 });
-  
+  // Browsers get the /read page with the same filters
   if (req.accepts('html')) {
-    return res.render('read', { notes });
+    const query = new URLSearchParams(req.query).toString();
+    return res.redirect(`/read${query ? `?${query}` : ''}`);
   }
-  
-  apiResponse(res, { data: notes });
+
+  const tags = tagsFromQuery(req.query);
+  await sendNotePage(res, req, { ...listedQuery(), ...(tags.length ? { tags: { $all: tags } } : {}) }, {
+    populate: { path: 'uploader', select: 'name username' },
+  });
+}));
+
+// Existing tags for autocomplete: ?q=<prefix>[&kind=subject|course|exam][&limit=10].
+// Without `q`, the most used tags (the tag cloud).
+router.get('/tags', asyncHandler(async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  const kind = KINDS.includes(req.query.kind) ? req.query.kind : undefined;
+  const q = typeof req.query.q === 'string' ? req.query.q : '';
+  const tags = q.trim() || kind
+    ? await NoteService.suggestTags(q, { kind, limit })
+    : await NoteService.tagCloud({ limit });
+  apiResponse(res, { data: tags });
 }));
 
 // Get notes by uploader
@@ -48,20 +84,19 @@ router.get('/user/:username', asyncHandler(async (req, res) => {
     return res.redirect(`/user/${encodeURIComponent(username)}`);
   }
 
-  const notes = await Note.find({
+  await sendNotePage(res, req, {
     $or: [
       { 'uploader.username': username },
       { uploaderName: username }
-    ]
-  }).sort({ uploadedAt: -1 });
-  
-  apiResponse(res, { data: notes });
+    ],
+    ...listedQuery()
+  });
 }));
 
 // Upload a new note (requires authentication)
 router.post('/upload', 
   requireAuth,
-  upload.single('file'),
+  singleFile('file'),
   asyncHandler(async (req, res) => {
     if (!req.file) {
       return apiResponse(res, {
@@ -71,112 +106,105 @@ router.post('/upload',
       });
     }
 
-    // Build a clean base name for Cloudinary public_id (no extension, spaces -> underscores)
-    const originalName = req.file.originalname || 'file.pdf';
-    const baseName = originalName.replace(/\.[^.]+$/, '').replace(/\s+/g, '_').trim();
-
-    // Upload to Cloudinary using the image pipeline so it can render PDF pages
-    const result = await new Promise((resolve, reject) => {
-      const uploadStream = cloudinary.uploader.upload_stream(
-        {
-          resource_type: 'image',
-          folder: 'pdf_uploads',
-          public_id: baseName,
-          // Ensure the original is stored as a PDF
-          format: 'pdf',
-          // Eagerly generate first-page PNG at max width 600px
-          eager: [
-            { format: 'png', page: 1, width: 600, crop: 'limit', quality: 'auto' }
-          ],
-          eager_async: false,
-        },
-        (error, uploadResult) => {
-          if (error) return reject(error);
-          resolve(uploadResult);
-        }
-      );
-      uploadStream.end(req.file.buffer);
+    // Validates, deduplicates and stores the file, then creates the note
+    let note;
+    try {
+      note = await NoteService.createFromFile(req.file.path, {
+        title: req.body.title,
+        filename: req.file.originalname || 'file.pdf',
+        tags: tagsFromBody(req.body),
+        uploader: req.session.user.id,
+        uploaderName: req.session.user.name || req.session.user.username,
+      });
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    
+    apiResponse(res, {
+      status: 201,
+      message: 'File uploaded successfully',
+      data: note
     });
+  })
+);
+
+// Upload several PDFs and/or ZIP archives at once (requires authentication).
+// Every PDF becomes its own note titled after its file name; the response reports
+// what happened to each file.
+router.post('/bulk',
+  requireAuth,
+  multipleFiles('files', MAX_BULK_FILES),
+  asyncHandler(async (req, res) => {
+    const files = (req.files || []).map(file => ({
+      path: file.path,
+      filename: file.originalname || 'file.pdf',
+    }));
+    if (!files.length) {
+      return apiResponse(res, { success: false, status: 400, message: 'No files uploaded' });
+    }
 
-    const eagerThumb = Array.isArray(result.eager) && result.eager[0] && result.eager[0].secure_url
-      ? result.eager[0].secure_url
-      : '';
+    let tags;
+    try {
+      tags = tagsFromBody(req.body);
+    } catch (err) {
+      return apiError(res, err);
+    }
 
-    // Create note in database, persisting the thumbnailUrl
-    const note = new Note({
-      title: req.body.title || originalName,
-      fileUrl: result.secure_url, // Cloudinary secure URL to the PDF
-      fileType: 'application/pdf',
-      thumbnailUrl: eagerThumb,
+    // Tags sent with the batch apply to every note in it
+    const results = await NoteService.createFromUploads(files, {
+      tags,
       uploader: req.session.user.id,
       uploaderName: req.session.user.name || req.session.user.username,
     });
+    const created = results.filter(r => r.status === 'created').length;
 
-    await note.save();
-    
     apiResponse(res, {
-      status: 201,
-      message: 'File uploaded successfully',
-      data: note
+      status: created ? 201 : 200,
+      message: `${created} of ${results.length} file(s) uploaded`,
+      data: { created, results },
     });
   })
 );
 
-// Helper: best-effort derive Cloudinary public_id (with folder) from a fileUrl
-function derivePublicIdFromUrl(url) {
-  try {
-    const u = new URL(url);
-    const parts = u.pathname.split('/');
-    const uploadIdx = parts.findIndex(p => p === 'upload');
-    if (uploadIdx === -1) return null;
-    const afterUpload = parts.slice(uploadIdx + 1); // [ 'v123', 'folder', 'name.ext' ]
-    const withoutVersion = afterUpload[0] && /^v\d+$/i.test(afterUpload[0])
-      ? afterUpload.slice(1)
-      : afterUpload;
-    if (!withoutVersion.length) return null;
-    const last = withoutVersion[withoutVersion.length - 1];
-    const base = last.replace(/\.[^.]+$/, ''); // remove extension
-    const folders = withoutVersion.slice(0, -1);
-    return [...folders, base].join('/');
-  } catch {
-    return null;
-  }
-}
-
-// Create a note by saving metadata after client-direct Cloudinary upload
+// Create a note by saving metadata after a client-direct storage upload
 router.post('/create', 
   requireAuth,
   asyncHandler(async (req, res) => {
-    const { title, fileUrl, fileType, thumbnailUrl } = req.body || {};
+    const { title, fileUrl, thumbnailUrl } = req.body || {};
 
     if (!fileUrl || typeof fileUrl !== 'string') {
       return apiResponse(res, { success: false, status: 400, message: 'fileUrl is required' });
     }
+    // Only files in our own storage; the download proxy fetches whatever a note points at
+    if (!isOwnFileUrl(fileUrl)) {
+      return apiResponse(res, {
+        success: false,
+        status: 400,
+        message: 'fileUrl must point to a file uploaded to this site',
+        data: { code: 'foreign_url' },
+      });
+    }
 
-    // If client did not provide thumbnailUrl, compute a deterministic first-page PNG URL
+    // Keep the client's thumbnailUrl only if it is served by our own storage;
+    // otherwise the storage driver derives a first-page PNG URL
     let finalThumb = (typeof thumbnailUrl === 'string' && thumbnailUrl.trim()) ? thumbnailUrl.trim() : '';
-    if (!finalThumb) {
-      const pid = derivePublicIdFromUrl(fileUrl);
-      if (pid) {
-        finalThumb = cloudinary.url(`${pid}.png`, {
-          resource_type: 'image',
-          page: 1,
-          transformation: [ { width: 600, crop: 'limit', quality: 'auto' } ],
-          secure: true,
-        });
-      }
-    }
-
-    const note = new Note({
-      title: title && String(title).trim() ? String(title).trim() : 'Untitled',
-      fileUrl,
-      fileType: fileType || 'application/pdf',
-      thumbnailUrl: finalThumb || '',
-      uploader: req.session.user.id,
-      uploaderName: req.session.user.name || req.session.user.username,
-    });
+    if (finalThumb && !getStorageForUrl(fileUrl).isDeliveryUrl(finalThumb)) finalThumb = '';
 
-    await note.save();
+    // The browser uploaded the file itself, so the same checks run on what actually landed in storage
+    let note;
+    try {
+      note = await NoteService.createFromStoredFile(fileUrl, {
+        title: title && String(title).trim() ? String(title).trim() : 'Untitled',
+        tags: tagsFromBody(req.body),
+        thumbnailUrl: finalThumb,
+        uploader: req.session.user.id,
+        uploaderName: req.session.user.name || req.session.user.username,
+      });
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
 
     return apiResponse(res, { status: 201, message: 'Note saved', data: note });
   })
@@ -188,15 +216,196 @@ router.delete('/:id',
   validateObjectId,
   checkOwnership(Note),
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    await Note.findByIdAndDelete(id);
-    
+    await NoteService.deleteNote(req.params.id);
+
     apiResponse(res, {
       message: 'Note deleted successfully'
     });
   })
 );
 
+// Edit a note's metadata (owner only). Body: any of { title, description, tags,
+// subject, courseCode, examType }; fields left out keep their current value. `tags`
+// replaces every tag, while subject / courseCode / examType alone only replace that one.
+router.patch('/:id',
+  requireAuth,
+  validateObjectId,
+  checkOwnership(Note),
+  asyncHandler(async (req, res) => {
+    let changes;
+    try {
+      changes = metadataFromBody(req.body, req.resource.tags);
+    } catch (err) {
+      return apiError(res, err);
+    }
+    const note = await NoteService.updateNote(req.resource, changes);
+    apiResponse(res, { message: 'Note updated', data: note });
+  })
+);
+
+// Replace a note's tags (owner only). Body: { tags, subject?, courseCode?, examType? }
+router.put('/:id/tags',
+  requireAuth,
+  validateObjectId,
+  checkOwnership(Note),
+  asyncHandler(async (req, res) => {
+    let tags;
+    try {
+      tags = tagsFromBody(req.body);
+    } catch (err) {
+      return apiError(res, err);
+    }
+    const note = await NoteService.setTags(req.resource, tags);
+    apiResponse(res, { message: 'Tags updated', data: note });
+  })
+);
+
+// File versions of a note, newest first
+router.get('/:id/revisions',
+  validateObjectId,
+  asyncHandler(async (req, res) => {
+    const note = await Note.findById(req.params.id);
+    if (!note || !canView(note, req.session.user)) {
+      return apiResponse(res, { success: false, status: 404, message: 'File not found' });
+    }
+    apiResponse(res, { data: NoteService.listRevisions(note) });
+  })
+);
+
+// Upload a new file version, keeping the older ones (owner only)
+router.post('/:id/revisions',
+  requireAuth,
+  validateObjectId,
+  checkOwnership(Note),
+  singleFile('file'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return apiResponse(res, { success: false, status: 400, message: 'No file uploaded' });
+    }
+
+    let note;
+    try {
+      note = await NoteService.addRevision(req.resource, req.file.path, {
+        filename: req.file.originalname || 'file.pdf',
+      });
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+
+    apiResponse(res, {
+      status: 201,
+      message: `Version ${note.revision} uploaded`,
+      data: note,
+    });
+  })
+);
+
+// Share links of a note that still open (owner only)
+router.get('/:id/shares',
+  requireAuth,
+  validateObjectId,
+  checkOwnership(Note),
+  asyncHandler(async (req, res) => {
+    const links = await ShareService.listActive(req.session.user.id, { noteId: req.resource._id });
+    apiResponse(res, { data: links.map(link => ShareService.describe(link)) });
+  })
+);
+
+// Create a signed share link (owner only). Body: { expiresInDays?, maxDownloads? };
+// the link opens the note even when it is private, until it expires, runs out of
+// downloads or is revoked
+router.post('/:id/shares',
+  requireAuth,
+  validateObjectId,
+  checkOwnership(Note),
+  asyncHandler(async (req, res) => {
+    let link;
+    try {
+      link = await ShareService.create(req.resource, req.session.user, req.body || {});
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    apiResponse(res, { status: 201, message: 'Share link created', data: ShareService.describe(link) });
+  })
+);
+
+// The note, if the caller may vote on or report it: one they may open and did not upload
+const loadOthersNote = (ownNoteMessage) => asyncHandler(async (req, res, next) => {
+  const note = await Note.findById(req.params.id).select('uploader uploaderName visibility');
+  if (!note || !canView(note, req.session.user)) {
+    return apiResponse(res, { success: false, status: 404, message: 'Note not found' });
+  }
+  if (isOwner(note, req.session.user)) {
+    return apiResponse(res, { success: false, status: 403, message: ownNoteMessage });
+  }
+  req.note = note;
+  next();
+});
+const loadVotableNote = loadOthersNote("You can't vote on your own note");
+const loadReportableNote = loadOthersNote("You can't report your own note");
+
+// Vote on a note, one vote per user. Body: { value } with 1 up, -1 down or 0 to take the
+// vote back; responds with { value, upvotes, downvotes, score }
+router.put('/:id/vote',
+  requireAuth,
+  validateObjectId,
+  loadVotableNote,
+  asyncHandler(async (req, res) => {
+    let vote;
+    try {
+      vote = await VoteService.vote(req.note, req.session.user, (req.body || {}).value);
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    apiResponse(res, { message: vote.value ? 'Vote recorded' : 'Vote removed', data: vote });
+  })
+);
+
+router.delete('/:id/vote',
+  requireAuth,
+  validateObjectId,
+  loadVotableNote,
+  asyncHandler(async (req, res) => {
+    const vote = await VoteService.vote(req.note, req.session.user, 0);
+    apiResponse(res, { message: 'Vote removed', data: vote });
+  })
+);
+
+// Report a note to the moderators (services/reportService.js). Body: { reason, details? }
+// with reason spam|copyright|offensive|other; one open report per user and note
+router.post('/:id/report',
+  requireAuth,
+  validateObjectId,
+  loadReportableNote,
+  asyncHandler(async (req, res) => {
+    try {
+      await ReportService.report(req.note, req.session.user, req.body || {});
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    apiResponse(res, { status: 201, message: 'Thanks, the moderators will take a look' });
+  })
+);
+
+// Comments and their threads (routes/commentRoutes.js)
+router.use('/:id/comments', commentRoutes);
+
+// View and download counts (owner only): all-time totals and a daily series of the
+// last ?days=30 days (max 365), oldest first
+router.get('/:id/stats',
+  requireAuth,
+  validateObjectId,
+  checkOwnership(Note),
+  asyncHandler(async (req, res) => {
+    const stats = await AnalyticsService.noteStats(req.resource, { days: AnalyticsService.parseDays(req.query.days) });
+    apiResponse(res, { data: stats });
+  })
+);
+
 // Download a note
 router.get('/download/:id', 
   validateObjectId,
@@ -204,7 +413,7 @@ router.get('/download/:id',
     const { id } = req.params;
     const note = await Note.findById(id);
     
-    if (!note) {
+    if (!note || !canView(note, req.session.user)) {
       return apiResponse(res, {
         success: false,
         message: 'File not found',
@@ -212,12 +421,9 @@ router.get('/download/:id',
       });
     }
     
-    // Forward the request to Cloudinary
-    const targetUrl = note.fileUrl;
-    // ... (existing download logic)
-    
-    // For now, redirect to the file URL
-    res.redirect(targetUrl);
+    // Serve through the proxy, which only talks to our own storage
+    const rev = parseInt(req.query.rev, 10);
+    res.redirect(`/download/${id}?download=1${rev ? `&rev=${rev}` : ''}`);
   })
 );
 
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const NotificationService = require('../services/notificationService');
+const DigestService = require('../services/digestService');
+const { requireAuth, validateObjectId } = require('../middleware/auth');
+const { asyncHandler, apiResponse, apiError } = require('../utils/helpers');
+const { parseLimit } = require('../utils/pagination');
+
+// The logged-in user's notifications (services/notificationService.js)
+//   GET  /api/notifications               -> newest first: { data, nextCursor }
+//                                            (?limit=20, max 100; ?cursor=<nextCursor of the previous page>)
+//   GET  /api/notifications/unread-count  -> { count }
+//   POST /api/notifications/:id/read      -> mark one read
+//   POST /api/notifications/read-all      -> mark all read
+//   GET  /api/notifications/preferences   -> { digest: 'off' | 'daily' | 'weekly' }
+//   PUT  /api/notifications/preferences   { digest } -> change the email digest
+
+// A notification as the API returns it, with its text and where it leads
+function serialize(notification) {
+  return {
+    ...notification,
+    text: NotificationService.describe(notification),
+    url: NotificationService.linkFor(notification),
+  };
+}
+
+router.get('/',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    let page;
+    try {
+      page = await NotificationService.list(req.session.user.id, {
+        cursor: req.query.cursor,
+        limit: parseLimit(req.query.limit),
+      });
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    apiResponse(res, { data: page.notifications.map(serialize), nextCursor: page.nextCursor });
+  })
+);
+
+router.get('/unread-count',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    apiResponse(res, { data: { count: await NotificationService.unreadCount(req.session.user.id) } });
+  })
+);
+
+router.post('/read-all',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const marked = await NotificationService.markAllRead(req.session.user.id);
+    apiResponse(res, { message: 'All notifications read', data: { marked } });
+  })
+);
+
+router.get('/preferences',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const { frequency } = await DigestService.getPreferences(req.session.user.id);
+    apiResponse(res, { data: { digest: frequency } });
+  })
+);
+
+router.put('/preferences',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    let preferences;
+    try {
+      preferences = await DigestService.setFrequency(req.session.user.id, (req.body || {}).digest);
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    apiResponse(res, { message: 'Preferences saved', data: { digest: preferences.frequency } });
+  })
+);
+
+router.post('/:id/read',
+  requireAuth,
+  validateObjectId,
+  asyncHandler(async (req, res) => {
+    if (!(await NotificationService.markRead(req.session.user.id, req.params.id))) {
+      return apiResponse(res, { success: false, status: 404, message: 'Notification not found' });
+    }
+    apiResponse(res, { message: 'Notification read' });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const noteSchema = require('../models/noteSchema');
+const ShareService = require('../services/shareService');
+const { requireAuth, validateObjectId } = require('../middleware/auth');
+const { asyncHandler, apiResponse } = require('../utils/helpers');
+
+// Share links (see services/shareService.js). Links are created per note with
+// POST /api/notes/:id/shares; these routes manage all of a user's links.
+//   GET    /api/shares      -> the user's links that still open, with their note titles
+//   DELETE /api/shares/:id  -> revoke a link
+
+const { pdfDB } = require('../db');
+const Note = pdfDB.model('Note', noteSchema);
+
+router.get('/',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const links = await ShareService.listActive(req.session.user.id);
+    const notes = await Note.find({ _id: { $in: links.map(link => link.note) } }).select('title');
+    const titles = new Map(notes.map(note => [String(note._id), note.title]));
+    apiResponse(res, {
+      data: links.map(link => ({ ...ShareService.describe(link), title: titles.get(String(link.note)) || '' })),
+    });
+  })
+);
+
+router.delete('/:id',
+  requireAuth,
+  validateObjectId,
+  asyncHandler(async (req, res) => {
+    const link = await ShareService.revoke(req.params.id, req.session.user.id);
+    if (!link) {
+      return apiResponse(res, { success: false, status: 404, message: 'Share link not found' });
+    }
+    apiResponse(res, { message: 'Share link revoked' });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const UploadService = require('../services/uploadService');
+const NoteService = require('../services/noteService');
+const { requireAuth, validateObjectId, canManage } = require('../middleware/auth');
+const { asyncHandler, apiResponse, isValidObjectId } = require('../utils/helpers');
+const { tagsFromBody } = require('../utils/tags');
+
+// Resumable upload protocol:
+//   POST   /api/uploads               { filename, size, title, tags?, noteId? } -> start, returns uploadId + chunkSize
+//                                      (noteId: upload a new version of that note; owner only)
+//   PUT    /api/uploads/:id           raw bytes, Upload-Offset header -> append one chunk
+//   GET    /api/uploads/:id           -> current offset, to resume after a failure or refresh
+//   POST   /api/uploads/:id/finalize  -> stream to storage and create the note
+//   DELETE /api/uploads/:id           -> abandon the upload
+
+function serialize(session) {
+  return {
+    uploadId: session._id,
+    filename: session.filename,
+    title: session.title,
+    tags: session.tags,
+    noteId: session.note,
+    size: session.size,
+    offset: session.offset,
+    chunkSize: UploadService.chunkSize,
+  };
+}
+
+// Forward the service's status-carrying errors as API responses
+// (with the server offset for resumes, or the code and details for rejected PDFs)
+function sendUploadError(res, err) {
+  if (!err.status) throw err;
+  const data = {};
+  if (err.offset !== undefined) data.offset = err.offset;
+  if (err.code) Object.assign(data, { code: err.code }, err.data);
+  return apiResponse(res, {
+    success: false,
+    status: err.status,
+    message: err.message,
+    data: Object.keys(data).length ? data : null,
+  });
+}
+
+// Load the caller's session or answer 404
+const loadSession = asyncHandler(async (req, res, next) => {
+  const session = await UploadService.getSession(req.params.id, req.session.user.id);
+  if (!session) {
+    return apiResponse(res, { success: false, status: 404, message: 'Upload not found' });
+  }
+  req.uploadSession = session;
+  next();
+});
+
+// Start a resumable upload
+router.post('/',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const { noteId } = req.body || {};
+    if (noteId) {
+      const note = isValidObjectId(noteId) ? await NoteService.getNoteById(noteId) : null;
+      if (!note) return apiResponse(res, { success: false, status: 404, message: 'Note not found' });
+      if (!canManage(note, req.session.user)) {
+        return apiResponse(res, { success: false, status: 403, message: 'Not authorized to perform this action' });
+      }
+    }
+    try {
+      const session = await UploadService.init(req.session.user, {
+        ...req.body,
+        tags: tagsFromBody(req.body),
+      });
+      return apiResponse(res, { status: 201, message: 'Upload started', data: serialize(session) });
+    } catch (err) {
+      return sendUploadError(res, err);
+    }
+  })
+);
+
+// Upload status (used to resume)
+router.get('/:id',
+  requireAuth,
+  validateObjectId,
+  loadSession,
+  (req, res) => apiResponse(res, { data: serialize(req.uploadSession) })
+);
+
+// Append a chunk; the body is the raw bytes, Upload-Offset says where they go
+router.put('/:id',
+  requireAuth,
+  validateObjectId,
+  loadSession,
+  asyncHandler(async (req, res) => {
+    const offset = parseInt(req.get('Upload-Offset') ?? req.query.offset, 10);
+    const length = parseInt(req.get('Content-Length'), 10);
+    if (!Number.isInteger(length) || length <= 0) {
+      return apiResponse(res, { success: false, status: 411, message: 'Content-Length is required' });
+    }
+    try {
+      const session = await UploadService.appendChunk(req.uploadSession, offset, req, length);
+      return apiResponse(res, { message: 'Chunk stored', data: serialize(session) });
+    } catch (err) {
+      // Drain whatever the client is still sending so it sees our answer
+      req.resume();
+      return sendUploadError(res, err);
+    }
+  })
+);
+
+// Assemble, store and create the note
+router.post('/:id/finalize',
+  requireAuth,
+  validateObjectId,
+  loadSession,
+  asyncHandler(async (req, res) => {
+    try {
+      const note = await UploadService.finalize(req.uploadSession);
+      return apiResponse(res, { status: 201, message: 'File uploaded successfully', data: note });
+    } catch (err) {
+      return sendUploadError(res, err);
+    }
+  })
+);
+
+// Abandon an upload
+router.delete('/:id',
+  requireAuth,
+  validateObjectId,
+  loadSession,
+  asyncHandler(async (req, res) => {
+    await UploadService.abort(req.uploadSession);
+    return apiResponse(res, { message: 'Upload cancelled' });
+  })
+);
+
+module.exports = router;
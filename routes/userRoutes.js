@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const userLoginSchema = require('../models/userlogin');
+const FollowService = require('../services/followService');
+const NotificationService = require('../services/notificationService');
+const { requireAuth, validateObjectId } = require('../middleware/auth');
+const { asyncHandler, apiResponse, apiError } = require('../utils/helpers');
+
+// Following other users (services/followService.js); their new uploads make up /feed
+//   PUT    /api/users/:id/follow  -> follow (following twice changes nothing)
+//   DELETE /api/users/:id/follow  -> unfollow
+// Both answer { isFollowing, followers, following } with the followed user's counts.
+
+const { userDB } = require('../db');
+const User = userDB.model('UserLogin', userLoginSchema);
+
+async function followState(followerId, userId) {
+  const [isFollowing, counts] = await Promise.all([
+    FollowService.isFollowing(followerId, userId),
+    FollowService.counts(userId),
+  ]);
+  return { isFollowing, ...counts };
+}
+
+router.put('/:id/follow',
+  requireAuth,
+  validateObjectId,
+  asyncHandler(async (req, res) => {
+    if (!(await User.exists({ _id: req.params.id }))) {
+      return apiResponse(res, { success: false, status: 404, message: 'User not found' });
+    }
+    let created;
+    try {
+      created = await FollowService.follow(req.session.user.id, req.params.id);
+    } catch (err) {
+      if (!err.status) throw err;
+      return apiError(res, err);
+    }
+    if (created) await NotificationService.followed(req.params.id, req.session.user);
+    apiResponse(res, { message: 'Following', data: await followState(req.session.user.id, req.params.id) });
+  })
+);
+
+router.delete('/:id/follow',
+  requireAuth,
+  validateObjectId,
+  asyncHandler(async (req, res) => {
+    await FollowService.unfollow(req.session.user.id, req.params.id);
+    apiResponse(res, { message: 'Unfollowed', data: await followState(req.session.user.id, req.params.id) });
+  })
+);
+
+module.exports = router;
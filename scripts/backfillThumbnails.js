@@ -0,0 +1,65 @@
+// Thumbnail backfill
+// Renders first-page previews (sm/md/lg) with poppler for every note that has no
+// thumbnailUrl, and stores them on the note.
+//
+// Usage: npm run thumbnails:backfill -- [--dry-run] [--all]
+//   --dry-run  list the notes that would be rendered without touching anything
+//   --all      also re-render notes that already have a preview but no local sizes
+//              (e.g. after switching THUMBNAIL_SOURCE to local)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const noteSchema = require('../models/noteSchema');
+const ThumbnailService = require('../services/thumbnailService');
+const { downloadToTempFile } = require('../services/storage');
+const { removeTempFile } = require('../utils/uploads');
+
+function parseArgs(argv) {
+  return { dryRun: argv.includes('--dry-run'), all: argv.includes('--all') };
+}
+
+async function main() {
+  const { dryRun, all } = parseArgs(process.argv.slice(2));
+  const pdfDB = await mongoose.createConnection(process.env.PDF_DB_URI).asPromise();
+  const Note = pdfDB.model('Note', noteSchema);
+
+  const missing = [{ thumbnailUrl: { $in: [null, ''] } }];
+  if (all) missing.push({ 'thumbnails.md': { $in: [null, ''] } });
+
+  try {
+    let rendered = 0;
+    let failed = 0;
+    for await (const note of Note.find({ $or: missing }).select('title fileUrl thumbnailUrl revision').cursor()) {
+      if (dryRun) {
+        console.log(`[dry-run] would render "${note.title}" (${note._id})`);
+        rendered++;
+        continue;
+      }
+
+      let tempPath = null;
+      try {
+        tempPath = await downloadToTempFile(note.fileUrl);
+        // Same naming as at upload time: <noteId> for version 1, <noteId>-r<N> after that
+        const key = (note.revision || 1) > 1 ? `${note._id}-r${note.revision}` : String(note._id);
+        const thumbnails = await ThumbnailService.render(tempPath, key);
+        if (!thumbnails) throw new Error('poppler could not render the first page');
+        await Note.updateOne({ _id: note._id }, { $set: { thumbnailUrl: thumbnails.md, thumbnails } });
+        console.log(`Rendered "${note.title}" (${note._id})`);
+        rendered++;
+      } catch (err) {
+        console.error(`Could not render ${note._id} (${note.fileUrl}):`, err.message);
+        failed++;
+      } finally {
+        if (tempPath) await removeTempFile(tempPath);
+      }
+    }
+
+    console.log(`✅ ${dryRun ? 'Would render' : 'Rendered'} ${rendered} note(s); ${failed} failed.`);
+  } finally {
+    await pdfDB.close();
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Thumbnail backfill failed:', err);
+  process.exit(1);
+});
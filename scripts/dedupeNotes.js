@@ -0,0 +1,177 @@
+// Duplicate notes
+// 1) Hashes (SHA-256) every note's stored file that has no contentHash yet.
+// 2) For each set of notes holding the same bytes, keeps the oldest one and merges the
+//    others into it: their tags, view/download counts and daily stats are added to it,
+//    then each duplicate note is deleted together with its stored copy and its search
+//    text; its share links, collection entries, saves, comments, votes, notifications,
+//    reports and moderation decisions move over to the kept note.
+//    Listed copies are merged whoever uploaded them. Unlisted, private and hidden copies
+//    are only merged into the same uploader's note with the same visibility; the others
+//    are left alone and reported (utils/duplicates.js).
+//
+// Usage: npm run notes:dedupe -- [--dry-run]
+//   --dry-run  report what would change without writing or deleting anything
+require('dotenv').config();
+const mongoose = require('mongoose');
+const noteSchema = require('../models/noteSchema');
+const noteTextSchema = require('../models/noteTextSchema');
+const shareLinkSchema = require('../models/shareLinkSchema');
+const collectionSchema = require('../models/collectionSchema');
+const savedNoteSchema = require('../models/savedNoteSchema');
+const noteStatSchema = require('../models/noteStatSchema');
+const noteVisitSchema = require('../models/noteVisitSchema');
+const commentSchema = require('../models/commentSchema');
+const voteSchema = require('../models/voteSchema');
+const notificationSchema = require('../models/notificationSchema');
+const reportSchema = require('../models/reportSchema');
+const moderationActionSchema = require('../models/moderationActionSchema');
+const { RANK_EXPRESSION } = require('../utils/ranking');
+const { downloadToTempFile, removeStoredFile } = require('../services/storage');
+const { sha256File, removeTempFile } = require('../utils/uploads');
+const { isListed } = require('../utils/visibility');
+const { describeAudience, groupCopies } = require('../utils/duplicates');
+
+function parseArgs(argv) {
+  return { dryRun: argv.includes('--dry-run') };
+}
+
+async function hashStoredFile(fileUrl) {
+  const tempPath = await downloadToTempFile(fileUrl);
+  try {
+    return await sha256File(tempPath);
+  } finally {
+    await removeTempFile(tempPath);
+  }
+}
+
+// Fold `duplicate` into `keep`: its tags and views carry over, then the note and its own copy of
+// the file go away (the file is kept when both notes point at the same stored asset).
+async function mergeInto({ Note, NoteText, ShareLink, Collection, SavedNote, NoteStat, NoteVisit, Comment, Vote, Notification, Report, ModerationAction }, keep, duplicate, dryRun) {
+  console.log(`${dryRun ? '[dry-run] would merge' : 'Merging'} "${duplicate.title}" (${duplicate._id}) into "${keep.title}" (${keep._id})`);
+  if (dryRun) return;
+  await Note.updateOne({ _id: keep._id }, {
+    $addToSet: { tags: { $each: duplicate.tags || [] } },
+    $inc: { viewCount: duplicate.viewCount || 0, downloadCount: duplicate.downloadCount || 0 },
+  });
+  // Daily stats add up day by day
+  for (const stat of await NoteStat.find({ note: duplicate._id }).lean()) {
+    await NoteStat.updateOne(
+      { note: keep._id, day: stat.day },
+      { $inc: { views: stat.views || 0, downloads: stat.downloads || 0 } },
+      { upsert: true }
+    );
+  }
+  await NoteStat.deleteMany({ note: duplicate._id });
+  await NoteVisit.deleteMany({ note: duplicate._id });
+  await Note.deleteOne({ _id: duplicate._id });
+  await NoteText.deleteOne({ note: duplicate._id });
+  await NoteText.updateOne({ note: keep._id }, { $addToSet: { tags: { $each: duplicate.tags || [] } } });
+  // Links shared for the duplicate keep working, now opening the kept note
+  await ShareLink.updateMany({ note: duplicate._id }, { $set: { note: keep._id } });
+  // Collections holding both just lose the duplicate; the others get the kept note in its place
+  await Collection.updateMany({ notes: { $all: [duplicate._id, keep._id] } }, { $pull: { notes: duplicate._id } });
+  await Collection.updateMany({ notes: duplicate._id }, { $set: { 'notes.$': keep._id } });
+  // Same for saves: a user saves a note once
+  const savedBoth = await SavedNote.distinct('user', { note: keep._id });
+  await SavedNote.deleteMany({ note: duplicate._id, user: { $in: savedBoth } });
+  await SavedNote.updateMany({ note: duplicate._id }, { $set: { note: keep._id } });
+  await Comment.updateMany({ note: duplicate._id }, { $set: { note: keep._id } });
+  await Notification.updateMany({ note: duplicate._id }, { $set: { note: keep._id } });
+  // Reports and moderation decisions follow too; a user has one open report per note
+  const reportedBoth = await Report.distinct('reporter', { note: keep._id, status: 'open' });
+  await Report.deleteMany({ note: duplicate._id, status: 'open', reporter: { $in: reportedBoth } });
+  await Report.updateMany({ note: duplicate._id }, { $set: { note: keep._id } });
+  await ModerationAction.updateMany({ note: duplicate._id }, { $set: { note: keep._id } });
+  // And for votes, except the kept note's uploader's, who can't vote on it; then the
+  // kept note's totals and rank are counted again
+  const votedBoth = await Vote.distinct('user', { note: keep._id });
+  await Vote.deleteMany({ note: duplicate._id, user: { $in: keep.uploader ? [...votedBoth, keep.uploader] : votedBoth } });
+  await Vote.updateMany({ note: duplicate._id }, { $set: { note: keep._id } });
+  const [upvotes, downvotes] = await Promise.all([
+    Vote.countDocuments({ note: keep._id, value: 1 }),
+    Vote.countDocuments({ note: keep._id, value: -1 }),
+  ]);
+  await Note.updateOne({ _id: keep._id }, [
+    { $set: { upvotes, downvotes, score: upvotes - downvotes } },
+    { $set: { rank: RANK_EXPRESSION } },
+  ]);
+  const sharedFile = duplicate.fileUrl === keep.fileUrl
+    || (duplicate.publicId && duplicate.publicId === keep.publicId);
+  if (!sharedFile) await removeStoredFile(duplicate);
+}
+
+async function main() {
+  const { dryRun } = parseArgs(process.argv.slice(2));
+  const pdfDB = await mongoose.createConnection(process.env.PDF_DB_URI).asPromise();
+  const Note = pdfDB.model('Note', noteSchema);
+  const NoteText = pdfDB.model('NoteText', noteTextSchema);
+  const ShareLink = pdfDB.model('ShareLink', shareLinkSchema);
+  const Collection = pdfDB.model('Collection', collectionSchema);
+  const SavedNote = pdfDB.model('SavedNote', savedNoteSchema);
+  const NoteStat = pdfDB.model('NoteStat', noteStatSchema);
+  const NoteVisit = pdfDB.model('NoteVisit', noteVisitSchema);
+  const Comment = pdfDB.model('Comment', commentSchema);
+  const Vote = pdfDB.model('Vote', voteSchema);
+  const Notification = pdfDB.model('Notification', notificationSchema);
+  const Report = pdfDB.model('Report', reportSchema);
+  const ModerationAction = pdfDB.model('ModerationAction', moderationActionSchema);
+
+  try {
+    // Group notes by content hash, hashing the ones that predate it
+    const groups = new Map();
+    let hashed = 0;
+    let failed = 0;
+    const notes = Note.find({})
+      .select('title tags fileUrl publicId resourceType revisions contentHash uploader uploadedAt visibility hidden viewCount downloadCount')
+      .sort({ uploadedAt: 1 })
+      .cursor();
+    for await (const note of notes) {
+      let hash = note.contentHash;
+      if (!hash) {
+        try {
+          hash = await hashStoredFile(note.fileUrl);
+          hashed++;
+        } catch (err) {
+          console.error(`Could not read ${note._id} (${note.fileUrl}):`, err.message);
+          failed++;
+          continue;
+        }
+      }
+      if (!groups.has(hash)) groups.set(hash, []);
+      groups.get(hash).push(note);
+    }
+
+    let merged = 0;
+    let skipped = 0;
+    for (const [hash, group] of groups) {
+      // The cursor is sorted by uploadedAt, so each copy that stays is the oldest of its kind
+      const copies = groupCopies(group);
+      for (const { keep, duplicates } of copies) {
+        for (const duplicate of duplicates) {
+          await mergeInto({ Note, NoteText, ShareLink, Collection, SavedNote, NoteStat, NoteVisit, Comment, Vote, Notification, Report, ModerationAction }, keep, duplicate, dryRun);
+          merged++;
+        }
+      }
+      const kept = copies.map(copy => copy.keep);
+      for (const note of kept.slice(1)) {
+        console.log(`Skipping "${note.title}" (${note._id}): same file as "${kept[0].title}" (${kept[0]._id}) but ${describeAudience(note)} instead of ${describeAudience(kept[0])}`);
+        skipped++;
+      }
+      // The unique index allows one note per hash. Unless a copy that stays carries it
+      // already, it goes to the listed copy (or the oldest) now that the merged ones are gone.
+      if (!kept.some(n => n.contentHash) && !dryRun) {
+        const holder = kept.find(isListed) || kept[0];
+        await Note.updateOne({ _id: holder._id }, { $set: { contentHash: hash } });
+      }
+    }
+
+    console.log(`✅ Hashed ${hashed} note(s) (${failed} unreadable); ${dryRun ? 'would merge' : 'merged'} ${merged} duplicate(s) across ${groups.size} distinct file(s); skipped ${skipped} unlisted, private or hidden copies.`);
+  } finally {
+    await pdfDB.close();
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Deduplication failed:', err);
+  process.exit(1);
+});
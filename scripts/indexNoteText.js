@@ -0,0 +1,101 @@
+// Search index backfill
+// Extracts the text of every note that has none stored yet (e.g. notes uploaded before
+// full-text search, or while poppler was missing) so /api/notes/search can find it, and
+// copies the hidden flag of notes hidden by a moderator to their stored text.
+//
+// Usage: npm run search:index -- [--dry-run] [--all]
+//   --dry-run  list the notes that would be indexed without touching anything
+//   --all      re-extract every note, also the ones already indexed
+require('dotenv').config();
+const mongoose = require('mongoose');
+const noteSchema = require('../models/noteSchema');
+const noteTextSchema = require('../models/noteTextSchema');
+const { downloadToTempFile } = require('../services/storage');
+const { removeTempFile } = require('../utils/uploads');
+const { extractText } = require('../utils/poppler');
+
+// Same cap as at upload time (services/searchService.js)
+const MAX_TEXT_CHARS = 4 * 1024 * 1024;
+
+function parseArgs(argv) {
+  return { dryRun: argv.includes('--dry-run'), all: argv.includes('--all') };
+}
+
+async function main() {
+  const { dryRun, all } = parseArgs(process.argv.slice(2));
+  const pdfDB = await mongoose.createConnection(process.env.PDF_DB_URI).asPromise();
+  const Note = pdfDB.model('Note', noteSchema);
+  const NoteText = pdfDB.model('NoteText', noteTextSchema);
+
+  try {
+    // Notes whose text was extracted from their current version are skipped
+    const indexed = new Set();
+    if (!all) {
+      for await (const doc of NoteText.find({ 'pages.0': { $exists: true } }).select('note revision').cursor()) {
+        indexed.add(`${doc.note}:${doc.revision}`);
+      }
+    }
+
+    // Copy moderators' hidden flags to text indexed before the index kept them
+    const hidden = await Note.distinct('_id', { hidden: true });
+    if (!dryRun) {
+      await NoteText.updateMany({ note: { $in: hidden } }, { $set: { hidden: true } });
+    }
+
+    let extracted = 0;
+    let skipped = 0;
+    let failed = 0;
+    const notes = Note.find({}).select('title tags fileUrl revision uploader uploaderName uploadedAt visibility hidden').cursor();
+    for await (const note of notes) {
+      if (indexed.has(`${note._id}:${note.revision || 1}`)) {
+        skipped++;
+        continue;
+      }
+      if (dryRun) {
+        console.log(`[dry-run] would index "${note.title}" (${note._id})`);
+        extracted++;
+        continue;
+      }
+
+      let tempPath = null;
+      try {
+        tempPath = await downloadToTempFile(note.fileUrl);
+        const pages = await extractText(tempPath, { maxChars: MAX_TEXT_CHARS });
+        await NoteText.updateOne(
+          { note: note._id },
+          {
+            $set: {
+              title: note.title,
+              pages,
+              revision: note.revision || 1,
+              uploader: note.uploader,
+              uploaderName: note.uploaderName || '',
+              uploadedAt: note.uploadedAt,
+              tags: note.tags || [],
+              visibility: note.visibility || 'public',
+              hidden: Boolean(note.hidden),
+              extractedAt: new Date(),
+            },
+          },
+          { upsert: true }
+        );
+        console.log(`Indexed "${note.title}" (${note._id}): ${pages.length} page(s)`);
+        extracted++;
+      } catch (err) {
+        console.error(`Could not index ${note._id} (${note.fileUrl}):`, err.message);
+        failed++;
+      } finally {
+        if (tempPath) await removeTempFile(tempPath);
+      }
+    }
+
+    console.log(`✅ ${dryRun ? 'Would index' : 'Indexed'} ${extracted} note(s); ${skipped} already indexed, ${failed} failed.`);
+  } finally {
+    await pdfDB.close();
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Search indexing failed:', err);
+  process.exit(1);
+});
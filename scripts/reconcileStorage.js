@@ -0,0 +1,79 @@
+// Storage reconciliation
+// 1) Backfills publicId/resourceType on legacy notes by deriving them from fileUrl.
+// 2) Lists the pdf_uploads folder of the active storage driver and purges every
+//    asset that no note (or older revision of a note) references.
+//
+// Usage: npm run storage:reconcile -- [--dry-run] [--min-age-hours=24]
+//   --dry-run          report what would change without writing or deleting anything
+//   --min-age-hours=N  leave assets younger than N hours alone (a direct browser upload
+//                      exists in storage a moment before its note is saved)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const noteSchema = require('../models/noteSchema');
+const { getStorage, getStorageForUrl } = require('../services/storage');
+
+const FOLDER = 'pdf_uploads';
+
+function parseArgs(argv) {
+  const args = { dryRun: false, minAgeHours: 24 };
+  argv.forEach(arg => {
+    if (arg === '--dry-run') args.dryRun = true;
+    const m = /^--min-age-hours=(\d+(?:\.\d+)?)$/.exec(arg);
+    if (m) args.minAgeHours = parseFloat(m[1]);
+  });
+  return args;
+}
+
+const assetKey = (resourceType, publicId) => `${resourceType || 'raw'}:${publicId}`;
+
+async function main() {
+  const { dryRun, minAgeHours } = parseArgs(process.argv.slice(2));
+  const pdfDB = await mongoose.createConnection(process.env.PDF_DB_URI).asPromise();
+  const Note = pdfDB.model('Note', noteSchema);
+  const storage = getStorage();
+
+  try {
+    // Backfill legacy notes and collect every referenced asset
+    const referenced = new Set();
+    let backfilled = 0;
+    for await (const note of Note.find({}).select('fileUrl publicId resourceType revisions').cursor()) {
+      for (const revision of note.revisions) {
+        const asset = revision.publicId
+          ? { publicId: revision.publicId, resourceType: revision.resourceType }
+          : getStorageForUrl(revision.fileUrl).assetFromUrl(revision.fileUrl);
+        if (asset) referenced.add(assetKey(asset.resourceType, asset.publicId));
+      }
+      let { publicId, resourceType } = note;
+      if (!publicId) {
+        const asset = getStorageForUrl(note.fileUrl).assetFromUrl(note.fileUrl);
+        if (!asset) continue;
+        ({ publicId, resourceType } = asset);
+        backfilled++;
+        if (!dryRun) await Note.updateOne({ _id: note._id }, { $set: { publicId, resourceType } });
+      }
+      referenced.add(assetKey(resourceType, publicId));
+    }
+
+    // Purge unreferenced assets that are old enough
+    const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000;
+    let scanned = 0;
+    let purged = 0;
+    for await (const asset of storage.list(FOLDER)) {
+      scanned++;
+      if (referenced.has(assetKey(asset.resourceType, asset.publicId))) continue;
+      if (asset.createdAt && asset.createdAt.getTime() > cutoff) continue;
+      console.log(`${dryRun ? '[dry-run] would purge' : 'Purging'} ${asset.resourceType}/${asset.publicId}`);
+      if (!dryRun) await storage.remove({ publicId: asset.publicId, resourceType: asset.resourceType });
+      purged++;
+    }
+
+    console.log(`✅ Backfilled ${backfilled} note(s); scanned ${scanned} ${storage.driverName} asset(s) in ${FOLDER}; ${dryRun ? 'would purge' : 'purged'} ${purged}.`);
+  } finally {
+    await pdfDB.close();
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Storage reconciliation failed:', err);
+  process.exit(1);
+});
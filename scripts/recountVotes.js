@@ -0,0 +1,65 @@
+// Vote totals and ranks
+// Counts every note's upvotes and downvotes again from the votes store and recomputes
+// its score and rank (utils/ranking.js). Run it once after upgrading, so notes uploaded
+// before voting get a rank for the top sort, or whenever the totals look off.
+//
+// Usage: npm run votes:recount -- [--dry-run]
+//   --dry-run  list the notes whose totals would change without touching anything
+require('dotenv').config();
+const mongoose = require('mongoose');
+const noteSchema = require('../models/noteSchema');
+const voteSchema = require('../models/voteSchema');
+const { RANK_EXPRESSION } = require('../utils/ranking');
+
+function parseArgs(argv) {
+  return { dryRun: argv.includes('--dry-run') };
+}
+
+async function main() {
+  const { dryRun } = parseArgs(process.argv.slice(2));
+  const pdfDB = await mongoose.createConnection(process.env.PDF_DB_URI).asPromise();
+  const Note = pdfDB.model('Note', noteSchema);
+  const Vote = pdfDB.model('Vote', voteSchema);
+
+  try {
+    // { upvotes, downvotes } by note id, from the votes themselves
+    const counts = new Map();
+    const groups = await Vote.aggregate([
+      {
+        $group: {
+          _id: '$note',
+          upvotes: { $sum: { $cond: [{ $eq: ['$value', 1] }, 1, 0] } },
+          downvotes: { $sum: { $cond: [{ $eq: ['$value', -1] }, 1, 0] } },
+        },
+      },
+    ]);
+    for (const group of groups) counts.set(String(group._id), group);
+
+    let changed = 0;
+    let ranked = 0;
+    const notes = Note.find({}).select('title upvotes downvotes rank').lean().cursor();
+    for await (const note of notes) {
+      const { upvotes = 0, downvotes = 0 } = counts.get(String(note._id)) || {};
+      const differs = (note.upvotes || 0) !== upvotes || (note.downvotes || 0) !== downvotes;
+      if (differs) {
+        console.log(`${dryRun ? '[dry-run] would set' : 'Setting'} "${note.title}" (${note._id}) to +${upvotes} / -${downvotes}`);
+        changed++;
+      }
+      if (dryRun) continue;
+      await Note.updateOne({ _id: note._id }, [
+        { $set: { upvotes, downvotes, score: upvotes - downvotes } },
+        { $set: { rank: RANK_EXPRESSION } },
+      ]);
+      ranked++;
+    }
+
+    console.log(`✅ ${dryRun ? 'Would correct' : 'Corrected'} the totals of ${changed} note(s); ranked ${ranked} note(s).`);
+  } finally {
+    await pdfDB.close();
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Vote recount failed:', err);
+  process.exit(1);
+});
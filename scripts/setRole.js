@@ -0,0 +1,41 @@
+// Account roles
+// Gives an account a role (utils/roles.js). Admins change roles on /admin; this is how
+// the first admin is made.
+//
+// Usage: npm run users:role -- <email> <user|moderator|admin>
+require('dotenv').config();
+const mongoose = require('mongoose');
+const userLoginSchema = require('../models/userlogin');
+const { ROLES, isRole } = require('../utils/roles');
+
+function parseArgs(argv) {
+  const [email, role] = argv.filter(arg => !arg.startsWith('--'));
+  return { email: String(email || '').trim().toLowerCase(), role };
+}
+
+async function main() {
+  const { email, role } = parseArgs(process.argv.slice(2));
+  if (!email || !isRole(role)) {
+    console.error(`Usage: npm run users:role -- <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+  const userDB = await mongoose.createConnection(process.env.USER_DB_URI).asPromise();
+  const User = userDB.model('UserLogin', userLoginSchema);
+
+  try {
+    const user = await User.findOneAndUpdate({ username: email }, { $set: { role } }, { new: true });
+    if (!user) {
+      console.error(`❌ No account with the email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`✅ ${user.name} (${user.username}) is now ${role === 'admin' ? 'an' : 'a'} ${role}.`);
+  } finally {
+    await userDB.close();
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Role change failed:', err);
+  process.exit(1);
+});
@@ -4,8 +4,6 @@ const mongoose = require('mongoose');
 const path = require('path');
 const session = require('express-session');
 const MongoStore = require('connect-mongo');
-const { v2: cloudinary } = require('cloudinary');
-const multer = require('multer');
 const bcrypt = require('bcryptjs');
 const nodemailer = require('nodemailer');
 
@@ -18,9 +16,44 @@ const transporter = nodemailer.createTransport({
   },
 });
 
+// Storage backend (Cloudinary or local disk, see services/storage)
+const { getStorage, getStorageForUrl } = require('./services/storage');
+const NoteService = require('./services/noteService');
+const ThumbnailService = require('./services/thumbnailService');
+const ArchiveService = require('./services/archiveService');
+const SearchService = require('./services/searchService');
+const ShareService = require('./services/shareService');
+const CollectionService = require('./services/collectionService');
+const SavedService = require('./services/savedService');
+const VoteService = require('./services/voteService');
+const FollowService = require('./services/followService');
+const NotificationService = require('./services/notificationService');
+const DigestService = require('./services/digestService');
+const ReportService = require('./services/reportService');
+const ModerationService = require('./services/moderationService');
+const AdminService = require('./services/adminService');
+const AnalyticsService = require('./services/analyticsService');
+const CommentService = require('./services/commentService');
+const { contentDisposition } = require('./utils/helpers');
+const { tagsFromBody, tagsFromQuery, describeTag, EXAM_TYPES } = require('./utils/tags');
+const { SORTS, TOP_PERIODS, parseSort, parsePeriod, parseLimit } = require('./utils/pagination');
+const { listedQuery, viewableQuery, curatedQuery } = require('./utils/visibility');
+const { REPORT_REASONS, MODERATION_ACTIONS } = require('./utils/moderation');
+const { canView, isOwner } = require('./middleware/auth');
+const { hasRole } = require('./utils/roles');
+const { pipeline } = require('stream');
+
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const noteRoutes = require('./routes/noteRoutes');
+const uploadRoutes = require('./routes/uploadRoutes');
+const shareRoutes = require('./routes/shareRoutes');
+const collectionRoutes = require('./routes/collectionRoutes');
+const meRoutes = require('./routes/meRoutes');
+const userRoutes = require('./routes/userRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const moderationRoutes = require('./routes/moderationRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 // Initialize Express app
 const app = express();
@@ -51,13 +84,6 @@ app.use((req, res, next) => {
   next();
 });
 
-// Cloudinary Configuration
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -66,9 +92,19 @@ app.get('/profile/delete-account', (req, res) => {
   return res.redirect(303, '/profile');
 });
 app.use(express.static(path.join(__dirname, 'public')));
+// Locally rendered previews (THUMBNAIL_DIR may live outside public/)
+app.use(ThumbnailService.urlPrefix, express.static(ThumbnailService.dir));
 
 // View Engine
 app.set('view engine', 'ejs');
+// Responsive card previews: <img srcset="<%= thumbnailSrcset(note) %>">
+app.locals.thumbnailSrcset = (note) => ThumbnailService.srcset(note);
+app.locals.describeTag = describeTag;
+app.locals.examTypes = EXAM_TYPES;
+app.locals.sortOptions = Object.entries(SORTS).map(([key, { label }]) => ({ key, label }));
+app.locals.periodOptions = Object.entries(TOP_PERIODS).map(([key, { label }]) => ({ key, label }));
+app.locals.reportReasons = REPORT_REASONS;
+app.locals.moderationActions = MODERATION_ACTIONS;
 app.set('views', path.join(__dirname, 'views'));
 
 // Session Configuration is initialized after DB connections
@@ -79,21 +115,9 @@ app.set('views', path.join(__dirname, 'views'));
 // Database Connections
 // ======================
 
-// PDF Database
-const pdfDB = mongoose.createConnection(process.env.PDF_DB_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-});
-pdfDB.on('connected', () => console.log('✅ Connected to PDF Database'));
-pdfDB.on('error', (err) => console.error('❌ PDF DB connection error:', err));
+const { pdfDB, userDB, connectDatabases } = require('./db');
 
-// User Database
-const userDB = mongoose.createConnection(process.env.USER_DB_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-});
-userDB.on('connected', () => console.log('✅ Connected to User Database'));
-userDB.on('error', (err) => console.error('❌ User DB connection error:', err));
+connectDatabases();
 
 // Import schemas
 const noteSchema = require('./models/noteSchema');
@@ -129,12 +153,41 @@ app.use(session({
   }
 }));
 
+// Keep the session's role current and log suspended (or deleted) accounts out, so
+// changes made on /admin apply at once
+app.use(async (req, res, next) => {
+  if (!req.session.user) return next();
+  try {
+    const account = await User.findById(req.session.user.id).select('role suspendedAt').lean();
+    if (!account || account.suspendedAt) {
+      delete req.session.user;
+    } else {
+      req.session.user.role = account.role || 'user';
+    }
+  } catch (err) {
+    console.error('Session account error:', err.message);
+  }
+  next();
+});
+
 // Expose user to views
 app.use((req, res, next) => {
   res.locals.user = req.session.user || null;
   next();
 });
 
+// Unread count for the navbar bell (partials/notificationBell.ejs), on page loads only
+app.use(async (req, res, next) => {
+  res.locals.unreadNotifications = 0;
+  if (!req.session.user || req.method !== 'GET' || req.accepts(['html', 'json']) !== 'html') return next();
+  try {
+    res.locals.unreadNotifications = await NotificationService.unreadCount(req.session.user.id);
+  } catch (err) {
+    console.error('Unread notifications error:', err.message);
+  }
+  next();
+});
+
 // Generate random 6-digit OTP
 function generateOTP() {
   return Math.floor(100000 + Math.random() * 900000).toString();
@@ -206,9 +259,8 @@ async function sendResetOTP(email, otp) {
   }
 }
 
-// Multer Setup - Memory storage
-const storage = multer.memoryStorage();
-const upload = multer({ storage });
+// Multer Setup - disk-spooled, size-limited (see middleware/upload.js)
+const { singleFile } = require('./middleware/upload');
 
 // ======================
 // Routes
@@ -217,6 +269,14 @@ const upload = multer({ storage });
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/notes', noteRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Web Routes
 app.get('/', (req, res) => {
@@ -461,12 +521,14 @@ app.post('/login', async (req, res) => {
 
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) return res.status(401).send('Invalid username or password');
+    if (user.suspendedAt) return res.status(403).send('This account has been suspended');
 
     // Store user in session
     req.session.user = {
       id: user._id,
       name: user.name,
-      username: user.username
+      username: user.username,
+      role: user.role || 'user'
     };
 
     await req.session.save();
@@ -488,80 +550,41 @@ function requireAuth(req, res, next) {
   next();
 }
 
-// Generate Cloudinary signature for direct client upload
-app.post('/api/cloudinary/signature', requireAuth, (req, res) => {
+// Direct client upload parameters from the active storage driver.
+// Drivers that cannot accept browser uploads answer `direct: false` and the
+// client posts the file to /api/notes/upload instead.
+app.post(['/api/storage/signature', '/api/cloudinary/signature'], requireAuth, (req, res) => {
   try {
     const filename = (req.body && req.body.filename ? String(req.body.filename) : 'file').trim();
-    const timestamp = Math.round(Date.now() / 1000);
-    const folder = 'pdf_uploads';
-    const public_id = `${Date.now()}-${filename.replace(/\s+/g, '_')}`;
-
-    // Ask Cloudinary to eagerly create a first-page PNG at upload time
-    // This avoids 404 when Strict Transformations are enabled
-    const eager = 'pg_1,w_600,c_limit,q_auto,f_png';
-
-    // Only sign parameters Cloudinary expects in the signature
-    const paramsToSign = {
-      timestamp,
-      folder,
-      public_id,
-      eager,
-      eager_async: false,
-    };
-
-    const signature = cloudinary.utils.api_sign_request(
-      paramsToSign,
-      process.env.CLOUDINARY_API_SECRET
-    );
-
-    return res.json({
-      success: true,
-      cloudName: process.env.CLOUDINARY_CLOUD_NAME,
-      apiKey: process.env.CLOUDINARY_API_KEY,
-      timestamp,
-      signature,
-      folder,
-      public_id,
-      // Not part of signature, but instruct the client to use image upload endpoint
-      resource_type: 'image',
-      eager,
-      eager_async: false,
-    });
+    const params = getStorage().createDirectUpload({ filename });
+    if (!params) {
+      return res.json({ success: true, direct: false, uploadUrl: '/api/notes/upload' });
+    }
+    return res.json({ success: true, ...params });
   } catch (err) {
     console.error('Signature generation error:', err);
     return res.status(500).json({ success: false, message: 'Failed to generate signature' });
   }
 });
 
-app.post('/upload', requireAuth, upload.single('file'), async (req, res) => {
+app.post('/upload', requireAuth, singleFile('file'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ success: false, message: 'No file uploaded' });
 
-    // Upload to Cloudinary
-    const result = await new Promise((resolve, reject) => {
-      const uploadStream = cloudinary.uploader.upload_stream(
-        {
-          resource_type: 'raw', // Required for PDFs
-          folder: 'pdf_uploads', // Cloudinary auto-creates this folder
-          public_id: `${Date.now()}-${req.file.originalname.replace(/\s+/g, '_')}`,
-        },
-        (error, uploadResult) => {
-          if (error) return reject(error);
-          resolve(uploadResult);
-        }
-      );
-      uploadStream.end(req.file.buffer);
-    });
-
-    // Save Cloudinary URL + metadata in MongoDB
-    const newNote = new Note({
-      title: req.body.title || req.file.originalname,
-      fileUrl: result.secure_url,
-      fileType: req.file.mimetype,
-      uploader: req.session.user.id,
-      uploaderName: req.session.user.name || req.session.user.username,
-    });
-    await newNote.save();
+    // Validate, deduplicate and store the file, then save its metadata in MongoDB
+    let newNote;
+    try {
+      newNote = await NoteService.createFromFile(req.file.path, {
+        title: req.body.title,
+        filename: req.file.originalname,
+        tags: tagsFromBody(req.body),
+        uploader: req.session.user.id,
+        uploaderName: req.session.user.name || req.session.user.username,
+      });
+    } catch (err) {
+      if (!err.status) throw err;
+      return res.status(err.status).json({ success: false, message: err.message, data: { code: err.code, ...err.data } });
+    }
 
     res.json({
       success: true,
@@ -574,22 +597,124 @@ app.post('/upload', requireAuth, upload.single('file'), async (req, res) => {
   }
 });
 
+// ======================
+// Note listings
+// ======================
+// Pages show the first PAGE_SIZE cards in `?sort=` order (utils/pagination.js) and load
+// the rest while scrolling: public/script.js asks the same URL with ?cursor=<nextCursor>
+// and `Accept: application/json`, and gets { html, nextCursor } with the next cards.
+const PAGE_SIZE = 24;
+
+function wantsCards(req) {
+  return Boolean(req.query.cursor) && req.accepts(['html', 'json']) === 'json';
+}
+
+function sendCards(res, view, locals) {
+  res.render(view, locals, (err, html) => {
+    if (err) {
+      console.error('Cards render error:', err);
+      return res.status(500).json({ success: false, message: 'Failed to load notes' });
+    }
+    res.json({ success: true, html, nextCursor: locals.nextCursor });
+  });
+}
+
+// Ids of the listed notes the visitor has saved, for the cards' save toggles
+function savedFor(req, notes) {
+  const userId = req.session.user && req.session.user.id;
+  return SavedService.savedIds(userId, notes.map(note => note._id));
+}
+
+// The visitor's votes on the listed notes (note id -> 1 or -1), for the cards' vote buttons
+function votesFor(req, notes) {
+  const userId = req.session.user && req.session.user.id;
+  return VoteService.valuesFor(userId, notes.map(note => note._id));
+}
+
+// A bad ?cursor= is the client's fault; anything else is ours
+function listingError(req, res, err, label) {
+  if (err.code === 'bad_cursor') {
+    return req.accepts(['html', 'json']) === 'json'
+      ? res.status(400).json({ success: false, message: err.message })
+      : res.status(400).send(err.message);
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).send(`Failed to load ${label.toLowerCase()}`);
+}
+
 // ======================
 // View All PDFs
 // ======================
+// ?tag=a&tag=b keeps notes carrying every selected tag; ?sort=top&period=week|month|all
+// ranks them by votes
 app.get('/read', async (req, res) => {
   try {
-    const notes = await Note.find()
-      .populate({ path: 'uploader', model: User, select: 'name username' })
-      .sort({ uploadedAt: -1 });
+    const selectedTags = tagsFromQuery(req.query);
+    const sort = parseSort(req.query.sort);
+    const period = parsePeriod(req.query.period);
+    const filter = { ...listedQuery(), ...(selectedTags.length ? { tags: { $all: selectedTags } } : {}) };
+    const { notes, nextCursor } = await NoteService.listNotes(filter, {
+      sort,
+      period,
+      cursor: req.query.cursor,
+      limit: PAGE_SIZE,
+      populate: { path: 'uploader', model: User, select: 'name username' },
+    });
+    const saved = await savedFor(req, notes);
+    const votes = await votesFor(req, notes);
+    if (wantsCards(req)) return sendCards(res, 'partials/readCards', { notes, nextCursor, saved, votes });
+
+    const tagCloud = await NoteService.tagCloud({ limit: 40 });
     // Do not override `user`; it's already exposed via res.locals from the session middleware
-    res.render('read', { notes });
+    res.render('read', { notes, nextCursor, sort, period, selectedTags, tagCloud, saved, votes });
   } catch (err) {
-    console.error('Read error:', err);
-    res.status(500).send('Error reading files');
+    listingError(req, res, err, 'Notes');
   }
 });
 
+// Note query for one uploader, plus their account when there is one
+async function uploaderQuery(username) {
+  // Try to find actual user by username (email/handle)
+  const userDoc = await User.findOne({ username }).select('_id name username');
+  if (userDoc) {
+    // Match either by ObjectId reference or by stored name/username string
+    return {
+      userDoc,
+      query: {
+        $or: [
+          { uploader: userDoc._id },
+          { uploaderName: userDoc.username },
+          { uploaderName: userDoc.name }
+        ]
+      }
+    };
+  }
+  // Fallback: match by uploaderName equals the provided param (supports name or username in URL)
+  return { userDoc: null, query: { uploaderName: username } };
+}
+
+// Upload date filter for ?from=&to= (both optional and inclusive; a bare YYYY-MM-DD
+// `to` covers that whole day). {} without either, null when one is not a date.
+function uploadDateRange(from, to) {
+  const range = {};
+  if (from) {
+    const start = new Date(String(from));
+    if (isNaN(start)) return null;
+    range.$gte = start;
+  }
+  if (to) {
+    const end = new Date(String(to));
+    if (isNaN(end)) return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) {
+      end.setUTCDate(end.getUTCDate() + 1);
+      range.$lt = end;
+    } else {
+      range.$lte = end;
+    }
+  }
+  return Object.keys(range).length ? { uploadedAt: range } : {};
+}
+
 // ======================
 // User uploads by username
 // ======================
@@ -598,31 +723,182 @@ app.get('/user/:username', async (req, res) => {
     const { username } = req.params;
     if (!username) return res.status(400).send('Username required');
 
-    // Try to find actual user by username (email/handle)
-    const userDoc = await User.findOne({ username }).select('name username');
+    const { userDoc, query } = await uploaderQuery(username);
+    const listed = { $and: [query, listedQuery()] };
+    const sort = parseSort(req.query.sort);
+    const period = parsePeriod(req.query.period);
+    const { notes, nextCursor } = await NoteService.listNotes(listed, { sort, period, cursor: req.query.cursor, limit: PAGE_SIZE });
+    const saved = await savedFor(req, notes);
+    if (wantsCards(req)) return sendCards(res, 'partials/userProfileCards', { notes, nextCursor, saved });
 
-    let query = {};
-    if (userDoc) {
-      // Match either by ObjectId reference or by stored name/username string
-      query = {
-        $or: [
-          { uploader: userDoc._id },
-          { uploaderName: userDoc.username },
-          { uploaderName: userDoc.name }
-        ]
-      };
-    } else {
-      // Fallback: match by uploaderName equals the provided param (supports name or username in URL)
-      query = { uploaderName: username };
+    const total = await Note.countDocuments(listed);
+    const displayName = userDoc ? (userDoc.name || userDoc.username) : username;
+    const collections = userDoc ? await CollectionService.listPublic(userDoc._id) : [];
+    // Only real accounts can be followed; legacy names have no follow button
+    const viewerId = req.session.user && req.session.user.id;
+    const follow = userDoc ? {
+      id: userDoc._id,
+      self: String(userDoc._id) === String(viewerId),
+      isFollowing: await FollowService.isFollowing(viewerId, userDoc._id),
+      ...(await FollowService.counts(userDoc._id)),
+    } : null;
+    // `handle` is what the ZIP download link looks the uploader up by
+    return res.render('userProfile', {
+      username: displayName,
+      handle: userDoc ? userDoc.username : username,
+      follow,
+      notes,
+      nextCursor,
+      sort,
+      period,
+      total,
+      collections,
+      saved,
+      user: req.session.user || null
+    });
+  } catch (err) {
+    listingError(req, res, err, 'User uploads');
+  }
+});
+
+// ======================
+// Collection page
+// ======================
+app.get('/collections/:id', async (req, res) => {
+  try {
+    const collection = await CollectionService.getById(req.params.id);
+    // Private collections are reported missing to everyone but their owner
+    if (!collection || !canView(collection, req.session.user)) return res.status(404).send('Collection not found');
+
+    const notes = await CollectionService.notesOf(collection, req.session.user, {
+      populate: { path: 'uploader', model: User, select: 'name username' },
+    });
+    const owner = await User.findById(collection.owner).select('name username');
+    res.render('collection', {
+      collection,
+      notes,
+      owner,
+      canEdit: isOwner(collection, req.session.user),
+      saved: await savedFor(req, notes),
+      votes: await votesFor(req, notes),
+    });
+  } catch (err) {
+    console.error('Collection error:', err);
+    res.status(500).send('Failed to load collection');
+  }
+});
+
+// ======================
+// Notifications
+// ======================
+app.get('/notifications', async (req, res) => {
+  if (!req.session.user) return res.redirect('/?auth=login');
+  try {
+    const { notifications, nextCursor } = await NotificationService.list(req.session.user.id, {
+      cursor: req.query.cursor,
+      limit: PAGE_SIZE,
+    });
+    const items = notifications.map(n => ({
+      ...n,
+      text: NotificationService.describe(n),
+      url: NotificationService.linkFor(n),
+    }));
+    if (wantsCards(req)) return sendCards(res, 'partials/notificationItems', { notifications: items, nextCursor });
+    const { frequency } = await DigestService.getPreferences(req.session.user.id);
+    res.render('notifications', { notifications: items, nextCursor, digest: frequency });
+  } catch (err) {
+    listingError(req, res, err, 'Notifications');
+  }
+});
+
+// One-click unsubscribe from the email digest. GET is the link in the email; POST is
+// what mail clients send for the List-Unsubscribe-Post header.
+async function unsubscribeDigest(req, res) {
+  try {
+    if (!(await DigestService.unsubscribe(req.params.token))) {
+      return res.status(400).send('This unsubscribe link is not valid');
     }
+    res.send('You will no longer receive email digests from Cloud Notes. You can turn them back on from your notifications page.');
+  } catch (err) {
+    console.error('Unsubscribe error:', err);
+    res.status(500).send('Failed to unsubscribe');
+  }
+}
+app.get('/notifications/unsubscribe/:token', unsubscribeDigest);
+app.post('/notifications/unsubscribe/:token', unsubscribeDigest);
 
-    const notes = await Note.find(query).sort({ uploadedAt: -1 });
+// ======================
+// Moderation queue (moderators and admins)
+// ======================
+app.get('/moderation', async (req, res) => {
+  if (!req.session.user) return res.redirect('/?auth=login');
+  if (!hasRole(req.session.user, 'moderator')) return res.status(403).send('Moderators only');
+  try {
+    const [queue, history] = await Promise.all([ReportService.queue(), ModerationService.history()]);
+    res.render('moderation', { queue, history });
+  } catch (err) {
+    console.error('Moderation queue error:', err);
+    res.status(500).send('Error loading the moderation queue');
+  }
+});
 
-    const displayName = userDoc ? (userDoc.name || userDoc.username) : username;
-    return res.render('userProfile', { username: displayName, notes, user: req.session.user || null });
+// ======================
+// Admin dashboard (admins only): ?tab=users|notes, ?q= searches the tab
+// ======================
+app.get('/admin', async (req, res) => {
+  if (!req.session.user) return res.redirect('/?auth=login');
+  if (!hasRole(req.session.user, 'admin')) return res.status(403).send('Admins only');
+  const tab = req.query.tab === 'notes' ? 'notes' : 'users';
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  try {
+    const options = { q, cursor: req.query.cursor, limit: PAGE_SIZE };
+    if (tab === 'notes') {
+      const { notes, nextCursor } = await AdminService.listNotes(options);
+      if (wantsCards(req)) return sendCards(res, 'partials/adminNoteRows', { notes, nextCursor });
+      return res.render('admin', { stats: await AdminService.stats(), tab, q, notes, users: [], nextCursor });
+    }
+    const { users, nextCursor } = await AdminService.listUsers(options);
+    if (wantsCards(req)) return sendCards(res, 'partials/adminUserRows', { users, nextCursor });
+    res.render('admin', { stats: await AdminService.stats(), tab, q, users, notes: [], nextCursor });
+  } catch (err) {
+    listingError(req, res, err, 'Admin dashboard');
+  }
+});
+
+// ======================
+// Feed: new uploads of the people you follow
+// ======================
+app.get('/feed', async (req, res) => {
+  if (!req.session.user) return res.redirect('/?auth=login');
+  try {
+    const { notes, nextCursor, following } = await FollowService.feed(req.session.user.id, {
+      cursor: req.query.cursor,
+      limit: PAGE_SIZE,
+      populate: { path: 'uploader', model: User, select: 'name username' },
+    });
+    const saved = await savedFor(req, notes);
+    const votes = await votesFor(req, notes);
+    if (wantsCards(req)) return sendCards(res, 'partials/readCards', { notes, nextCursor, saved, votes });
+    res.render('feed', { notes, nextCursor, following, saved, votes });
+  } catch (err) {
+    listingError(req, res, err, 'Feed');
+  }
+});
+
+// The same as JSON: { success, data, nextCursor } (?limit=20, max 100; ?cursor=<nextCursor>)
+app.get('/api/feed', requireAuth, async (req, res) => {
+  try {
+    const { notes, nextCursor } = await FollowService.feed(req.session.user.id, {
+      cursor: req.query.cursor,
+      limit: parseLimit(req.query.limit),
+      populate: { path: 'uploader', model: User, select: 'name username' },
+      select: 'title description tags thumbnailUrl thumbnails uploader uploaderName uploadedAt pageCount revision upvotes downvotes score',
+    });
+    res.json({ success: true, data: notes, nextCursor });
   } catch (err) {
-    console.error('User uploads error:', err);
-    res.status(500).send('Failed to load user uploads');
+    if (err.code === 'bad_cursor') return res.status(400).json({ success: false, message: err.message });
+    console.error('API feed error:', err);
+    res.status(500).json({ success: false, message: 'Failed to load the feed' });
   }
 });
 
@@ -634,25 +910,89 @@ app.get('/api/notes/by-uploader', async (req, res) => {
     const name = (req.query.name || '').trim();
     if (!name) return res.status(400).json({ success: false, message: 'Missing name' });
 
-    const userDoc = await User.findOne({ username: name }).select('_id name username');
-    const query = userDoc
-      ? { $or: [{ uploader: userDoc._id }, { uploaderName: userDoc.username }, { uploaderName: userDoc.name }] }
-      : { uploaderName: name };
-
-    const notes = await Note.find(query)
-      .sort({ uploadedAt: -1 })
-      .select('title fileUrl fileType uploadedAt');
+    const { query } = await uploaderQuery(name);
+    const { notes, nextCursor } = await NoteService.listNotes({ $and: [query, listedQuery()] }, {
+      sort: parseSort(req.query.sort),
+      period: parsePeriod(req.query.period),
+      cursor: req.query.cursor,
+      limit: parseLimit(req.query.limit),
+      select: 'title fileType uploadedAt',
+    });
 
-    res.json({ success: true, notes });
+    res.json({ success: true, notes, nextCursor });
   } catch (err) {
+    if (err.code === 'bad_cursor') return res.status(400).json({ success: false, message: err.message });
     console.error('API by-uploader error:', err);
     res.status(500).json({ success: false, message: 'Failed to load notes' });
   }
 });
 
+// ======================
+// API: Full-text search
+// ======================
+// ?q=<text>                    words or "a phrase" found in the title or any page (required)
+// ?uploader=<username>         notes of one uploader
+// ?from=<date>&to=<date>       uploaded in that range
+// ?tag=<tag>&tag=...           notes carrying every given tag
+// ?page=1&limit=20             best matches first, at most 50 per page
+// Each result carries the note plus up to 3 page snippets with highlight offsets.
+app.get('/api/notes/search', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ success: false, message: 'Missing search text' });
+    const range = uploadDateRange(req.query.from, req.query.to);
+    if (!range) return res.status(400).json({ success: false, message: 'Invalid date' });
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const uploader = String(req.query.uploader || '').trim();
+    const tags = tagsFromQuery(req.query);
+
+    // The text documents carry the uploader, upload date, tags and visibility, so these
+    // filter in the text query. Only listed notes are searched.
+    const filter = { ...range, ...listedQuery() };
+    if (uploader) Object.assign(filter, (await uploaderQuery(uploader)).query);
+    if (tags.length) filter.tags = { $all: tags };
+
+    const { total, results } = await SearchService.search(q, { filter, page, limit });
+    const notes = await Note.find({ _id: { $in: results.map(r => r.noteId) }, ...listedQuery() })
+      .populate({ path: 'uploader', model: User, select: 'name username' })
+      .select('title description tags thumbnailUrl thumbnails uploader uploaderName uploadedAt pageCount revision');
+    const byId = new Map(notes.map(note => [String(note._id), note]));
+
+    res.json({
+      success: true,
+      total,
+      page,
+      limit,
+      results: results
+        .filter(hit => byId.has(String(hit.noteId)))
+        .map(({ noteId, ...hit }) => ({ note: byId.get(String(noteId)), ...hit })),
+    });
+  } catch (err) {
+    console.error('Search error:', err);
+    res.status(500).json({ success: false, message: 'Search failed' });
+  }
+});
+
 // ======================
 // View Single PDF
 // ======================
+// Count a view or download for the note's stats (services/analyticsService.js). Owners
+// opening their own notes aren't counted, and a failure here never fails the request.
+async function recordNoteEvent(req, note, kind) {
+  if (isOwner(note, req.session.user)) return;
+  try {
+    const visitor = AnalyticsService.visitorFor({
+      user: req.session.user,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+    await AnalyticsService.record(note._id, kind, visitor);
+  } catch (err) {
+    console.error('Analytics error:', err.message);
+  }
+}
+
 app.get('/view/:id', async (req, res) => {
   try {
     const { id } = req.params;
@@ -663,19 +1003,155 @@ app.get('/view/:id', async (req, res) => {
     }
 
     const note = await Note.findById(id).populate({ path: 'uploader', model: User, select: 'name username' });
-    if (!note) return res.status(404).send('File not found');
+    // Private notes are reported missing to everyone but their owner
+    if (!note || !canView(note, req.session.user)) return res.status(404).send('File not found');
+
+    // ?rev=N opens an older version; the latest is shown by default
+    const revision = NoteService.getRevision(note, req.query.rev);
+    if (!revision) return res.status(404).send('Version not found');
+    await recordNoteEvent(req, note, 'view');
 
     // Render viewer page with EJS (nicer experience)
-    return res.render('viewFile', { note });
+    return res.render('viewFile', {
+      note,
+      revision,
+      revisions: NoteService.listRevisions(note),
+      share: null,
+      canShare: isOwner(note, req.session.user),
+      saved: (await savedFor(req, [note])).has(String(note._id)),
+      vote: (await votesFor(req, [note])).get(String(note._id)) || 0,
+      commentCount: await CommentService.count(note._id),
+    });
   } catch (err) {
     console.error('View error:', err);
     res.status(500).send('Error loading file');
   }
 });
 
+// ======================
+// Download several notes as one ZIP
+// ======================
+// ?uploader=<username>    all notes of one uploader
+// ?q=<text>               notes matching a full-text search (the /read search)
+// ?from=<date>&to=<date>  uploaded in that range
+// ?tag=<tag>&tag=...      notes carrying every given tag (the /read tag filter)
+// ?ids=<id>,<id>,...      an explicit selection
+// ?collection=<id>        the notes of a collection, in its order
+// Filters combine; at least one besides the dates is required. An explicit selection or
+// a collection may include unlisted notes (and the user's own private ones); the other
+// filters only pick listed notes.
+app.get('/download/zip', async (req, res) => {
+  try {
+    const uploader = String(req.query.uploader || '').trim();
+    const q = String(req.query.q || '').trim();
+    const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+    const tags = tagsFromQuery(req.query);
+    const collectionId = String(req.query.collection || '').trim();
+    if (!uploader && !q && !ids.length && !tags.length && !collectionId) {
+      return res.status(400).send('Choose an uploader, a search or a set of notes');
+    }
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).send('Invalid file ID');
+    }
+    const range = uploadDateRange(req.query.from, req.query.to);
+    if (!range) return res.status(400).send('Invalid date');
+    const collection = collectionId ? await CollectionService.getById(collectionId) : null;
+    if (collectionId && (!collection || !canView(collection, req.session.user))) {
+      return res.status(404).send('Collection not found');
+    }
+
+    const explicit = (ids.length || collection) && !uploader && !q && !tags.length;
+    // Picked notes may be unlisted; a collection leaves out the ones a moderator hid
+    const audience = !explicit ? listedQuery() : collection ? curatedQuery(req.session.user) : viewableQuery(req.session.user);
+    const filters = [range, audience];
+    const byUploader = uploader ? (await uploaderQuery(uploader)).query : null;
+    if (byUploader) filters.push(byUploader);
+    const byTags = tags.length ? { tags: { $all: tags } } : null;
+    if (byTags) filters.push(byTags);
+    if (q) {
+      // Filter inside the text query (as /api/notes/search does), so unlisted, private or
+      // differently tagged matches can't use up the limit
+      const filter = { ...range, ...listedQuery(), ...byUploader, ...byTags };
+      filters.push({ _id: { $in: await SearchService.matchingNoteIds(q, { filter, limit: ArchiveService.maxNotes + 1 }) } });
+    }
+    if (ids.length) filters.push({ _id: { $in: ids } });
+    if (collection) filters.push({ _id: { $in: collection.notes } });
+
+    let notes = await Note.find({ $and: filters })
+      .sort({ uploadedAt: -1 })
+      .limit(ArchiveService.maxNotes + 1)
+      .select('title description tags fileUrl uploaderName uploadedAt revision pageCount contentHash');
+    if (!notes.length) return res.status(404).send('No notes to download');
+    if (notes.length > ArchiveService.maxNotes) {
+      return res.status(413).send(`At most ${ArchiveService.maxNotes} notes can be downloaded at once`);
+    }
+    if (collection) {
+      const order = new Map(collection.notes.map((id, i) => [String(id), i]));
+      notes = notes.sort((a, b) => order.get(String(a._id)) - order.get(String(b._id)));
+    }
+
+    const name = collection ? collection.title
+      : uploader ? `${uploader} notes` : q ? `${q} notes` : tags.length ? `${tags.join(' ')} notes` : 'Cloud Notes';
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', contentDisposition(name, { type: 'attachment', ext: 'zip' }));
+    res.setHeader('Cache-Control', 'no-store');
+    await ArchiveService.writeNotes(notes, res, {
+      source: {
+        uploader: uploader || undefined,
+        q: q || undefined,
+        from: req.query.from ? String(req.query.from) : undefined,
+        to: req.query.to ? String(req.query.to) : undefined,
+        tags: tags.length ? tags : undefined,
+        ids: ids.length ? ids : undefined,
+        collection: collection ? { id: collection._id, title: collection.title } : undefined,
+      },
+      baseUrl: `${req.protocol}://${req.get('host')}`,
+    });
+  } catch (err) {
+    // Once the archive has started the only option is to cut it off
+    if (res.headersSent) {
+      if (err.message !== 'ZIP stream closed') console.error('ZIP download error:', err.message);
+      return res.destroy();
+    }
+    console.error('ZIP download error:', err);
+    res.status(500).send('Error preparing download');
+  }
+});
+
 // ======================
 // Download/Proxy PDF (streams bytes to avoid CORS for previews)
 // ======================
+// Stream one version of a note from its storage driver, mirroring range headers.
+// `cacheControl` is chosen by the caller: who may see the note decides who may cache it.
+async function sendNoteFile(req, res, note, revision, { cacheControl }) {
+  let upstream;
+  try {
+    upstream = await getStorageForUrl(revision.fileUrl).openReadStream(revision.fileUrl, { range: req.headers['range'] });
+  } catch (e) {
+    if (e.status) return res.status(e.status).end('Upstream error');
+    console.error('Proxy error:', e);
+    return res.status(500).end('Proxy failed');
+  }
+
+  // Always served as a PDF, whatever fileType legacy notes carry
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  const filename = revision.current ? note.title : `${note.title} (version ${revision.rev})`;
+  res.setHeader('Content-Disposition', contentDisposition(filename, {
+    type: req.query.download ? 'attachment' : 'inline',
+  }));
+  res.setHeader('Cache-Control', cacheControl);
+  // Mirror useful headers
+  if (upstream.headers.contentLength) res.setHeader('Content-Length', upstream.headers.contentLength);
+  if (upstream.headers.acceptRanges) res.setHeader('Accept-Ranges', upstream.headers.acceptRanges);
+  if (upstream.headers.contentRange) res.setHeader('Content-Range', upstream.headers.contentRange);
+  if (req.headers['range'] && upstream.status === 206) res.status(206);
+  // The upstream stream errors out past the size cap; cut the response off rather than hang
+  pipeline(upstream.stream, res, (err) => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('Proxy stream error:', err.message);
+  });
+}
+
 app.get('/download/:id', async (req, res) => {
   try {
     const { id } = req.params;
@@ -683,59 +1159,86 @@ app.get('/download/:id', async (req, res) => {
       return res.status(400).send('Invalid file ID');
     }
     const note = await Note.findById(id);
-    if (!note) return res.status(404).send('File not found');
+    if (!note || !canView(note, req.session.user)) return res.status(404).send('File not found');
+    const revision = NoteService.getRevision(note, req.query.rev);
+    if (!revision) return res.status(404).send('Version not found');
+    // The viewer loads the file from here too; only ?download=1 is a download
+    if (req.query.download) await recordNoteEvent(req, note, 'download');
+
+    // A numbered version never changes; the plain URL follows new uploads. Private
+    // notes stay out of shared caches.
+    const scope = note.visibility === 'private' ? 'private' : 'public';
+    await sendNoteFile(req, res, note, revision, {
+      cacheControl: req.query.rev
+        ? `${scope}, max-age=31536000, immutable`
+        : `${scope}, max-age=60, must-revalidate`,
+    });
+  } catch (err) {
+    console.error('Download error:', err);
+    res.status(500).send('Error downloading file');
+  }
+});
 
-    const targetUrl = note.fileUrl;
-    const https = require('https');
-    const { URL } = require('url');
+// ======================
+// Share links (services/shareService.js)
+// ======================
+// The note behind a share token, or null after answering 404/410
+async function resolveShare(res, token) {
+  try {
+    const link = await ShareService.resolve(token);
+    const note = await Note.findById(link.note);
+    if (!note) {
+      res.status(404).send('File not found');
+      return null;
+    }
+    return { link, note };
+  } catch (err) {
+    if (!err.status) throw err;
+    res.status(err.status).send(err.message);
+    return null;
+  }
+}
 
-    res.setHeader('Content-Type', note.fileType || 'application/pdf');
-    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+// Viewer for a shared note (always its latest version), whatever its visibility
+app.get('/s/:token', async (req, res) => {
+  try {
+    const shared = await resolveShare(res, req.params.token);
+    if (!shared) return;
+    const { link, note } = shared;
+    await ShareService.recordView(link);
+    await recordNoteEvent(req, note, 'view');
+    return res.render('viewFile', {
+      note,
+      revision: NoteService.getRevision(note),
+      revisions: [],
+      share: { url: ShareService.pathFor(link) },
+      canShare: false,
+    });
+  } catch (err) {
+    console.error('Shared view error:', err);
+    res.status(500).send('Error loading file');
+  }
+});
 
-    const forward = (urlStr, redirects = 0) => {
-      if (redirects > 5) {
-        res.status(502).end('Too many redirects');
-        return;
+// The shared file; ?download=1 counts against the link's download limit
+app.get('/s/:token/file', async (req, res) => {
+  try {
+    const shared = await resolveShare(res, req.params.token);
+    if (!shared) return;
+    const { link, note } = shared;
+    if (req.query.download) {
+      try {
+        await ShareService.recordDownload(link);
+      } catch (err) {
+        if (!err.status) throw err;
+        return res.status(err.status).send(err.message);
       }
-      const u = new URL(urlStr);
-      const options = {
-        method: 'GET',
-        hostname: u.hostname,
-        path: u.pathname + (u.search || ''),
-        headers: {
-          'User-Agent': 'Mozilla/5.0',
-          // Forward range requests to enable partial fetch (helps PDF.js)
-          ...(req.headers['range'] ? { Range: req.headers['range'] } : {}),
-        },
-      };
-      const request = https.request(options, (r) => {
-        const status = r.statusCode || 500;
-        if (status >= 300 && status < 400 && r.headers.location) {
-          const nextUrl = r.headers.location.startsWith('http') ? r.headers.location : `${u.protocol}//${u.host}${r.headers.location}`;
-          r.resume();
-          return forward(nextUrl, redirects + 1);
-        }
-        if (status >= 400) {
-          res.status(status).end('Upstream error');
-          return;
-        }
-        // Mirror useful headers
-        if (r.headers['content-length']) res.setHeader('Content-Length', r.headers['content-length']);
-        if (r.headers['accept-ranges']) res.setHeader('Accept-Ranges', r.headers['accept-ranges']);
-        if (r.headers['content-range']) res.setHeader('Content-Range', r.headers['content-range']);
-        if (req.headers['range'] && status === 206) res.status(206);
-        r.pipe(res);
-      });
-      request.on('error', (e) => {
-        console.error('Proxy error:', e);
-        res.status(500).end('Proxy failed');
-      });
-      request.end();
-    };
-
-    forward(targetUrl);
+      await recordNoteEvent(req, note, 'download');
+    }
+    // Links can be revoked at any time, so nothing is cached
+    await sendNoteFile(req, res, note, NoteService.getRevision(note), { cacheControl: 'private, no-store' });
   } catch (err) {
-    console.error('Download error:', err);
+    console.error('Shared download error:', err);
     res.status(500).send('Error downloading file');
   }
 });
@@ -743,15 +1246,37 @@ app.get('/download/:id', async (req, res) => {
 // ======================
 // Profile
 // ======================
+// ?tab=saved opens the Saved tab; each tab scrolls through its own listing
 app.get('/profile', async (req, res) => {
   if (!req.session.user) return res.redirect('/');
   try {
+    const tab = req.query.tab === 'saved' ? 'saved' : 'uploads';
+    const sort = parseSort(req.query.sort);
+    const savedOptions = { populate: { path: 'uploader', model: User, select: 'name username' }, limit: PAGE_SIZE };
+    if (wantsCards(req) && tab === 'saved') {
+      const page = await SavedService.list(req.session.user, { ...savedOptions, cursor: req.query.cursor });
+      return sendCards(res, 'partials/savedCards', page);
+    }
+    const { notes, nextCursor } = await NoteService.listNotes({ uploader: req.session.user.id }, {
+      sort,
+      period: parsePeriod(req.query.period),
+      cursor: req.query.cursor,
+      limit: PAGE_SIZE,
+    });
+    if (wantsCards(req)) return sendCards(res, 'partials/profileCards', { notes, nextCursor });
+    const saved = await SavedService.list(req.session.user, savedOptions);
+
     const me = await User.findById(req.session.user.id);
-    const myNotes = await Note.find({ uploader: req.session.user.id }).sort({ uploadedAt: -1 });
-    res.render('profile', { me, notes: myNotes });
+    // Share links that still open, with the titles of their notes
+    const links = await ShareService.listActive(req.session.user.id);
+    const linked = await Note.find({ _id: { $in: links.map(link => link.note) } }).select('title');
+    const titles = new Map(linked.map(note => [String(note._id), note.title]));
+    const shares = links.map(link => ({ ...ShareService.describe(link), title: titles.get(String(link.note)) || '' }));
+    const collections = await CollectionService.listForOwner(req.session.user.id);
+    const stats = await AnalyticsService.dashboard(req.session.user.id);
+    res.render('profile', { me, notes, nextCursor, sort, tab, saved, shares, collections, stats });
   } catch (err) {
-    console.error('Profile error:', err);
-    res.status(500).send('Failed to load profile');
+    listingError(req, res, err, 'Profile');
   }
 });
 
@@ -798,8 +1323,19 @@ app.post('/profile/delete-account', async (req, res) => {
   if (!req.session.user) return res.status(401).send('Unauthorized');
   try {
     const userId = req.session.user.id;
-    // Delete user's notes
-    await Note.deleteMany({ uploader: userId });
+    // Delete user's notes along with their stored files
+    const notes = await Note.find({ uploader: userId }).select('_id');
+    for (const note of notes) {
+      await NoteService.deleteNote(note._id);
+    }
+    // Their collections go too; other people's collections just lose the deleted notes
+    await CollectionService.removeForOwner(userId);
+    await SavedService.removeForUser(userId);
+    await VoteService.removeForUser(userId);
+    await CommentService.removeForAuthor(userId);
+    await FollowService.removeForUser(userId);
+    await NotificationService.removeForUser(userId);
+    await ReportService.removeForUser(userId);
     // Delete user
     await User.findByIdAndDelete(userId);
     // Destroy session and redirect home
@@ -830,8 +1366,7 @@ app.delete('/uploads/:id', requireAuth, async (req, res) => {
     if (!note.uploader || String(note.uploader) !== String(req.session.user.id)) {
       return res.status(403).send('Not allowed');
     }
-    await Note.deleteOne({ _id: id });
-    // Optional: Also delete from Cloudinary if you store public_id
+    await NoteService.deleteNote(id);
     return res.send('Deleted');
   } catch (err) {
     console.error('Delete upload error:', err);
@@ -917,4 +1452,30 @@ app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
 
+// Email digests (services/digestService.js): every hour, mail the users whose daily or
+// weekly digest is due. Links in the emails point at APP_URL.
+const DIGEST_CHECK_MS = 60 * 60 * 1000;
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+function renderEmail(view, locals) {
+  return new Promise((resolve, reject) => {
+    app.render(view, locals, (err, html) => (err ? reject(err) : resolve(html)));
+  });
+}
+
+async function sendDigests() {
+  try {
+    const sent = await DigestService.sendDue({
+      baseUrl: APP_URL,
+      render: (locals) => renderEmail('emails/digest', locals),
+      send: (message) => transporter.sendMail({ from: `"Cloud Notes" <${process.env.GMAIL_USER}>`, ...message }),
+    });
+    if (sent) console.log(`✅ Sent ${sent} email digest(s)`);
+  } catch (err) {
+    console.error('Digest error:', err);
+  }
+}
+
+if (process.env.GMAIL_USER) setInterval(sendDigests, DIGEST_CHECK_MS).unref();
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,141 @@
+const userLoginSchema = require('../models/userlogin');
+const noteSchema = require('../models/noteSchema');
+const commentSchema = require('../models/commentSchema');
+const collectionSchema = require('../models/collectionSchema');
+const reportSchema = require('../models/reportSchema');
+const NoteService = require('./noteService');
+const { isValidObjectId, escapeRegex } = require('../utils/helpers');
+const { isRole } = require('../utils/roles');
+const { pageQuery, encodeCursor } = require('../utils/pagination');
+
+// The /admin dashboard: system counts, every account and every note (whatever its
+// visibility), roles and suspensions. Deleting a note from here goes through
+// ModerationService, like a moderator's decision.
+
+// Compile the User and PDF DB models on the shared connections
+const { pdfDB, userDB } = require('../db');
+const User = userDB.model('UserLogin', userLoginSchema);
+const Note = pdfDB.model('Note', noteSchema);
+const Comment = pdfDB.model('Comment', commentSchema);
+const Collection = pdfDB.model('Collection', collectionSchema);
+const Report = pdfDB.model('Report', reportSchema);
+
+// Accounts are listed newest first (cursor format of utils/pagination.js)
+const USER_SORTS = {
+  newest: { field: 'createdAt', dir: -1, type: 'date' },
+};
+const USER_FIELDS = 'name username role createdAt suspendedAt suspendedReason';
+const MAX_SUSPEND_REASON = 500;
+
+function adminError(status, message, code) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+// Case-insensitive "contains" filter over some fields; everything without a query
+function searchFilter(q, fields) {
+  const text = typeof q === 'string' ? q.trim() : '';
+  if (!text) return {};
+  const regex = new RegExp(escapeRegex(text), 'i');
+  return { $or: fields.map(field => ({ [field]: regex })) };
+}
+
+class AdminService {
+  static async stats() {
+    const [users, suspended, moderators, admins, notes, unlisted, privateNotes, hidden, comments, collections, openReports] = await Promise.all([
+      User.countDocuments({}),
+      User.countDocuments({ suspendedAt: { $ne: null } }),
+      User.countDocuments({ role: 'moderator' }),
+      User.countDocuments({ role: 'admin' }),
+      Note.countDocuments({}),
+      Note.countDocuments({ visibility: 'unlisted' }),
+      Note.countDocuments({ visibility: 'private' }),
+      Note.countDocuments({ hidden: true }),
+      Comment.countDocuments({ deletedAt: null }),
+      Collection.countDocuments({}),
+      Report.countDocuments({ status: 'open' }),
+    ]);
+    return {
+      users: { total: users, suspended, moderators, admins },
+      notes: { total: notes, unlisted, private: privateNotes, hidden },
+      comments,
+      collections,
+      openReports,
+    };
+  }
+
+  // One page of accounts, newest first, ?q= matching their name or email:
+  // { users, nextCursor }, each user with its noteCount
+  static async listUsers({ q, cursor, limit = 20 } = {}) {
+    const page = pageQuery(searchFilter(q, ['name', 'username']), { sort: 'newest', cursor, sorts: USER_SORTS });
+    const users = await User.find(page.filter).select(USER_FIELDS).sort(page.sort).limit(limit + 1).lean();
+    const more = users.length > limit;
+    if (more) users.pop();
+    const counts = await Note.aggregate([
+      { $match: { uploader: { $in: users.map(u => u._id) } } },
+      { $group: { _id: '$uploader', count: { $sum: 1 } } },
+    ]);
+    const noteCounts = new Map(counts.map(c => [String(c._id), c.count]));
+    return {
+      users: users.map(u => ({ ...u, role: u.role || 'user', noteCount: noteCounts.get(String(u._id)) || 0 })),
+      nextCursor: more ? encodeCursor(users[users.length - 1], 'newest', USER_SORTS) : null,
+    };
+  }
+
+  // One page of notes of any visibility, newest first, ?q= matching their title or
+  // uploader's name: { notes, nextCursor }
+  static async listNotes({ q, cursor, limit = 20 } = {}) {
+    return await NoteService.listNotes(searchFilter(q, ['title', 'uploaderName']), {
+      sort: 'newest',
+      cursor,
+      limit,
+      select: 'title uploader uploaderName uploadedAt visibility hidden viewCount downloadCount score',
+    });
+  }
+
+  static async setRole(admin, userId, role) {
+    if (!isRole(role)) throw adminError(400, 'Role must be user, moderator or admin', 'invalid_role');
+    if (String(admin.id) === String(userId)) {
+      throw adminError(400, "You can't change your own role", 'own_role');
+    }
+    const user = await AdminService.findUser(userId);
+    if (!user) throw adminError(404, 'User not found', 'not_found');
+    return await User.findByIdAndUpdate(userId, { $set: { role } }, { new: true }).select(USER_FIELDS).lean();
+  }
+
+  // Suspended accounts can't log in and are logged out of every session (server.js)
+  static async suspend(admin, userId, reason) {
+    if (String(admin.id) === String(userId)) {
+      throw adminError(400, "You can't suspend yourself", 'own_account');
+    }
+    const text = typeof reason === 'string' ? reason.trim() : '';
+    if (text.length > MAX_SUSPEND_REASON) {
+      throw adminError(400, `The reason must be at most ${MAX_SUSPEND_REASON} characters`, 'reason_too_long');
+    }
+    const user = await AdminService.findUser(userId);
+    if (!user) throw adminError(404, 'User not found', 'not_found');
+    if (user.role === 'admin') {
+      throw adminError(403, "Admins can't be suspended; change their role first", 'suspend_admin');
+    }
+    return await User.findByIdAndUpdate(
+      userId,
+      { $set: { suspendedAt: user.suspendedAt || new Date(), suspendedReason: text } },
+      { new: true }
+    ).select(USER_FIELDS).lean();
+  }
+
+  static async unsuspend(userId) {
+    if (!(await AdminService.findUser(userId))) throw adminError(404, 'User not found', 'not_found');
+    return await User.findByIdAndUpdate(
+      userId,
+      { $set: { suspendedAt: null, suspendedReason: '' } },
+      { new: true }
+    ).select(USER_FIELDS).lean();
+  }
+
+  static async findUser(userId) {
+    if (!isValidObjectId(userId)) return null;
+    return await User.findById(userId).select(USER_FIELDS).lean();
+  }
+}
+
+module.exports = AdminService;
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const noteSchema = require('../models/noteSchema');
+const noteStatSchema = require('../models/noteStatSchema');
+const noteVisitSchema = require('../models/noteVisitSchema');
+
+// Compile the Note, NoteStat and NoteVisit models on the shared PDF DB connection
+const { pdfDB } = require('../db');
+const Note = pdfDB.model('Note', noteSchema);
+const NoteStat = pdfDB.model('NoteStat', noteStatSchema);
+const NoteVisit = pdfDB.model('NoteVisit', noteVisitSchema);
+
+// A visitor is counted once per note and kind within this window
+const WINDOW_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+// Anonymous visitors are keyed by a hash, so the raw address is never stored
+const VISITOR_SECRET = process.env.SESSION_SECRET || 'your-secret-key';
+
+// Where each kind of event is counted: the daily rollup and the note's running total
+const COUNTERS = {
+  view: { stat: 'views', total: 'viewCount' },
+  download: { stat: 'downloads', total: 'downloadCount' },
+};
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+// `days` zeroed entries from `from` on: [{ date: 'YYYY-MM-DD', views, downloads }]
+function emptySeries(from, days) {
+  return Array.from({ length: days }, (_, i) => ({
+    date: new Date(from.getTime() + i * DAY_MS).toISOString().slice(0, 10),
+    views: 0,
+    downloads: 0,
+  }));
+}
+
+// Sum of { views, downloads } counts
+function sumCounts(counts) {
+  return counts.reduce((sum, c) => ({
+    views: sum.views + c.views,
+    downloads: sum.downloads + c.downloads,
+  }), { views: 0, downloads: 0 });
+}
+
+class AnalyticsService {
+  static get maxDays() {
+    return MAX_DAYS;
+  }
+
+  // ?days= for time series: 1–365, 30 by default
+  static parseDays(value) {
+    return Math.min(Math.max(parseInt(value, 10) || DEFAULT_DAYS, 1), MAX_DAYS);
+  }
+
+  // Who is behind a request, for deduplication: the account when logged in,
+  // otherwise a keyed hash of the IP address and user agent
+  static visitorFor({ user, ip, userAgent }) {
+    if (user) return `u:${user.id}`;
+    const hash = crypto.createHmac('sha256', VISITOR_SECRET)
+      .update(`${ip || ''}\n${userAgent || ''}`)
+      .digest('base64url');
+    return `a:${hash.slice(0, 22)}`;
+  }
+
+  // Count a view or download of a note, unless the same visitor was counted for it in
+  // the last hour. Resolves to whether it was counted.
+  static async record(noteId, kind, visitor, now = new Date()) {
+    const counter = COUNTERS[kind];
+    if (!counter) throw new Error(`Unknown event kind: ${kind}`);
+    try {
+      // Renews an expired marker or inserts a new one. With a live marker the filter
+      // matches nothing, so the upsert runs into the unique index instead.
+      await NoteVisit.updateOne(
+        { note: noteId, kind, visitor, expiresAt: { $lte: now } },
+        { $set: { expiresAt: new Date(now.getTime() + WINDOW_MS) } },
+        { upsert: true }
+      );
+    } catch (err) {
+      if (err.code === 11000) return false;
+      throw err;
+    }
+    await NoteStat.updateOne(
+      { note: noteId, day: startOfDay(now) },
+      { $inc: { [counter.stat]: 1 } },
+      { upsert: true }
+    );
+    await Note.updateOne({ _id: noteId }, { $inc: { [counter.total]: 1 } });
+    return true;
+  }
+
+  // Daily counts of the last `days` days (today included, oldest first, days without
+  // events as zeros), as a Map from note id to its series
+  static async dailySeries(noteIds, { days = DEFAULT_DAYS, now = new Date() } = {}) {
+    const from = new Date(startOfDay(now).getTime() - (days - 1) * DAY_MS);
+    const stats = await NoteStat.find({ note: { $in: noteIds }, day: { $gte: from } }).lean();
+    const byNote = new Map(noteIds.map(id => [String(id), emptySeries(from, days)]));
+    for (const stat of stats) {
+      const series = byNote.get(String(stat.note));
+      const entry = series && series[Math.round((stat.day - from) / DAY_MS)];
+      if (!entry) continue;
+      entry.views += stat.views || 0;
+      entry.downloads += stat.downloads || 0;
+    }
+    return byNote;
+  }
+
+  // GET /api/notes/:id/stats: all-time totals plus the daily series and its sums
+  static async noteStats(note, { days = DEFAULT_DAYS } = {}) {
+    const series = (await this.dailySeries([note._id], { days })).get(String(note._id));
+    return {
+      note: note._id,
+      total: { views: note.viewCount || 0, downloads: note.downloadCount || 0 },
+      days,
+      period: sumCounts(series),
+      series,
+    };
+  }
+
+  // The profile dashboard: totals over all of a user's notes, and every note with its
+  // daily series, the most viewed in the period (then downloaded) first
+  static async dashboard(ownerId, { days = DEFAULT_DAYS } = {}) {
+    const notes = await Note.find({ uploader: ownerId }).select('title viewCount downloadCount').lean();
+    const seriesByNote = await this.dailySeries(notes.map(note => note._id), { days });
+    const rows = notes.map(note => {
+      const series = seriesByNote.get(String(note._id));
+      return {
+        _id: note._id,
+        title: note.title,
+        total: { views: note.viewCount || 0, downloads: note.downloadCount || 0 },
+        period: sumCounts(series),
+        series,
+      };
+    });
+    rows.sort((a, b) => (b.period.views - a.period.views)
+      || (b.period.downloads - a.period.downloads)
+      || (b.total.views - a.total.views));
+    return {
+      days,
+      noteCount: notes.length,
+      total: sumCounts(rows.map(row => row.total)),
+      period: sumCounts(rows.map(row => row.period)),
+      notes: rows,
+    };
+  }
+
+  static async removeForNote(noteId) {
+    await NoteStat.deleteMany({ note: noteId });
+    await NoteVisit.deleteMany({ note: noteId });
+  }
+}
+
+module.exports = AnalyticsService;
@@ -0,0 +1,75 @@
+const { pipeline } = require('stream/promises');
+const { ZipWriter } = require('../utils/zip');
+const { safeFilename } = require('../utils/helpers');
+const { getStorageForUrl } = require('./storage');
+
+// Most notes packaged into one ZIP download
+const MAX_NOTES = parseInt(process.env.MAX_ARCHIVE_NOTES, 10) || 200;
+
+// "Title.pdf", then "Title (2).pdf", ... for notes sharing a title
+function uniqueName(name, used) {
+  let candidate = name;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    candidate = name.replace(/(\.pdf)?$/i, ` (${n})$1`);
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+class ArchiveService {
+  static get maxNotes() {
+    return MAX_NOTES;
+  }
+
+  // Stream `notes` into `output` as a ZIP: one PDF per note named after its title, plus a
+  // manifest.json describing them. Files are fetched from storage one at a time and
+  // passed straight through, so memory use doesn't grow with the archive.
+  // Notes whose file can't be fetched are listed under `missing` in the manifest.
+  static async writeNotes(notes, output, { source = {}, baseUrl = '' } = {}) {
+    const zip = new ZipWriter();
+    const piping = pipeline(zip.stream, output);
+    piping.catch(() => {}); // surfaced by the await below, or by the failing write
+
+    const used = new Set(['manifest.json']);
+    const files = [];
+    const missing = [];
+    try {
+      for (const note of notes) {
+        let upstream;
+        try {
+          upstream = await getStorageForUrl(note.fileUrl).openReadStream(note.fileUrl);
+        } catch (err) {
+          console.error('Archive fetch error:', String(note._id), err.message);
+          missing.push({ id: String(note._id), title: note.title, error: 'File unavailable' });
+          continue;
+        }
+
+        const file = uniqueName(safeFilename(note.title), used);
+        await zip.addEntry(file, upstream.stream, { date: note.uploadedAt });
+        files.push({
+          id: String(note._id),
+          file,
+          title: note.title,
+          description: note.description || '',
+          tags: note.tags || [],
+          uploader: note.uploaderName || '',
+          uploadedAt: note.uploadedAt,
+          revision: note.revision || 1,
+          pageCount: note.pageCount || null,
+          sha256: note.contentHash || null,
+          url: `${baseUrl}/view/${note._id}`,
+        });
+      }
+
+      const manifest = { generatedAt: new Date(), source, count: files.length, notes: files, missing };
+      await zip.addEntry('manifest.json', JSON.stringify(manifest, null, 2));
+      await zip.finish();
+    } catch (err) {
+      zip.stream.destroy(err);
+      throw err;
+    }
+    await piping;
+  }
+}
+
+module.exports = ArchiveService;
@@ -0,0 +1,146 @@
+const collectionSchema = require('../models/collectionSchema');
+const noteSchema = require('../models/noteSchema');
+const { isValidObjectId } = require('../utils/helpers');
+const { listedQuery, viewableQuery, curatedQuery } = require('../utils/visibility');
+
+// Compile the Collection and Note models on the shared PDF DB connection
+const { pdfDB } = require('../db');
+const Collection = pdfDB.model('Collection', collectionSchema);
+const Note = pdfDB.model('Note', noteSchema);
+
+const MAX_NOTES = 500;
+
+function collectionError(status, message, code) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+// Only notes `user` may open can be collected
+async function assertCollectable(noteId, user) {
+  if (!isValidObjectId(noteId) || !(await Note.exists({ _id: noteId, ...viewableQuery(user) }))) {
+    throw collectionError(404, 'Note not found', 'note_not_found');
+  }
+}
+
+class CollectionService {
+  static get maxNotes() {
+    return MAX_NOTES;
+  }
+
+  // `fields` comes from utils/collectionMetadata.js. With `noteId` the collection starts
+  // with that note; it is checked first, so a note the owner can't open leaves no empty
+  // collection behind.
+  static async create(owner, fields, { noteId } = {}) {
+    if (noteId) await assertCollectable(noteId, owner);
+    return await Collection.create({
+      ...fields,
+      notes: noteId ? [noteId] : [],
+      owner: owner.id,
+      ownerName: owner.name || owner.username || '',
+    });
+  }
+
+  static async getById(id) {
+    if (!isValidObjectId(id)) return null;
+    return await Collection.findById(id);
+  }
+
+  // A user's collections, most recently changed first. With `noteId` each one also
+  // says whether it `contains` that note (for the "Add to collection" dialog).
+  static async listForOwner(ownerId, { noteId } = {}) {
+    const collections = await Collection.find({ owner: ownerId }).sort({ updatedAt: -1 }).lean();
+    return collections.map(({ notes, ...collection }) => ({
+      ...collection,
+      noteCount: notes.length,
+      ...(noteId ? { contains: notes.some(id => String(id) === String(noteId)) } : {}),
+    }));
+  }
+
+  // The public collections of a user, for their profile page
+  static async listPublic(ownerId) {
+    const collections = await Collection.find({ owner: ownerId, ...listedQuery() }).sort({ updatedAt: -1 }).lean();
+    return collections.map(({ notes, ...collection }) => ({ ...collection, noteCount: notes.length }));
+  }
+
+  static async update(collection, fields) {
+    return await Collection.findByIdAndUpdate(
+      collection._id,
+      { $set: { ...fields, updatedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  static async remove(id) {
+    return await Collection.findByIdAndDelete(id);
+  }
+
+  static async removeForOwner(ownerId) {
+    await Collection.deleteMany({ owner: ownerId });
+  }
+
+  // The notes of a collection in its order, leaving out the ones `user` may not open
+  // (other people's private notes, or notes deleted since) and other people's notes a
+  // moderator hid
+  static async notesOf(collection, user, { populate, select } = {}) {
+    let query = Note.find({ _id: { $in: collection.notes }, ...curatedQuery(user) });
+    if (select) query = query.select(select);
+    if (populate) query = query.populate(populate);
+    const byId = new Map((await query).map(note => [String(note._id), note]));
+    return collection.notes.map(id => byId.get(String(id))).filter(Boolean);
+  }
+
+  // Add a note `user` may open, at `position` (the end by default). Adding a note that
+  // is already there changes nothing.
+  static async addNote(collection, noteId, user, { position } = {}) {
+    await assertCollectable(noteId, user);
+    if (collection.notes.some(id => String(id) === String(noteId))) return collection;
+
+    const push = { $each: [noteId] };
+    const at = parseInt(position, 10);
+    if (Number.isInteger(at) && at >= 0) push.$position = at;
+    // Both checks are repeated in the update so concurrent adds can't overshoot
+    const updated = await Collection.findOneAndUpdate(
+      { _id: collection._id, notes: { $ne: noteId }, [`notes.${MAX_NOTES - 1}`]: { $exists: false } },
+      { $push: { notes: push }, $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+    if (updated) return updated;
+    const current = await Collection.findById(collection._id);
+    if (current && current.notes.some(id => String(id) === String(noteId))) return current;
+    throw collectionError(400, `A collection holds at most ${MAX_NOTES} notes`, 'too_many_notes');
+  }
+
+  static async removeNote(collection, noteId) {
+    return await Collection.findByIdAndUpdate(
+      collection._id,
+      { $pull: { notes: noteId }, $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  // Put the notes in a new order. `noteIds` lists notes of the collection, each once;
+  // notes it leaves out (e.g. ones the owner can no longer open) keep their relative
+  // order after them.
+  static async reorder(collection, noteIds) {
+    const ids = Array.isArray(noteIds) ? noteIds.map(String) : [];
+    const current = collection.notes.map(String);
+    if (!ids.length || new Set(ids).size !== ids.length || !ids.every(id => current.includes(id))) {
+      throw collectionError(400, 'The new order must list notes of the collection, each once', 'bad_order');
+    }
+    const order = [...ids, ...current.filter(id => !ids.includes(id))];
+    // Only applied if nobody changed the collection in the meantime
+    const updated = await Collection.findOneAndUpdate(
+      { _id: collection._id, notes: collection.notes },
+      { $set: { notes: order, updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!updated) throw collectionError(409, 'The collection changed, reload and try again', 'conflict');
+    return updated;
+  }
+
+  // Drop a deleted note from every collection
+  static async removeNoteEverywhere(noteId) {
+    await Collection.updateMany({ notes: noteId }, { $pull: { notes: noteId } });
+  }
+}
+
+module.exports = CollectionService;
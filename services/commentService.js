@@ -0,0 +1,139 @@
+const commentSchema = require('../models/commentSchema');
+const { isValidObjectId } = require('../utils/helpers');
+const { pageQuery, encodeCursor } = require('../utils/pagination');
+
+// Compile the Comment model on the shared PDF DB connection
+const { pdfDB } = require('../db');
+const Comment = pdfDB.model('Comment', commentSchema);
+
+// Threads are paged by their top-level comment, newest first (cursor format of utils/pagination.js)
+const COMMENT_SORTS = {
+  newest: { field: 'createdAt', dir: -1, type: 'date' },
+};
+// Replies nest this deep at most; answers to a reply at this depth go next to it
+const MAX_DEPTH = 4;
+
+function commentError(status, message, code) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+class CommentService {
+  static async getById(id) {
+    if (!isValidObjectId(id)) return null;
+    return await Comment.findById(id);
+  }
+
+  static async count(noteId) {
+    return await Comment.countDocuments({ note: noteId, deletedAt: null });
+  }
+
+  static isAuthor(comment, user) {
+    return Boolean(user && comment.author) && String(comment.author) === String(user.id);
+  }
+
+  // A comment as the API returns it to `user`; `canModerate` is true for the note's
+  // owner and admins, who may delete any comment on it. Deleted placeholders lose
+  // author and body.
+  static describe(comment, user, { canModerate = false } = {}) {
+    const deleted = Boolean(comment.deletedAt);
+    const mine = this.isAuthor(comment, user);
+    return {
+      _id: comment._id,
+      parent: comment.parent,
+      author: deleted ? null : { id: comment.author, name: comment.authorName },
+      body: deleted ? '' : comment.body,
+      createdAt: comment.createdAt,
+      editedAt: comment.editedAt,
+      deleted,
+      canEdit: !deleted && mine,
+      canDelete: !deleted && (mine || canModerate),
+      replies: [],
+    };
+  }
+
+  // One page of a note's threads, newest first: { threads, nextCursor }. Each top-level
+  // comment carries all of its `replies`, nested, oldest first.
+  static async listThreads(noteId, user, { cursor, limit = 20, canModerate = false } = {}) {
+    const page = pageQuery({ note: noteId, root: null }, { sort: 'newest', cursor, sorts: COMMENT_SORTS });
+    const roots = await Comment.find(page.filter).sort(page.sort).limit(limit + 1).lean();
+    const more = roots.length > limit;
+    if (more) roots.pop();
+
+    const byId = new Map();
+    const threads = roots.map(root => {
+      const described = this.describe(root, user, { canModerate });
+      byId.set(String(root._id), described);
+      return described;
+    });
+    // Oldest first, so every parent is placed before its replies
+    const replies = await Comment.find({ root: { $in: roots.map(root => root._id) } })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+    for (const reply of replies) {
+      const parent = byId.get(String(reply.parent));
+      if (!parent) continue;
+      const described = this.describe(reply, user, { canModerate });
+      byId.set(String(reply._id), described);
+      parent.replies.push(described);
+    }
+    return { threads, nextCursor: more ? encodeCursor(roots[roots.length - 1], 'newest', COMMENT_SORTS) : null };
+  }
+
+  // `body` comes from utils/commentMetadata.js; `parentId` makes it a reply
+  static async create(note, user, body, { parentId } = {}) {
+    let parent = null;
+    if (parentId) {
+      parent = isValidObjectId(parentId) ? await Comment.findOne({ _id: parentId, note: note._id }) : null;
+      if (!parent) throw commentError(404, 'Comment not found', 'parent_not_found');
+      if (parent.deletedAt) throw commentError(400, 'Deleted comments can\'t be answered', 'parent_deleted');
+      if (parent.depth >= MAX_DEPTH) parent = await Comment.findById(parent.parent);
+    }
+    return await Comment.create({
+      note: note._id,
+      parent: parent ? parent._id : null,
+      root: parent ? (parent.root || parent._id) : null,
+      depth: parent ? parent.depth + 1 : 0,
+      author: user.id,
+      authorName: user.name || user.username || '',
+      body,
+    });
+  }
+
+  static async update(comment, body) {
+    const updated = await Comment.findOneAndUpdate(
+      { _id: comment._id, deletedAt: null },
+      { $set: { body, editedAt: new Date() } },
+      { new: true }
+    );
+    if (!updated) throw commentError(404, 'Comment not found', 'not_found');
+    return updated;
+  }
+
+  // A comment with replies stays as a placeholder so its thread holds together;
+  // otherwise it goes, along with any placeholders it was the last reply to
+  static async remove(comment) {
+    if (await Comment.exists({ parent: comment._id })) {
+      await Comment.updateOne({ _id: comment._id }, { $set: { deletedAt: new Date(), body: '' } });
+      return;
+    }
+    await Comment.deleteOne({ _id: comment._id });
+    if (!comment.parent) return;
+    const parent = await Comment.findOne({ _id: comment.parent, deletedAt: { $ne: null } });
+    if (parent) await this.remove(parent);
+  }
+
+  static async removeForNote(noteId) {
+    await Comment.deleteMany({ note: noteId });
+  }
+
+  // A deleted account's comments are deleted; the placeholders left behind forget who wrote them
+  static async removeForAuthor(userId) {
+    const comments = await Comment.find({ author: userId, deletedAt: null }).select('parent').lean();
+    for (const comment of comments) {
+      await this.remove(comment);
+    }
+    await Comment.updateMany({ author: userId }, { $set: { author: null, authorName: '' } });
+  }
+}
+
+module.exports = CommentService;
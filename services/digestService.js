@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const userLoginSchema = require('../models/userlogin');
+const NotificationService = require('./notificationService');
+
+// Email digests of unread notifications. Users choose daily, weekly or off (the
+// default); server.js checks every hour who is due and mails them through its
+// nodemailer transporter. Every digest carries a signed one-click unsubscribe link.
+
+// Compile the UserLogin model on the shared User DB connection
+const { userDB } = require('../db');
+const User = userDB.model('UserLogin', userLoginSchema);
+
+const FREQUENCIES = ['off', 'daily', 'weekly'];
+const PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+// Due checks run hourly; without the slack a daily digest would slip by up to an hour a day
+const SLACK_MS = 60 * 60 * 1000;
+const MAX_ITEMS = 20;
+
+// Changing the secret invalidates every unsubscribe link sent so far
+const SECRET = process.env.SESSION_SECRET || 'your-secret-key';
+
+function digestError(status, message, code) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+function sign(userId) {
+  return crypto.createHmac('sha256', SECRET).update(`unsubscribe:${userId}`).digest('base64url');
+}
+
+class DigestService {
+  static get frequencies() {
+    return FREQUENCIES;
+  }
+
+  static async getPreferences(userId) {
+    const user = await User.findById(userId).select('digest').lean();
+    return { frequency: (user && user.digest && user.digest.frequency) || 'off' };
+  }
+
+  // Switching a digest on (or to another frequency) starts its period now, so the first
+  // one only covers what comes after
+  static async setFrequency(userId, frequency) {
+    if (!FREQUENCIES.includes(frequency)) {
+      throw digestError(400, `Digest must be one of ${FREQUENCIES.join(', ')}`, 'invalid_frequency');
+    }
+    await User.updateOne(
+      { _id: userId },
+      { $set: { 'digest.frequency': frequency, 'digest.lastSentAt': frequency === 'off' ? null : new Date() } }
+    );
+    return { frequency };
+  }
+
+  // `<user id>.<signature>`, for the unsubscribe link of a user's digests
+  static unsubscribeToken(userId) {
+    return `${userId}.${sign(userId)}`;
+  }
+
+  // Turn the digest off for the user a token was made for; false for a bad token
+  static async unsubscribe(token) {
+    const [id, signature] = String(token || '').split('.');
+    if (!id || !signature || !mongoose.Types.ObjectId.isValid(id)) return false;
+    const expected = Buffer.from(sign(id));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return false;
+    await User.updateOne({ _id: id }, { $set: { 'digest.frequency': 'off', 'digest.lastSentAt': null } });
+    return true;
+  }
+
+  // Mail every user whose digest is due and who has unread notifications since the last
+  // one. `render(locals)` resolves with the email's HTML and `send(message)` mails it.
+  // Resolves with the number of digests sent.
+  static async sendDue({ render, send, baseUrl, now = new Date() }) {
+    let sent = 0;
+    for (const [frequency, period] of Object.entries(PERIODS)) {
+      const dueBefore = new Date(now.getTime() - period + SLACK_MS);
+      const users = User.find({
+        'digest.frequency': frequency,
+        $or: [{ 'digest.lastSentAt': null }, { 'digest.lastSentAt': { $lte: dueBefore } }],
+      }).select('name username digest').cursor();
+
+      for await (const user of users) {
+        const since = user.digest.lastSentAt;
+        const { notifications, total } = await NotificationService.unreadSince(user._id, since, { limit: MAX_ITEMS });
+        if (!total) continue;
+        // Claim the digest first, so two instances checking at once can't both send it
+        const claimed = await User.updateOne(
+          { _id: user._id, 'digest.lastSentAt': since },
+          { $set: { 'digest.lastSentAt': now } }
+        );
+        if (!claimed.modifiedCount) continue;
+
+        const unsubscribeUrl = `${baseUrl}/notifications/unsubscribe/${DigestService.unsubscribeToken(user._id)}`;
+        try {
+          const html = await render({
+            name: user.name || user.username,
+            frequency,
+            total,
+            items: notifications.map(n => ({
+              text: NotificationService.describe(n),
+              url: `${baseUrl}${NotificationService.linkFor(n)}`,
+              createdAt: n.createdAt,
+            })),
+            notificationsUrl: `${baseUrl}/notifications`,
+            unsubscribeUrl,
+          });
+          await send({
+            to: user.username,
+            subject: `Cloud Notes: ${total} new notification${total === 1 ? '' : 's'}`,
+            html,
+            headers: {
+              'List-Unsubscribe': `<${unsubscribeUrl}>`,
+              'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+            },
+          });
+          sent++;
+        } catch (err) {
+          // Give the claim back so the next check tries again
+          console.error(`Digest for ${user._id} failed:`, err.message);
+          await User.updateOne({ _id: user._id, 'digest.lastSentAt': now }, { $set: { 'digest.lastSentAt': since } });
+        }
+      }
+    }
+    return sent;
+  }
+}
+
+module.exports = DigestService;
@@ -0,0 +1,71 @@
+const followSchema = require('../models/followSchema');
+const NoteService = require('./noteService');
+const { listedQuery } = require('../utils/visibility');
+
+// Compile the Follow model on the shared PDF DB connection
+const { pdfDB } = require('../db');
+const Follow = pdfDB.model('Follow', followSchema);
+
+function followError(status, message, code) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+class FollowService {
+  // Follow another user (the caller checks that the account exists); following them
+  // again keeps the original date. Resolves with whether this is a new follow.
+  static async follow(followerId, followeeId) {
+    if (String(followerId) === String(followeeId)) {
+      throw followError(400, "You can't follow yourself", 'self_follow');
+    }
+    const result = await Follow.findOneAndUpdate(
+      { follower: followerId, followee: followeeId },
+      { $setOnInsert: { followedAt: new Date() } },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+    return !result.lastErrorObject.updatedExisting;
+  }
+
+  static async unfollow(followerId, followeeId) {
+    await Follow.deleteOne({ follower: followerId, followee: followeeId });
+  }
+
+  static async isFollowing(followerId, followeeId) {
+    if (!followerId) return false;
+    return Boolean(await Follow.exists({ follower: followerId, followee: followeeId }));
+  }
+
+  // { followers, following } of a user, for their profile
+  static async counts(userId) {
+    const [followers, following] = await Promise.all([
+      Follow.countDocuments({ followee: userId }),
+      Follow.countDocuments({ follower: userId }),
+    ]);
+    return { followers, following };
+  }
+
+  static async followeeIds(userId) {
+    return await Follow.distinct('followee', { follower: userId });
+  }
+
+  // One page of the listed notes uploaded by the people `userId` follows, newest first:
+  // { notes, nextCursor, following } where `following` is how many people that is
+  static async feed(userId, { cursor, limit = 20, populate, select } = {}) {
+    const followees = await FollowService.followeeIds(userId);
+    if (!followees.length) return { notes: [], nextCursor: null, following: 0 };
+    const page = await NoteService.listNotes({ uploader: { $in: followees }, ...listedQuery() }, {
+      sort: 'newest',
+      cursor,
+      limit,
+      populate,
+      select,
+    });
+    return { ...page, following: followees.length };
+  }
+
+  // A deleted account leaves the graph on both sides
+  static async removeForUser(userId) {
+    await Follow.deleteMany({ $or: [{ follower: userId }, { followee: userId }] });
+  }
+}
+
+module.exports = FollowService;
@@ -0,0 +1,63 @@
+const moderationActionSchema = require('../models/moderationActionSchema');
+const NoteService = require('./noteService');
+const ReportService = require('./reportService');
+const NotificationService = require('./notificationService');
+const { isModerationAction } = require('../utils/moderation');
+
+// Compile the ModerationAction model on the shared PDF DB connection
+const { pdfDB } = require('../db');
+const ModerationAction = pdfDB.model('ModerationAction', moderationActionSchema);
+
+const MAX_MESSAGE = 1000;
+
+function moderationError(status, message, code) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+class ModerationService {
+  // Decide on the open reports about a note: `dismiss` them, `hide` the note from
+  // listings or `delete` it with its stored files. The decision closes every open
+  // report of the note, is recorded and tells the uploader. Resolves with the record.
+  // `force` (admins, from /admin) decides on a note nobody reported.
+  static async decide(noteId, moderator, { action, message, force = false } = {}) {
+    if (!isModerationAction(action)) {
+      throw moderationError(400, 'Action must be dismiss, hide or delete', 'invalid_action');
+    }
+    const text = typeof message === 'string' ? message.trim() : '';
+    if (text.length > MAX_MESSAGE) {
+      throw moderationError(400, `The message must be at most ${MAX_MESSAGE} characters`, 'message_too_long');
+    }
+    const note = await NoteService.getNoteById(noteId);
+    if (!note) throw moderationError(404, 'Note not found', 'not_found');
+
+    const reasons = await ReportService.openReasons(note._id);
+    const decision = new ModerationAction({
+      note: note._id,
+      noteTitle: note.title,
+      uploader: note.uploader || null,
+      action,
+      reasons: reasons.map(r => r.reason),
+      message: text,
+      moderator: moderator.id,
+      moderatorName: moderator.name || moderator.username || '',
+    });
+    // Closing the reports claims them, so two moderators can't both decide
+    decision.reportCount = await ReportService.resolve(note._id, decision._id);
+    if (!decision.reportCount && !force) {
+      throw moderationError(409, 'This note has no open reports', 'nothing_to_review');
+    }
+    await decision.save();
+
+    if (action === 'hide') await NoteService.setHidden(note._id, true);
+    if (action === 'delete') await NoteService.deleteNote(note._id);
+    await NotificationService.moderated(decision);
+    return decision;
+  }
+
+  // The latest decisions, newest first
+  static async history({ limit = 20 } = {}) {
+    return await ModerationAction.find({}).sort({ createdAt: -1, _id: -1 }).limit(limit).lean();
+  }
+}
+
+module.exports = ModerationService;
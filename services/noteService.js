@@ -1,14 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const noteSchema = require('../models/noteSchema');
-const { isValidObjectId } = require('../utils/helpers');
+const { isValidObjectId, escapeRegex } = require('../utils/helpers');
+const { KINDS } = require('../utils/tags');
+const { cleanLine, MAX_TITLE_LENGTH } = require('../utils/noteMetadata');
+const { isListed, listedQuery } = require('../utils/visibility');
+const { DEFAULT_SORT, pageQuery, periodQuery, encodeCursor } = require('../utils/pagination');
+const { validatePdfFile } = require('../utils/pdfValidation');
+const { sha256File, removeTempFile, TMP_DIR, ensureTmpDir, MAX_UPLOAD_BYTES, MAX_BULK_FILES } = require('../utils/uploads');
+const { isZipFile, listZipEntries, extractZipEntry } = require('../utils/zip');
+const { getStorage, getStorageForUrl, removeStoredFile, downloadToTempFile } = require('./storage');
+const ThumbnailService = require('./thumbnailService');
+const SearchService = require('./searchService');
+const ShareService = require('./shareService');
+const CollectionService = require('./collectionService');
+const SavedService = require('./savedService');
+const AnalyticsService = require('./analyticsService');
+const CommentService = require('./commentService');
+const VoteService = require('./voteService');
+const NotificationService = require('./notificationService');
+const ReportService = require('./reportService');
 
-// Create a dedicated connection to the PDF DB and compile the Note model
-const pdfDB = mongoose.createConnection(process.env.PDF_DB_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-});
+// Compile the Note model on the shared PDF DB connection
+const { pdfDB } = require('../db');
 const Note = pdfDB.model('Note', noteSchema);
 
+// A re-upload of a file we already have. The error carries the existing note, unless
+// it is someone else's unlisted or private note: then not even its link is given away.
+function duplicateError(note, uploader) {
+  const shown = note && (isListed(note) || String(note.uploader) === String(uploader));
+  return Object.assign(new Error(shown ? 'This file has already been uploaded' : 'Someone has already uploaded this file'), {
+    status: 409,
+    code: 'duplicate',
+    data: { note: shown ? note : null },
+  });
+}
+
+function conflictError(message, code) {
+  return Object.assign(new Error(message), { status: 409, code });
+}
+
+// File fields shared by a note and each of its revisions
+const FILE_FIELDS = ['fileUrl', 'thumbnailUrl', 'thumbnails', 'publicId', 'resourceType', 'contentHash', 'pageCount', 'security'];
+
+// File name without its folder and extension
+function baseName(filename) {
+  return path.posix.basename(String(filename || '').replace(/\\/g, '/')).replace(/\.[^.]+$/, '').trim();
+}
+
+// Clean base name for a stored file (no extension, spaces -> underscores)
+function storageBaseName(filename) {
+  return baseName(filename).replace(/\s+/g, '_') || 'file';
+}
+
+// Note title for a file uploaded without one: "Week_3 - Graphs.pdf" -> "Week 3 - Graphs",
+// cleaned up and cut to length like a title set in the edit dialog
+function titleFromFilename(filename) {
+  const title = cleanLine(baseName(filename).replace(/_+/g, ' '))
+    .slice(0, MAX_TITLE_LENGTH)
+    .replace(/[\ud800-\udbff]$/, '')
+    .trim();
+  return title || 'Untitled';
+}
+
+// Copy a note's new metadata to its search text; never fails the caller
+async function refreshSearchText(note) {
+  try {
+    await SearchService.saveText(note);
+  } catch (err) {
+    console.error('Search index error:', String(note._id), err.message);
+  }
+}
+
+// Report line for one file of a bulk upload; rejected files don't stop the batch
+function bulkResult(filename, err) {
+  if (err.code === 'duplicate') {
+    return { filename, status: 'duplicate', code: err.code, message: err.message, note: err.data.note };
+  }
+  if (err.status && typeof err.code === 'string') {
+    return { filename, status: 'failed', code: err.code, message: err.message };
+  }
+  console.error('Bulk upload error:', filename, err);
+  return { filename, status: 'failed', code: 'error', message: 'Could not store this file' };
+}
+
 class NoteService {
   // Get all notes with optional filtering
   static async getAllNotes(filters = {}) {
@@ -16,6 +93,24 @@ class NoteService {
       .sort({ uploadedAt: -1 });
   }
 
+  // One page of notes in `sort` order (see utils/pagination.js); `period` narrows the
+  // top sort to a week, a month or all time. Resolves with { notes, nextCursor }, where
+  // nextCursor is null on the last page.
+  static async listNotes(filter = {}, { sort = DEFAULT_SORT, period, cursor, limit = 20, populate, select } = {}) {
+    const scope = periodQuery(sort, period);
+    const scoped = Object.keys(scope.filter).length ? { $and: [filter, scope.filter] } : filter;
+    const page = pageQuery(scoped, { sort, cursor, sorts: scope.sorts });
+    let query = Note.find(page.filter).sort(page.sort).limit(limit + 1);
+    if (page.collation) query = query.collation(page.collation);
+    // The sort field is needed for the next cursor
+    if (select) query = query.select(`${select} ${scope.sorts[sort].field}`);
+    if (populate) query = query.populate(populate);
+    const notes = await query;
+    const more = notes.length > limit;
+    if (more) notes.pop();
+    return { notes, nextCursor: more ? encodeCursor(notes[notes.length - 1], sort, scope.sorts) : null };
+  }
+
   // Get notes by uploader (username or ID)
   static async getNotesByUploader(identifier) {
     const query = isValidObjectId(identifier)
@@ -30,10 +125,322 @@ class NoteService {
     return await this.getAllNotes(query);
   }
 
-  // Create a new note
+  // Create a new note; followers of its uploader hear about it when it's public
   static async createNote(noteData) {
-    const note = new Note(noteData);
-    return await note.save();
+    const note = await new Note(noteData).save();
+    await NotificationService.noteUploaded(note);
+    return note;
+  }
+
+  // Note already holding these exact bytes (or this very stored file), if any
+  static async findDuplicate({ contentHash, fileUrl }) {
+    const or = [];
+    if (contentHash) or.push({ contentHash });
+    if (fileUrl) or.push({ fileUrl });
+    if (!or.length) return null;
+    return await Note.findOne({ $or: or });
+  }
+
+  // Validate a PDF on disk, store it and create its note. Files we already have are
+  // not stored again: a 409 `duplicate` error carries the existing note instead.
+  static async createFromFile(filePath, { title, filename, tags = [], uploader, uploaderName }) {
+    const { pageCount, ...security } = await validatePdfFile(filePath);
+    // Hash after validation so sanitized files hash the same way as what is stored
+    const contentHash = await sha256File(filePath);
+    const existing = await this.findDuplicate({ contentHash });
+    if (existing) throw duplicateError(existing, uploader);
+
+    const result = await getStorage().upload(fs.createReadStream(filePath), {
+      folder: 'pdf_uploads',
+      publicId: `${Date.now()}-${storageBaseName(filename)}`,
+      thumbnail: true,
+    });
+    // Previews are named after the note, so pick its _id up front
+    const _id = new mongoose.Types.ObjectId();
+    const preview = await ThumbnailService.forFile(filePath, String(_id), result.thumbnailUrl);
+
+    let note;
+    try {
+      note = await this.createNote({
+        _id,
+        title: title || titleFromFilename(filename),
+        tags,
+        fileUrl: result.fileUrl,
+        fileType: 'application/pdf',
+        ...preview,
+        publicId: result.publicId,
+        resourceType: result.resourceType,
+        contentHash,
+        pageCount,
+        security,
+        uploader,
+        uploaderName,
+      });
+    } catch (err) {
+      // Lost a race against an identical upload: drop our copy, answer with theirs
+      if (err.code === 11000) {
+        await removeStoredFile({ ...result, ...preview });
+        throw duplicateError(await this.findDuplicate({ contentHash }), uploader);
+      }
+      throw err;
+    }
+    await SearchService.indexFile(note, filePath);
+    return note;
+  }
+
+  // Create one note per uploaded PDF, expanding ZIP archives, with titles taken from the
+  // file names. Resolves with one report line per file:
+  // { filename, status: 'created' | 'duplicate' | 'failed' | 'skipped', note?, code?, message? }
+  static async createFromUploads(files, { tags = [], uploader, uploaderName }) {
+    const results = [];
+    const full = () => results.filter(r => r.status !== 'skipped').length >= MAX_BULK_FILES;
+    const tooMany = (filename) => ({
+      filename,
+      status: 'skipped',
+      code: 'too_many_files',
+      message: `Only ${MAX_BULK_FILES} files can be uploaded at once`,
+    });
+
+    // `reportName` tells ZIP entries apart from top-level files in the report
+    const createOne = async (filePath, filename, reportName = filename) => {
+      try {
+        const note = await this.createFromFile(filePath, {
+          title: titleFromFilename(filename),
+          filename,
+          tags,
+          uploader,
+          uploaderName,
+        });
+        results.push({ filename: reportName, status: 'created', note });
+      } catch (err) {
+        results.push(bulkResult(reportName, err));
+      }
+    };
+
+    for (const file of files) {
+      if (!(await isZipFile(file.path))) {
+        if (full()) results.push(tooMany(file.filename));
+        else await createOne(file.path, file.filename);
+        continue;
+      }
+
+      let entries;
+      try {
+        entries = await listZipEntries(file.path);
+      } catch (err) {
+        results.push(bulkResult(file.filename, err));
+        continue;
+      }
+      await ensureTmpDir();
+      for (const entry of entries) {
+        const filename = `${file.filename}/${entry.name}`;
+        const name = path.posix.basename(entry.name);
+        // Folders and OS metadata (__MACOSX/, .DS_Store, ._foo.pdf) aren't worth a report line
+        if (entry.directory || entry.name.startsWith('__MACOSX/') || name.startsWith('.')) continue;
+        if (!/\.pdf$/i.test(name)) {
+          results.push({ filename, status: 'skipped', code: 'not_pdf', message: 'Only PDF files are imported' });
+          continue;
+        }
+        if (full()) {
+          results.push(tooMany(filename));
+          continue;
+        }
+        const tempPath = path.join(TMP_DIR, `${crypto.randomBytes(12).toString('hex')}.unzip`);
+        try {
+          await extractZipEntry(file.path, entry, tempPath, { maxBytes: MAX_UPLOAD_BYTES });
+          await createOne(tempPath, entry.name, filename);
+        } catch (err) {
+          results.push(bulkResult(filename, err));
+        } finally {
+          await removeTempFile(tempPath);
+        }
+      }
+    }
+    return results;
+  }
+
+  // Create a note for a file the browser already uploaded to storage. The bytes are
+  // fetched back for validation; they cannot be rewritten, so active content is flagged.
+  static async createFromStoredFile(fileUrl, { title, tags = [], thumbnailUrl, uploader, uploaderName }) {
+    const storage = getStorageForUrl(fileUrl);
+    const _id = new mongoose.Types.ObjectId();
+    let tempPath = null;
+    let check;
+    let contentHash;
+    let preview;
+    let pages;
+    try {
+      tempPath = await downloadToTempFile(fileUrl);
+      check = await validatePdfFile(tempPath, { strip: false });
+      contentHash = await sha256File(tempPath);
+      // The uploaded copy of a duplicate is left for `npm run storage:reconcile`
+      const existing = await this.findDuplicate({ contentHash, fileUrl });
+      if (existing) throw duplicateError(existing, uploader);
+      preview = await ThumbnailService.forFile(tempPath, String(_id), thumbnailUrl || storage.thumbnailUrlFor(fileUrl));
+      pages = await SearchService.extractText(tempPath);
+    } finally {
+      if (tempPath) await removeTempFile(tempPath);
+    }
+
+    // Derive the storage id from the URL itself; a client-supplied public_id could
+    // point at someone else's asset and would then be deleted along with this note
+    const asset = storage.assetFromUrl(fileUrl) || {};
+    const { pageCount, ...security } = check;
+
+    let note;
+    try {
+      note = await this.createNote({
+        _id,
+        title,
+        tags,
+        fileUrl,
+        fileType: 'application/pdf',
+        ...preview,
+        publicId: asset.publicId || '',
+        resourceType: asset.resourceType || '',
+        contentHash,
+        pageCount,
+        security,
+        uploader,
+        uploaderName,
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      await ThumbnailService.remove(preview.thumbnails);
+      throw duplicateError(await this.findDuplicate({ contentHash }), uploader);
+    }
+    await SearchService.indexPages(note, pages);
+    return note;
+  }
+
+  // Upload a new file version of an existing note. The note keeps its _id and URL;
+  // the version it replaces moves into `revisions`.
+  static async addRevision(note, filePath, { filename }) {
+    const { pageCount, ...security } = await validatePdfFile(filePath);
+    const contentHash = await sha256File(filePath);
+    const existing = await this.findDuplicate({ contentHash });
+    if (existing && String(existing._id) === String(note._id)) {
+      throw conflictError('This file is identical to the current version', 'unchanged');
+    }
+    if (existing) throw duplicateError(existing, note.uploader);
+
+    const result = await getStorage().upload(fs.createReadStream(filePath), {
+      folder: 'pdf_uploads',
+      publicId: `${Date.now()}-${storageBaseName(filename)}`,
+      thumbnail: true,
+    });
+
+    const current = note.revision || 1;
+    const preview = await ThumbnailService.forFile(filePath, `${note._id}-r${current + 1}`, result.thumbnailUrl);
+    const plain = typeof note.toObject === 'function' ? note.toObject() : note;
+    const snapshot = { rev: current, uploadedAt: plain.revisedAt || plain.uploadedAt };
+    FILE_FIELDS.forEach(field => { snapshot[field] = plain[field]; });
+
+    let updated;
+    try {
+      // Only succeeds if nobody added a version since `note` was loaded
+      // (legacy notes have no `revision` field yet)
+      updated = await Note.findOneAndUpdate(
+        { _id: note._id, revision: current > 1 ? current : { $in: [null, 1] } },
+        {
+          $push: { revisions: snapshot },
+          $set: {
+            fileUrl: result.fileUrl,
+            thumbnailUrl: preview.thumbnailUrl,
+            thumbnails: preview.thumbnails,
+            publicId: result.publicId,
+            resourceType: result.resourceType,
+            contentHash,
+            pageCount,
+            security,
+            revision: current + 1,
+            revisedAt: new Date(),
+          },
+        },
+        { new: true }
+      );
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      await removeStoredFile({ ...result, ...preview });
+      throw duplicateError(await this.findDuplicate({ contentHash }), note.uploader);
+    }
+    if (!updated) {
+      await removeStoredFile({ ...result, ...preview });
+      throw conflictError('Another version was uploaded at the same time, please reload', 'conflict');
+    }
+    await SearchService.indexFile(updated, filePath);
+    return updated;
+  }
+
+  // File fields of revision `rev` (the current version when omitted), or null
+  static getRevision(note, rev) {
+    const current = note.revision || 1;
+    if (rev === undefined || rev === null || rev === '' || Number(rev) === current) {
+      const file = { rev: current, uploadedAt: note.revisedAt || note.uploadedAt, current: true };
+      FILE_FIELDS.forEach(field => { file[field] = note[field]; });
+      return file;
+    }
+    return (note.revisions || []).find(r => r.rev === Number(rev)) || null;
+  }
+
+  // Every version of a note, newest first
+  static listRevisions(note) {
+    const older = (note.revisions || []).map(r => ({ rev: r.rev, uploadedAt: r.uploadedAt, pageCount: r.pageCount, current: false }));
+    const latest = this.getRevision(note);
+    return [{ rev: latest.rev, uploadedAt: latest.uploadedAt, pageCount: latest.pageCount, current: true }, ...older.reverse()];
+  }
+
+  // Replace a note's tags (already normalized with utils/tags.js); search filters by them too
+  static async setTags(note, tags) {
+    const updated = await Note.findByIdAndUpdate(note._id, { $set: { tags } }, { new: true });
+    if (updated) await refreshSearchText(updated);
+    return updated;
+  }
+
+  // Apply metadata changes (utils/noteMetadata.js) to a note. A new title, tags or
+  // visibility are copied to the search index too, so search results follow them straight
+  // away, and a note made unlisted or private drops out of other users' notifications.
+  static async updateNote(note, changes) {
+    const updated = await Note.findByIdAndUpdate(note._id, { $set: changes }, { new: true });
+    if (updated && !isListed(updated) && updated.visibility !== note.visibility) {
+      await NotificationService.removeForUnlistedNote(updated);
+    }
+    const indexed = ['title', 'tags', 'visibility'].some(field => changes[field] !== undefined && changes[field] !== note[field]);
+    if (updated && indexed) await refreshSearchText(updated);
+    return updated;
+  }
+
+  // Most used tags of listed notes with their note counts, e.g. for a tag cloud:
+  // [{ tag: 'subject:physics', count: 12 }, ...]
+  static async tagCloud({ limit = 40, match = {} } = {}) {
+    return await Note.aggregate([
+      { $match: { ...match, ...listedQuery() } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, tag: '$_id', count: 1 } },
+    ]);
+  }
+
+  // Existing tags starting with `prefix`, most used first, so uploaders reuse the
+  // vocabulary instead of inventing near-duplicates. `kind` limits the suggestions to
+  // subject/course/exam tags; without it the prefix also matches after a kind.
+  static async suggestTags(prefix, { kind, limit = 10 } = {}) {
+    const value = escapeRegex(String(prefix || '').trim().toLowerCase().replace(/\s+/g, '-'));
+    const pattern = KINDS.includes(kind)
+      ? `^${kind}:${value}`
+      : `^(?:(?:${KINDS.join('|')}):)?${value}`;
+    const regex = new RegExp(pattern);
+    return await Note.aggregate([
+      { $match: { tags: regex, ...listedQuery() } },
+      { $unwind: '$tags' },
+      { $match: { tags: regex } },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, tag: '$_id', count: 1 } },
+    ]);
   }
 
   // Get a single note by ID
@@ -42,10 +449,31 @@ class NoteService {
     return await Note.findById(id);
   }
 
-  // Delete a note
+  // Hide a note from listings, search and other users' notifications, or list it again
+  // (moderation, services/moderationService.js)
+  static async setHidden(id, hidden) {
+    const note = await Note.findByIdAndUpdate(id, { $set: { hidden: Boolean(hidden) } }, { new: true });
+    await SearchService.setHidden(id, hidden);
+    if (note && hidden) await NotificationService.removeForUnlistedNote(note);
+  }
+
+  // Delete a note, its stored file, its search text, share links, stats, comments and
+  // open reports, and take it out of every collection and everyone's saved notes
   static async deleteNote(id) {
     if (!isValidObjectId(id)) return null;
-    return await Note.findByIdAndDelete(id);
+    const note = await Note.findByIdAndDelete(id);
+    if (!note) return null;
+    await SearchService.removeText(note._id);
+    await ShareService.removeForNote(note._id);
+    await CollectionService.removeNoteEverywhere(note._id);
+    await SavedService.removeNoteEverywhere(note._id);
+    await AnalyticsService.removeForNote(note._id);
+    await CommentService.removeForNote(note._id);
+    await VoteService.removeForNote(note._id);
+    await NotificationService.removeForNote(note._id);
+    await ReportService.removeOpenForNote(note._id);
+    await removeStoredFile(note);
+    return note;
   }
 }
 
@@ -0,0 +1,186 @@
+const notificationSchema = require('../models/notificationSchema');
+const followSchema = require('../models/followSchema');
+const commentSchema = require('../models/commentSchema');
+const { isValidObjectId } = require('../utils/helpers');
+const { isListed } = require('../utils/visibility');
+const { REPORT_REASONS } = require('../utils/moderation');
+const { pageQuery, encodeCursor } = require('../utils/pagination');
+
+// Compile the Notification, Follow and Comment models on the shared PDF DB connection
+const { pdfDB } = require('../db');
+const Notification = pdfDB.model('Notification', notificationSchema);
+const Follow = pdfDB.model('Follow', followSchema);
+const Comment = pdfDB.model('Comment', commentSchema);
+
+// Notifications are only listed newest first (cursor format of utils/pagination.js)
+const NOTIFICATION_SORTS = {
+  newest: { field: 'createdAt', dir: -1, type: 'date' },
+};
+
+// The fields every notification copies from whoever caused it
+function actorFields(user) {
+  return { actor: user.id, actorName: user.name || user.username || '', actorUsername: user.username || '' };
+}
+
+function uploaderIdOf(note) {
+  return note.uploader && (note.uploader._id || note.uploader);
+}
+
+// Notifications are a side effect: a failure is logged and never fails the action
+// that caused it
+async function deliver(docs) {
+  if (!docs.length) return;
+  try {
+    await Notification.insertMany(docs, { ordered: false });
+  } catch (err) {
+    console.error('Notification error:', err);
+  }
+}
+
+class NotificationService {
+  // A new comment tells the note's uploader; a reply also tells the author of the
+  // comment it answers. Nobody is told about their own comment, or told twice.
+  static async commentPosted(note, comment, user) {
+    const told = new Set([String(user.id)]);
+    const docs = [];
+    const base = { ...actorFields(user), note: note._id, noteTitle: note.title, comment: comment._id };
+    if (comment.parent) {
+      const parent = await Comment.findById(comment.parent).select('author').lean();
+      if (parent && parent.author && !told.has(String(parent.author))) {
+        told.add(String(parent.author));
+        docs.push({ ...base, recipient: parent.author, type: 'reply' });
+      }
+    }
+    const owner = uploaderIdOf(note);
+    if (owner && !told.has(String(owner))) docs.push({ ...base, recipient: owner, type: 'comment' });
+    await deliver(docs);
+  }
+
+  static async followed(followeeId, user) {
+    await deliver([{ ...actorFields(user), recipient: followeeId, type: 'follow' }]);
+  }
+
+  // A new public note tells everyone following its uploader
+  static async noteUploaded(note) {
+    const uploader = uploaderIdOf(note);
+    if (!uploader || !isListed(note)) return;
+    const followers = await Follow.distinct('follower', { followee: uploader });
+    await deliver(followers.map(follower => ({
+      recipient: follower,
+      type: 'upload',
+      actor: uploader,
+      actorName: note.uploaderName || '',
+      note: note._id,
+      noteTitle: note.title,
+    })));
+  }
+
+  // A moderator's decision on the reports about a note (a ModerationAction) tells its
+  // uploader, without naming the moderator. A deleted note is only named by its title.
+  static async moderated(decision) {
+    if (!decision.uploader) return;
+    await deliver([{
+      recipient: decision.uploader,
+      type: 'moderation',
+      action: decision.action,
+      reason: decision.reasons[0] || '',
+      note: decision.action === 'delete' ? null : decision.note,
+      noteTitle: decision.noteTitle,
+    }]);
+  }
+
+  // One page of a user's notifications, newest first: { notifications, nextCursor }
+  static async list(userId, { cursor, limit = 20 } = {}) {
+    const page = pageQuery({ recipient: userId }, { sort: 'newest', cursor, sorts: NOTIFICATION_SORTS });
+    const notifications = await Notification.find(page.filter).sort(page.sort).limit(limit + 1).lean();
+    const more = notifications.length > limit;
+    if (more) notifications.pop();
+    return {
+      notifications,
+      nextCursor: more ? encodeCursor(notifications[notifications.length - 1], 'newest', NOTIFICATION_SORTS) : null,
+    };
+  }
+
+  // The user's unread notifications created after `since` (all of them without), newest
+  // first, for the email digest: { notifications, total }
+  static async unreadSince(userId, since, { limit = 20 } = {}) {
+    const filter = { recipient: userId, readAt: null, ...(since ? { createdAt: { $gt: since } } : {}) };
+    const [notifications, total] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit).lean(),
+      Notification.countDocuments(filter),
+    ]);
+    return { notifications, total };
+  }
+
+  static async unreadCount(userId) {
+    if (!userId) return 0;
+    return await Notification.countDocuments({ recipient: userId, readAt: null });
+  }
+
+  // Mark one of the user's notifications read; false when there is no such notification
+  static async markRead(userId, id) {
+    if (!isValidObjectId(id)) return false;
+    const notification = await Notification.findOneAndUpdate(
+      { _id: id, recipient: userId },
+      [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }]
+    );
+    return Boolean(notification);
+  }
+
+  static async markAllRead(userId) {
+    const result = await Notification.updateMany({ recipient: userId, readAt: null }, { $set: { readAt: new Date() } });
+    return result.modifiedCount;
+  }
+
+  // Where a notification leads: the note (its comments for comments and replies), or
+  // the profile of a new follower
+  static linkFor(notification) {
+    if (notification.type === 'follow') {
+      return notification.actorUsername ? `/user/${encodeURIComponent(notification.actorUsername)}` : '/profile';
+    }
+    if (!notification.note) return '/notifications';
+    const toComments = notification.type === 'comment' || notification.type === 'reply';
+    return `/view/${notification.note}${toComments ? '#comments' : ''}`;
+  }
+
+  // One line of text per notification, shared by the page and the email digest
+  static describe(notification) {
+    const who = notification.actorName || 'Someone';
+    const title = notification.noteTitle ? `“${notification.noteTitle}”` : 'a note';
+    switch (notification.type) {
+      case 'comment': return `${who} commented on ${title}`;
+      case 'reply': return `${who} replied to your comment on ${title}`;
+      case 'follow': return `${who} started following you`;
+      case 'moderation': {
+        const reason = REPORT_REASONS[notification.reason] ? ` (reported as: ${REPORT_REASONS[notification.reason]})` : '';
+        if (notification.action === 'dismiss') return `Reports about your note ${title} were reviewed; it stays up`;
+        if (notification.action === 'hide') return `Your note ${title} was hidden from listings by a moderator${reason}`;
+        return `Your note ${title} was deleted by a moderator${reason}`;
+      }
+      default: return `${who} uploaded ${title}`;
+    }
+  }
+
+  // Drop the notifications about a deleted note
+  static async removeForNote(noteId) {
+    await Notification.deleteMany({ note: noteId });
+  }
+
+  // A note that stops being listed (made unlisted or private, or hidden by a moderator)
+  // takes its notifications along, so followers and commenters stop seeing its title on
+  // /notifications and in digests. Its uploader keeps theirs, moderation notices included.
+  static async removeForUnlistedNote(note) {
+    const owner = uploaderIdOf(note);
+    await Notification.deleteMany({
+      note: note._id,
+      type: { $ne: 'moderation' },
+      ...(owner ? { recipient: { $ne: owner } } : {}),
+    });
+  }
+
+  static async removeForUser(userId) {
+    await Notification.deleteMany({ recipient: userId });
+  }
+}
+
+module.exports = NotificationService;
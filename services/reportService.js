@@ -0,0 +1,111 @@
+const reportSchema = require('../models/reportSchema');
+const noteSchema = require('../models/noteSchema');
+const { isReportReason } = require('../utils/moderation');
+
+// Compile the Report and Note models on the shared PDF DB connection
+const { pdfDB } = require('../db');
+const Report = pdfDB.model('Report', reportSchema);
+const Note = pdfDB.model('Note', noteSchema);
+
+const MAX_DETAILS = 1000;
+// Reports shown per note in the queue; the counts cover all of them
+const REPORTS_PER_NOTE = 10;
+
+function reportError(status, message, code) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+class ReportService {
+  // Report someone else's note (the caller checks that `user` may open it and doesn't
+  // own it). One open report per user and note.
+  static async report(note, user, { reason, details } = {}) {
+    if (!isReportReason(reason)) throw reportError(400, 'Pick a reason for the report', 'invalid_reason');
+    const text = typeof details === 'string' ? details.trim() : '';
+    if (text.length > MAX_DETAILS) {
+      throw reportError(400, `Details must be at most ${MAX_DETAILS} characters`, 'details_too_long');
+    }
+    try {
+      return await Report.create({
+        note: note._id,
+        reporter: user.id,
+        reporterName: user.name || user.username || '',
+        reason,
+        details: text,
+      });
+    } catch (err) {
+      if (err.code === 11000) throw reportError(409, 'You have already reported this note', 'already_reported');
+      throw err;
+    }
+  }
+
+  // The moderation queue: the notes with open reports, most reported first and then
+  // longest waiting. Each entry is { note, count, reasons: [{ reason, count }], reports,
+  // firstReportedAt }, with the oldest reports first. Notes that are gone are left out.
+  static async queue({ limit = 50 } = {}) {
+    const groups = await Report.aggregate([
+      { $match: { status: 'open' } },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: '$note',
+          count: { $sum: 1 },
+          reasons: { $push: '$reason' },
+          reports: { $push: { reason: '$reason', details: '$details', reporterName: '$reporterName', createdAt: '$createdAt' } },
+          firstReportedAt: { $first: '$createdAt' },
+        },
+      },
+      { $sort: { count: -1, firstReportedAt: 1 } },
+      { $limit: limit },
+    ]);
+    const notes = await Note.find({ _id: { $in: groups.map(g => g._id) } })
+      .select('title uploader uploaderName visibility hidden uploadedAt')
+      .lean();
+    const byId = new Map(notes.map(n => [String(n._id), n]));
+    return groups.filter(g => byId.has(String(g._id))).map(g => ({
+      note: byId.get(String(g._id)),
+      count: g.count,
+      reasons: ReportService.countReasons(g.reasons),
+      reports: g.reports.slice(0, REPORTS_PER_NOTE),
+      firstReportedAt: g.firstReportedAt,
+    }));
+  }
+
+  static async openCount() {
+    return await Report.countDocuments({ status: 'open' });
+  }
+
+  // [{ reason, count }] of a list of reasons, most frequent first
+  static countReasons(reasons) {
+    const counts = new Map();
+    reasons.forEach(reason => counts.set(reason, (counts.get(reason) || 0) + 1));
+    return [...counts].map(([reason, count]) => ({ reason, count })).sort((a, b) => b.count - a.count);
+  }
+
+  // The reasons of a note's open reports: [{ reason, count }], most frequent first
+  static async openReasons(noteId) {
+    const reports = await Report.find({ note: noteId, status: 'open' }).select('reason').lean();
+    return ReportService.countReasons(reports.map(r => r.reason));
+  }
+
+  // Close a note's open reports with a moderator's decision; resolves with how many
+  // there were (none when another moderator got there first)
+  static async resolve(noteId, decisionId) {
+    const result = await Report.updateMany(
+      { note: noteId, status: 'open' },
+      { $set: { status: 'resolved', decision: decisionId, resolvedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  // A note its owner deleted has nothing left to moderate; resolved reports stay
+  // with their decision
+  static async removeOpenForNote(noteId) {
+    await Report.deleteMany({ note: noteId, status: 'open' });
+  }
+
+  static async removeForUser(userId) {
+    await Report.deleteMany({ reporter: userId });
+  }
+}
+
+module.exports = ReportService;
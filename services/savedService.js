@@ -0,0 +1,78 @@
+const savedNoteSchema = require('../models/savedNoteSchema');
+const noteSchema = require('../models/noteSchema');
+const { isValidObjectId } = require('../utils/helpers');
+const { viewableQuery } = require('../utils/visibility');
+const { pageQuery, encodeCursor } = require('../utils/pagination');
+
+// Compile the SavedNote and Note models on the shared PDF DB connection
+const { pdfDB } = require('../db');
+const SavedNote = pdfDB.model('SavedNote', savedNoteSchema);
+const Note = pdfDB.model('Note', noteSchema);
+
+// Saved notes are only listed most recently saved first (cursor format of utils/pagination.js)
+const SAVED_SORTS = {
+  saved: { field: 'savedAt', dir: -1, type: 'date' },
+};
+
+function savedError(status, message, code) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+class SavedService {
+  // Save a note `user` may open; saving it again keeps the original date
+  static async save(user, noteId) {
+    if (!isValidObjectId(noteId) || !(await Note.exists({ _id: noteId, ...viewableQuery(user) }))) {
+      throw savedError(404, 'Note not found', 'note_not_found');
+    }
+    return await SavedNote.findOneAndUpdate(
+      { user: user.id, note: noteId },
+      { $setOnInsert: { savedAt: new Date() } },
+      { upsert: true, new: true }
+    );
+  }
+
+  static async unsave(userId, noteId) {
+    await SavedNote.deleteOne({ user: userId, note: noteId });
+  }
+
+  // Which of `noteIds` the user has saved, as a Set of id strings (for the card toggles)
+  static async savedIds(userId, noteIds) {
+    if (!userId || !noteIds.length) return new Set();
+    const saved = await SavedNote.find({ user: userId, note: { $in: noteIds } }).select('note').lean();
+    return new Set(saved.map(s => String(s.note)));
+  }
+
+  static async count(userId) {
+    return await SavedNote.countDocuments({ user: userId });
+  }
+
+  // One page of a user's saved notes, most recently saved first: { notes, nextCursor }.
+  // Each note carries `savedAt`; notes the user can no longer open (made private, or
+  // deleted) are left out, so a page may hold fewer than `limit`.
+  static async list(user, { cursor, limit = 20, populate, select } = {}) {
+    const page = pageQuery({ user: user.id }, { sort: 'saved', cursor, sorts: SAVED_SORTS });
+    const saved = await SavedNote.find(page.filter).sort(page.sort).limit(limit + 1).lean();
+    const more = saved.length > limit;
+    if (more) saved.pop();
+
+    let query = Note.find({ _id: { $in: saved.map(s => s.note) }, ...viewableQuery(user) });
+    if (select) query = query.select(select);
+    if (populate) query = query.populate(populate);
+    const byId = new Map((await query.lean()).map(note => [String(note._id), note]));
+    const notes = saved
+      .filter(s => byId.has(String(s.note)))
+      .map(s => ({ ...byId.get(String(s.note)), savedAt: s.savedAt }));
+    return { notes, nextCursor: more ? encodeCursor(saved[saved.length - 1], 'saved', SAVED_SORTS) : null };
+  }
+
+  // Drop a deleted note from everyone's saved notes
+  static async removeNoteEverywhere(noteId) {
+    await SavedNote.deleteMany({ note: noteId });
+  }
+
+  static async removeForUser(userId) {
+    await SavedNote.deleteMany({ user: userId });
+  }
+}
+
+module.exports = SavedService;
@@ -0,0 +1,245 @@
+const noteTextSchema = require('../models/noteTextSchema');
+const { extractText } = require('../utils/poppler');
+
+// Compile the NoteText model on the shared PDF DB connection
+const { pdfDB } = require('../db');
+const NoteText = pdfDB.model('NoteText', noteTextSchema);
+
+// Stay well below MongoDB's 16 MB document limit; later pages are dropped
+const MAX_TEXT_CHARS = 4 * 1024 * 1024;
+const SNIPPET_CHARS = 160;
+const SNIPPETS_PER_NOTE = 3;
+// Snippets are cut from excerpts of this many characters around the first match of at
+// most EXCERPT_PAGES matching pages, so a page of results never loads whole documents
+const EXCERPT_CHARS = SNIPPET_CHARS * 2;
+const EXCERPT_PAGES = 10;
+
+// Words and "quoted phrases" of a $text query, minus -negated terms
+function queryTerms(q) {
+  const terms = [];
+  String(q).replace(/(-?)"([^"]+)"|(-?)(\S+)/g, (m, negPhrase, phrase, negWord, word) => {
+    if (phrase && !negPhrase) terms.push(phrase.trim());
+    if (word && !negWord) terms.push(word.replace(/^["']+|["'.,;:!?]+$/g, ''));
+    return m;
+  });
+  return terms.filter(t => t.length > 1);
+}
+
+// Regex sources for the terms. MongoDB stems the query ("graphs" finds "graph"), so
+// plural/verb endings are trimmed here as well.
+function termPatterns(terms) {
+  return terms.map(term => {
+    const stem = term.length > 4 ? term.replace(/(?:ing|es|ed|s)$/i, '') : term;
+    return stem.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  });
+}
+
+// Case-insensitive matcher for the terms, matching at word starts
+function termsRegex(terms) {
+  const parts = termPatterns(terms);
+  return parts.length ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${parts.join('|')})`, 'giu') : null;
+}
+
+// The same matcher for MongoDB's $regex operators (PCRE, used with the 'i' option),
+// which locate the matches inside the database. Word starts are ASCII-only there.
+function termsPattern(terms) {
+  const parts = termPatterns(terms);
+  return parts.length ? `(?<![A-Za-z0-9])(?:${parts.join('|')})` : null;
+}
+
+// For each text document in `ids`: the number of matches in its pages and an excerpt of
+// EXCERPT_CHARS around the first match on each of its first EXCERPT_PAGES matching pages,
+// as { matches, pages: [{ page, start, length, text }] } by document _id. The excerpts are
+// cut inside MongoDB, so the page text itself never leaves the database.
+async function matchingExcerpts(ids, pattern) {
+  const regex = { regex: pattern, options: 'i' };
+  const docs = await NoteText.aggregate([
+    { $match: { _id: { $in: ids } } },
+    { $project: { pages: { $ifNull: ['$pages', []] } } },
+    {
+      $project: {
+        matches: {
+          $sum: { $map: { input: '$pages', as: 'text', in: { $size: { $regexFindAll: { input: '$$text', ...regex } } } } },
+        },
+        pages: {
+          $slice: [
+            {
+              $filter: {
+                input: {
+                  $map: {
+                    input: { $range: [0, { $size: '$pages' }] },
+                    as: 'i',
+                    in: { page: { $add: ['$$i', 1] }, text: { $arrayElemAt: ['$pages', '$$i'] } },
+                  },
+                },
+                as: 'p',
+                cond: { $regexMatch: { input: '$$p.text', ...regex } },
+              },
+            },
+            EXCERPT_PAGES,
+          ],
+        },
+      },
+    },
+    {
+      $project: {
+        matches: 1,
+        pages: {
+          $map: {
+            input: '$pages',
+            as: 'p',
+            in: {
+              $let: {
+                vars: {
+                  start: {
+                    $let: {
+                      vars: { first: { $regexFind: { input: '$$p.text', ...regex } } },
+                      in: { $max: [0, { $subtract: ['$$first.idx', EXCERPT_CHARS / 2] }] },
+                    },
+                  },
+                },
+                in: {
+                  page: '$$p.page',
+                  length: { $strLenCP: '$$p.text' },
+                  start: '$$start',
+                  text: { $substrCP: ['$$p.text', '$$start', EXCERPT_CHARS] },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  ]);
+  return new Map(docs.map(doc => [String(doc._id), doc]));
+}
+
+// Up to SNIPPETS_PER_NOTE snippets cut from the page excerpts of matchingExcerpts(), with
+// the [start, end] offsets of every match inside each snippet (for highlighting on the client)
+function buildSnippets(excerpts, regex) {
+  const hits = [];
+  excerpts.forEach(({ page, text, start: offset, length }) => {
+    const found = [...text.matchAll(regex)];
+    if (found.length) hits.push({ page, text, offset, length, found });
+  });
+
+  const snippets = hits
+    .sort((a, b) => b.found.length - a.found.length || a.page - b.page)
+    .slice(0, SNIPPETS_PER_NOTE)
+    .sort((a, b) => a.page - b.page)
+    .map(({ page, text, offset, length, found }) => {
+      const first = found[0].index;
+      let start = Math.max(0, first - SNIPPET_CHARS / 2);
+      // Start on a word boundary (the excerpt itself may start mid-word)
+      if (offset + start > 0) start = text.indexOf(' ', start) + 1 || start;
+      const end = Math.min(text.length, start + SNIPPET_CHARS);
+      const excerpt = text.slice(start, end);
+      const cutBefore = offset + start > 0;
+      const highlights = found
+        .filter(m => m.index >= start && m.index + m[0].length <= end)
+        .map(m => [m.index - start, m.index - start + m[0].length]);
+      return {
+        page,
+        text: `${cutBefore ? '…' : ''}${excerpt}${offset + end < length ? '…' : ''}`,
+        highlights: cutBefore ? highlights.map(([s, e]) => [s + 1, e + 1]) : highlights,
+      };
+    });
+  return snippets;
+}
+
+class SearchService {
+  // Text of every page of a PDF. Best-effort: resolves with null when poppler is
+  // unavailable or fails.
+  static async extractText(pdfPath) {
+    try {
+      return await extractText(pdfPath, { maxChars: MAX_TEXT_CHARS });
+    } catch (err) {
+      console.error('Text extraction error:', pdfPath, err.message);
+      return null;
+    }
+  }
+
+  // Store (or replace) the searchable text of a note. Without `pages` only the title
+  // and metadata are refreshed, so the note is still found by its title.
+  static async saveText(note, pages = null) {
+    const update = {
+      title: note.title,
+      revision: note.revision || 1,
+      uploader: note.uploader && note.uploader._id ? note.uploader._id : note.uploader,
+      uploaderName: note.uploaderName || '',
+      uploadedAt: note.uploadedAt,
+      tags: note.tags || [],
+      visibility: note.visibility || 'public',
+      hidden: Boolean(note.hidden),
+    };
+    if (pages) Object.assign(update, { pages, extractedAt: new Date() });
+    await NoteText.updateOne({ note: note._id }, { $set: update }, { upsert: true });
+  }
+
+  // Store already extracted pages (null when extraction failed); never fails the caller
+  static async indexPages(note, pages) {
+    try {
+      await this.saveText(note, pages || []);
+    } catch (err) {
+      console.error('Search index error:', String(note._id), err.message);
+    }
+  }
+
+  // Extract and store the text of a note's file; never fails the caller
+  static async indexFile(note, pdfPath) {
+    await this.indexPages(note, await this.extractText(pdfPath));
+  }
+
+  // Copy a moderator's hide / unhide to the note's text, so search follows it
+  static async setHidden(noteId, hidden) {
+    await NoteText.updateOne({ note: noteId }, { $set: { hidden: Boolean(hidden) } });
+  }
+
+  static async removeText(noteId) {
+    await NoteText.deleteOne({ note: noteId });
+  }
+
+  // Notes whose text or title matches `q`, best first. `filter` narrows the text
+  // documents (uploader / uploaderName / uploadedAt / tags / visibility / hidden). Resolves with
+  // { total, results: [{ noteId, score, matches, snippets: [{ page, text, highlights }] }] }
+  static async search(q, { filter = {}, page = 1, limit = 20 } = {}) {
+    const query = { $text: { $search: String(q) }, ...filter };
+    const [total, docs] = await Promise.all([
+      NoteText.countDocuments(query),
+      NoteText.find(query, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('note')
+        .lean(),
+    ]);
+
+    const terms = queryTerms(q);
+    const regex = termsRegex(terms);
+    const excerpts = regex && docs.length
+      ? await matchingExcerpts(docs.map(doc => doc._id), termsPattern(terms))
+      : new Map();
+    const results = docs.map(doc => {
+      const found = excerpts.get(String(doc._id));
+      return {
+        noteId: doc.note,
+        score: doc.score,
+        matches: found ? found.matches : 0,
+        snippets: found ? buildSnippets(found.pages, regex) : [],
+      };
+    });
+    return { total, results };
+  }
+
+  // Ids of the notes matching `q`, best first (e.g. to package a search result)
+  static async matchingNoteIds(q, { filter = {}, limit = 200 } = {}) {
+    const docs = await NoteText.find({ $text: { $search: String(q) }, ...filter }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .select('note')
+      .lean();
+    return docs.map(doc => doc.note);
+  }
+}
+
+module.exports = SearchService;
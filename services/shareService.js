@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const shareLinkSchema = require('../models/shareLinkSchema');
+const { isValidObjectId } = require('../utils/helpers');
+
+// Compile the ShareLink model on the shared PDF DB connection
+const { pdfDB } = require('../db');
+const ShareLink = pdfDB.model('ShareLink', shareLinkSchema);
+
+// Changing the secret invalidates every link handed out so far
+const SECRET = process.env.SHARE_LINK_SECRET || process.env.SESSION_SECRET || 'your-secret-key';
+const MAX_EXPIRY_DAYS = 365;
+const MAX_DOWNLOADS = 10000;
+
+function shareError(status, message, code) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+function sign(id) {
+  return crypto.createHmac('sha256', SECRET).update(`share:${id}`).digest('base64url');
+}
+
+// The _id of a well-formed token with a valid signature, otherwise null
+function verify(token) {
+  const [id, signature] = String(token || '').split('.');
+  if (!id || !signature || !isValidObjectId(id)) return null;
+  const expected = Buffer.from(sign(id));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? id : null;
+}
+
+// A positive whole number up to `max` from a form or JSON field; null when left empty
+function optionalCount(value, max, message, code) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > max) throw shareError(400, message, code);
+  return n;
+}
+
+// Links that still open: not revoked, not expired and with downloads left
+function activeQuery(now = new Date()) {
+  return {
+    revokedAt: null,
+    $and: [
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+      { $or: [{ maxDownloads: null }, { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } }] },
+    ],
+  };
+}
+
+class ShareService {
+  static tokenFor(link) {
+    return `${link._id}.${sign(link._id)}`;
+  }
+
+  static pathFor(link) {
+    return `/s/${this.tokenFor(link)}`;
+  }
+
+  // What owners see of a link
+  static describe(link) {
+    return {
+      id: link._id,
+      note: link.note,
+      url: this.pathFor(link),
+      expiresAt: link.expiresAt,
+      maxDownloads: link.maxDownloads,
+      downloadCount: link.downloadCount,
+      viewCount: link.viewCount,
+      lastUsedAt: link.lastUsedAt,
+      createdAt: link.createdAt,
+    };
+  }
+
+  // New link to `note` for its owner. `expiresInDays` (1-365) and `maxDownloads`
+  // (1-10000) are optional; without them the link lasts until it is revoked.
+  static async create(note, owner, { expiresInDays, maxDownloads } = {}) {
+    const days = optionalCount(expiresInDays, MAX_EXPIRY_DAYS,
+      `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`, 'invalid_expiry');
+    const downloads = optionalCount(maxDownloads, MAX_DOWNLOADS,
+      `Download limit must be between 1 and ${MAX_DOWNLOADS}`, 'invalid_max_downloads');
+    return await ShareLink.create({
+      note: note._id,
+      owner: owner.id,
+      expiresAt: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null,
+      maxDownloads: downloads,
+    });
+  }
+
+  // The link a token stands for. Fails with 404 for unknown or forged tokens and
+  // 410 (code revoked / expired / used_up) for links that no longer open.
+  static async resolve(token) {
+    const id = verify(token);
+    const link = id ? await ShareLink.findById(id) : null;
+    if (!link) throw shareError(404, 'Share link not found', 'not_found');
+    if (link.revokedAt) throw shareError(410, 'This share link has been revoked', 'revoked');
+    if (link.expiresAt && link.expiresAt <= new Date()) throw shareError(410, 'This share link has expired', 'expired');
+    if (link.maxDownloads !== null && link.downloadCount >= link.maxDownloads) {
+      throw shareError(410, 'This share link has reached its download limit', 'used_up');
+    }
+    return link;
+  }
+
+  static async recordView(link) {
+    await ShareLink.updateOne({ _id: link._id }, { $inc: { viewCount: 1 }, $set: { lastUsedAt: new Date() } });
+  }
+
+  // Count one download, unless the limit was reached in the meantime (410 used_up)
+  static async recordDownload(link) {
+    const { modifiedCount } = await ShareLink.updateOne(
+      { _id: link._id, ...activeQuery() },
+      { $inc: { downloadCount: 1 }, $set: { lastUsedAt: new Date() } }
+    );
+    if (!modifiedCount) throw shareError(410, 'This share link has reached its download limit', 'used_up');
+  }
+
+  // An owner's links that still open, newest first; `noteId` narrows them to one note
+  static async listActive(ownerId, { noteId } = {}) {
+    const filter = { owner: ownerId, ...activeQuery() };
+    if (noteId) filter.note = noteId;
+    return await ShareLink.find(filter).sort({ createdAt: -1 }).lean();
+  }
+
+  // Revoke one of the owner's links; resolves with null when there is no such link
+  static async revoke(id, ownerId) {
+    if (!isValidObjectId(id)) return null;
+    return await ShareLink.findOneAndUpdate(
+      { _id: id, owner: ownerId },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  static async removeForNote(noteId) {
+    await ShareLink.deleteMany({ note: noteId });
+  }
+}
+
+module.exports = ShareService;
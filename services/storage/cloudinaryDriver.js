@@ -0,0 +1,313 @@
+const https = require('https');
+const { URL } = require('url');
+const { v2: cloudinary } = require('cloudinary');
+const { MAX_UPLOAD_BYTES, limitBytes } = require('../../utils/uploads');
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+// First-page PNG preview generated by Cloudinary at upload time
+const EAGER_THUMB = { format: 'png', page: 1, width: 600, crop: 'limit', quality: 'auto' };
+const EAGER_THUMB_STRING = 'pg_1,w_600,c_limit,q_auto,f_png';
+
+// Hosts the download proxy may talk to, checked on every redirect hop.
+// CLOUDINARY_ALLOWED_HOSTS adds more (comma-separated), e.g. a custom delivery CNAME.
+const ALLOWED_HOSTS = ['res.cloudinary.com', ...(process.env.CLOUDINARY_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(h => h.trim().toLowerCase())
+  .filter(Boolean)];
+
+const UPSTREAM_TIMEOUT_MS = 30 * 1000;
+
+function upstreamError(message, status = 502) {
+  return Object.assign(new Error(message), { status });
+}
+
+class CloudinaryStorage {
+  static get driverName() {
+    return 'cloudinary';
+  }
+
+  // Upload a Buffer or readable stream. With `thumbnail` the PDF goes through the
+  // image pipeline so Cloudinary can render its first page; otherwise it is stored raw.
+  static async upload(source, { folder = 'pdf_uploads', publicId, thumbnail = false } = {}) {
+    const options = thumbnail
+      ? {
+          resource_type: 'image',
+          folder,
+          public_id: publicId,
+          // Ensure the original is stored as a PDF
+          format: 'pdf',
+          eager: [EAGER_THUMB],
+          eager_async: false,
+        }
+      : {
+          resource_type: 'raw', // Required for PDFs outside the image pipeline
+          folder,
+          public_id: publicId,
+        };
+
+    const result = await new Promise((resolve, reject) => {
+      const done = (error, uploadResult) => {
+        if (error) return reject(error);
+        resolve(uploadResult);
+      };
+      if (Buffer.isBuffer(source)) {
+        cloudinary.uploader.upload_stream(options, done).end(source);
+      } else {
+        // Streams may be large; send them to Cloudinary in chunks instead of one request
+        source.on('error', reject);
+        source.pipe(cloudinary.uploader.upload_chunked_stream(options, done));
+      }
+    });
+
+    const eagerThumb = Array.isArray(result.eager) && result.eager[0] && result.eager[0].secure_url
+      ? result.eager[0].secure_url
+      : '';
+
+    return {
+      fileUrl: result.secure_url,
+      publicId: result.public_id,
+      resourceType: result.resource_type,
+      thumbnailUrl: eagerThumb,
+      bytes: result.bytes,
+    };
+  }
+
+  static isAllowedHost(u) {
+    return u.protocol === 'https:' && ALLOWED_HOSTS.includes(u.hostname.toLowerCase());
+  }
+
+  // Any delivery URL of our own cloud, transformations included (e.g. an eager thumbnail)
+  static isDeliveryUrl(url) {
+    try {
+      const u = new URL(url);
+      return this.isAllowedHost(u) && u.pathname.split('/')[1] === process.env.CLOUDINARY_CLOUD_NAME;
+    } catch {
+      return false;
+    }
+  }
+
+  // A delivery URL of our own cloud for an asset in `folder`:
+  // https://res.cloudinary.com/<cloud>/<image|raw>/upload/[v123/]<folder>/<name>
+  static ownsUrl(fileUrl, { folder = 'pdf_uploads' } = {}) {
+    let u;
+    try {
+      u = new URL(fileUrl);
+    } catch {
+      return false;
+    }
+    if (!this.isAllowedHost(u) || u.search || u.username || u.password || u.port) return false;
+    const parts = u.pathname.split('/');
+    if (parts[1] !== process.env.CLOUDINARY_CLOUD_NAME) return false;
+    if (!['image', 'raw'].includes(parts[2]) || parts[3] !== 'upload') return false;
+    const rest = /^v\d+$/.test(parts[4] || '') ? parts.slice(5) : parts.slice(4);
+    return rest.length >= 2
+      && rest[0] === folder
+      && rest.every(p => p && p !== '.' && p !== '..');
+  }
+
+  // Best-effort derive Cloudinary public_id (with folder) from a fileUrl
+  static publicIdFromUrl(url) {
+    try {
+      const u = new URL(url);
+      const parts = u.pathname.split('/');
+      const uploadIdx = parts.findIndex(p => p === 'upload');
+      if (uploadIdx === -1) return null;
+      const afterUpload = parts.slice(uploadIdx + 1); // [ 'v123', 'folder', 'name.ext' ]
+      const withoutVersion = afterUpload[0] && /^v\d+$/i.test(afterUpload[0])
+        ? afterUpload.slice(1)
+        : afterUpload;
+      if (!withoutVersion.length) return null;
+      const last = withoutVersion[withoutVersion.length - 1];
+      const base = last.replace(/\.[^.]+$/, ''); // remove extension
+      const folders = withoutVersion.slice(0, -1);
+      return [...folders, base].join('/');
+    } catch {
+      return null;
+    }
+  }
+
+  // Public_id and resource type of a Cloudinary delivery URL. Raw assets keep their
+  // extension in the public_id, image ones do not.
+  static assetFromUrl(url) {
+    try {
+      const parts = new URL(url).pathname.split('/').map(decodeURIComponent);
+      const uploadIdx = parts.findIndex(p => p === 'upload');
+      if (uploadIdx < 1) return null;
+      const resourceType = parts[uploadIdx - 1] === 'raw' ? 'raw' : 'image';
+      const afterUpload = parts.slice(uploadIdx + 1);
+      const withoutVersion = afterUpload[0] && /^v\d+$/i.test(afterUpload[0])
+        ? afterUpload.slice(1)
+        : afterUpload;
+      if (!withoutVersion.length) return null;
+      const publicId = withoutVersion.join('/');
+      return {
+        publicId: resourceType === 'raw' ? publicId : publicId.replace(/\.[^./]+$/, ''),
+        resourceType,
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  // Deterministic first-page PNG URL for a stored PDF (used when the client sent none)
+  static thumbnailUrlFor(fileUrl) {
+    const pid = this.publicIdFromUrl(fileUrl);
+    if (!pid) return '';
+    return cloudinary.url(`${pid}.png`, {
+      resource_type: 'image',
+      page: 1,
+      transformation: [ { width: 600, crop: 'limit', quality: 'auto' } ],
+      secure: true,
+    });
+  }
+
+  // Delete a stored PDF. Destroying the original also removes its eager
+  // thumbnail, and `invalidate` purges both from the CDN.
+  static async remove({ publicId, resourceType, fileUrl } = {}) {
+    const asset = publicId
+      ? { publicId, resourceType: resourceType || 'image' }
+      : this.assetFromUrl(fileUrl);
+    if (!asset) return false;
+    const result = await cloudinary.uploader.destroy(asset.publicId, {
+      resource_type: asset.resourceType,
+      invalidate: true,
+    });
+    return !!result && result.result === 'ok';
+  }
+
+  // Every asset stored under `folder`, across the image and raw pipelines
+  static async *list(folder = 'pdf_uploads') {
+    for (const resourceType of ['image', 'raw']) {
+      let nextCursor;
+      do {
+        const page = await cloudinary.api.resources({
+          type: 'upload',
+          resource_type: resourceType,
+          prefix: `${folder}/`,
+          max_results: 500,
+          ...(nextCursor ? { next_cursor: nextCursor } : {}),
+        });
+        for (const r of page.resources || []) {
+          yield { publicId: r.public_id, resourceType, createdAt: new Date(r.created_at) };
+        }
+        nextCursor = page.next_cursor;
+      } while (nextCursor);
+    }
+  }
+
+  // Signed parameters for a direct browser → Cloudinary upload
+  static createDirectUpload({ filename = 'file' } = {}) {
+    const timestamp = Math.round(Date.now() / 1000);
+    const folder = 'pdf_uploads';
+    const public_id = `${Date.now()}-${filename.replace(/\s+/g, '_')}`;
+
+    // Ask Cloudinary to eagerly create a first-page PNG at upload time
+    // This avoids 404 when Strict Transformations are enabled
+    const eager = EAGER_THUMB_STRING;
+
+    // Only sign parameters Cloudinary expects in the signature
+    const paramsToSign = {
+      timestamp,
+      folder,
+      public_id,
+      eager,
+      eager_async: false,
+    };
+
+    const signature = cloudinary.utils.api_sign_request(
+      paramsToSign,
+      process.env.CLOUDINARY_API_SECRET
+    );
+
+    return {
+      direct: true,
+      cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+      apiKey: process.env.CLOUDINARY_API_KEY,
+      timestamp,
+      signature,
+      folder,
+      public_id,
+      // Not part of signature, but instruct the client to use image upload endpoint
+      resource_type: 'image',
+      eager,
+      eager_async: false,
+    };
+  }
+
+  // Open the stored file for reading, following redirects and forwarding ranges.
+  // Every hop must stay on an allowed https host, and the body is cut off past
+  // `maxBytes`. Resolves with the upstream response stream and the headers worth mirroring.
+  static openReadStream(fileUrl, { range, maxBytes = MAX_UPLOAD_BYTES } = {}) {
+    return new Promise((resolve, reject) => {
+      const forward = (urlStr, redirects = 0) => {
+        if (redirects > 5) {
+          return reject(upstreamError('Too many redirects'));
+        }
+        let u;
+        try {
+          u = new URL(urlStr);
+        } catch {
+          return reject(upstreamError('Invalid upstream URL'));
+        }
+        if (!this.isAllowedHost(u)) {
+          return reject(upstreamError(`Upstream host not allowed: ${u.hostname}`));
+        }
+        const options = {
+          method: 'GET',
+          hostname: u.hostname,
+          path: u.pathname + (u.search || ''),
+          headers: {
+            'User-Agent': 'Mozilla/5.0',
+            // Forward range requests to enable partial fetch (helps PDF.js)
+            ...(range ? { Range: range } : {}),
+          },
+        };
+        const request = https.request(options, (r) => {
+          const status = r.statusCode || 500;
+          if (status >= 300 && status < 400 && r.headers.location) {
+            r.resume();
+            let nextUrl;
+            try {
+              nextUrl = new URL(r.headers.location, u).toString();
+            } catch {
+              return reject(upstreamError('Invalid redirect'));
+            }
+            return forward(nextUrl, redirects + 1);
+          }
+          if (status >= 400) {
+            r.resume();
+            return reject(upstreamError('Upstream error', status));
+          }
+          if (parseInt(r.headers['content-length'], 10) > maxBytes) {
+            r.destroy();
+            return reject(upstreamError('Upstream file is too large'));
+          }
+          // Content-Length can be missing or wrong; count what actually arrives
+          const limited = limitBytes(maxBytes, () => upstreamError('Upstream file is too large'));
+          r.on('error', err => limited.destroy(err));
+          resolve({
+            stream: r.pipe(limited),
+            status,
+            headers: {
+              contentLength: r.headers['content-length'],
+              acceptRanges: r.headers['accept-ranges'],
+              contentRange: r.headers['content-range'],
+            },
+          });
+        });
+        request.setTimeout(UPSTREAM_TIMEOUT_MS, () => request.destroy(upstreamError('Upstream timed out', 504)));
+        request.on('error', reject);
+        request.end();
+      };
+
+      forward(fileUrl);
+    });
+  }
+}
+
+module.exports = CloudinaryStorage;
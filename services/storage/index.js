@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { MAX_UPLOAD_BYTES, TMP_DIR, ensureTmpDir, removeTempFile, limitBytes } = require('../../utils/uploads');
+const ThumbnailService = require('../thumbnailService');
+
+// Storage backend selection.
+// STORAGE_DRIVER picks the driver for new uploads explicitly (cloudinary | local);
+// without it we use Cloudinary when credentials are configured and fall back to local disk.
+const drivers = {
+  cloudinary: () => require('./cloudinaryDriver'),
+  local: () => require('./localDriver'),
+};
+
+let active = null;
+
+// Driver that new uploads go to
+function getStorage() {
+  if (active) return active;
+  const name = (process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local'))
+    .trim()
+    .toLowerCase();
+  if (!drivers[name]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+  }
+  active = drivers[name]();
+  return active;
+}
+
+// Whether a URL points at a PDF in our own storage (Cloudinary cloud/folder or the
+// local /files scheme). Notes may only reference such URLs; anything else would
+// turn the download proxy into a fetcher for arbitrary hosts.
+function isOwnFileUrl(fileUrl) {
+  if (drivers.local().ownsUrl(fileUrl)) return true;
+  return !!process.env.CLOUDINARY_CLOUD_NAME && drivers.cloudinary().ownsUrl(fileUrl);
+}
+
+// Driver that owns an already stored file, so notes keep working after switching drivers
+function getStorageForUrl(fileUrl) {
+  const local = drivers.local();
+  if (local.pathFromUrl(fileUrl)) return local;
+  return drivers.cloudinary();
+}
+
+async function removeOne(file) {
+  if (!file || !file.fileUrl) return false;
+  try {
+    await ThumbnailService.remove(file.thumbnails);
+    return await getStorageForUrl(file.fileUrl).remove({
+      publicId: file.publicId,
+      resourceType: file.resourceType,
+      fileUrl: file.fileUrl,
+    });
+  } catch (err) {
+    console.error('Storage delete error:', file.publicId || file.fileUrl, err.message);
+    return false;
+  }
+}
+
+// Delete a note's stored file (and its thumbnails), including older revisions.
+// Failures are logged rather than thrown so a storage outage never blocks deleting
+// the note itself; anything left behind is picked up by `npm run storage:reconcile`.
+async function removeStoredFile(note) {
+  if (!note) return false;
+  const plain = typeof note.toObject === 'function' ? note.toObject() : note;
+  for (const revision of plain.revisions || []) await removeOne(revision);
+  return await removeOne(plain);
+}
+
+// Copy an already stored file into a temp file (for checks that need the bytes,
+// e.g. validating a client-direct upload). The caller removes the returned path.
+async function downloadToTempFile(fileUrl, { maxBytes = MAX_UPLOAD_BYTES } = {}) {
+  const { stream } = await getStorageForUrl(fileUrl).openReadStream(fileUrl);
+  await ensureTmpDir();
+  const tempPath = path.join(TMP_DIR, `${crypto.randomBytes(12).toString('hex')}.fetch`);
+
+  const limit = limitBytes(maxBytes, () => Object.assign(
+    new Error(`File is too large (max ${Math.round(maxBytes / 1024 / 1024)} MB)`),
+    { status: 413, code: 'too_large' }
+  ));
+
+  try {
+    await pipeline(stream, limit, fs.createWriteStream(tempPath));
+  } catch (err) {
+    await removeTempFile(tempPath);
+    throw err;
+  }
+  return tempPath;
+}
+
+module.exports = { getStorage, getStorageForUrl, isOwnFileUrl, removeStoredFile, downloadToTempFile };
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// PDFs live under LOCAL_STORAGE_DIR. Their /files/... URLs only name them: the files are
+// streamed by /download/:id and share links, never served directly. Previews are rendered
+// by ThumbnailService; this driver only knows the single-size PNGs it used to
+// write to public/uploads/thumbnails, so it can still find and delete them.
+const ROOT = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads'));
+const URL_PREFIX = '/files';
+const THUMB_DIR = path.join(__dirname, '..', '..', 'public', 'uploads', 'thumbnails');
+const THUMB_URL_PREFIX = '/uploads/thumbnails';
+
+// Keep stored names filesystem-safe
+function safeName(name) {
+  return String(name || 'file').replace(/[^\w.-]+/g, '_').replace(/^\.+/, '') || 'file';
+}
+
+// Parse a single "bytes=start-end" Range header against a known size
+function parseRange(range, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(range || '').trim());
+  if (!m || (!m[1] && !m[2])) return null;
+  let start = m[1] ? parseInt(m[1], 10) : size - parseInt(m[2], 10);
+  let end = m[1] && m[2] ? parseInt(m[2], 10) : size - 1;
+  start = Math.max(0, start);
+  end = Math.min(end, size - 1);
+  if (start > end) return null;
+  return { start, end };
+}
+
+class LocalStorage {
+  static get driverName() {
+    return 'local';
+  }
+
+  static get root() {
+    return ROOT;
+  }
+
+  static get urlPrefix() {
+    return URL_PREFIX;
+  }
+
+  // Map a /files/... URL back to an absolute path inside ROOT (null if it escapes)
+  static pathFromUrl(fileUrl) {
+    if (typeof fileUrl !== 'string' || !fileUrl.startsWith(`${URL_PREFIX}/`)) return null;
+    const rel = decodeURIComponent(fileUrl.slice(URL_PREFIX.length + 1));
+    const abs = path.resolve(ROOT, rel);
+    if (!abs.startsWith(ROOT + path.sep)) return null;
+    return abs;
+  }
+
+  // Thumbnails are rendered by the server, never supplied by clients
+  static isDeliveryUrl() {
+    return false;
+  }
+
+  // Only PDFs in the upload folder can back a note
+  static ownsUrl(fileUrl, { folder = 'pdf_uploads' } = {}) {
+    const abs = this.pathFromUrl(fileUrl);
+    return !!abs && abs.startsWith(path.join(ROOT, folder) + path.sep);
+  }
+
+  static publicIdFromUrl(fileUrl) {
+    const abs = this.pathFromUrl(fileUrl);
+    if (!abs) return null;
+    return path.relative(ROOT, abs).split(path.sep).join('/').replace(/\.[^.]+$/, '');
+  }
+
+  static assetFromUrl(fileUrl) {
+    const publicId = this.publicIdFromUrl(fileUrl);
+    return publicId ? { publicId, resourceType: 'raw' } : null;
+  }
+
+  // Write a Buffer or readable stream to disk. There is no storage-side preview
+  // (`thumbnailUrl` is empty); ThumbnailService renders one from the local file.
+  static async upload(source, { folder = 'pdf_uploads', publicId } = {}) {
+    const dir = path.join(ROOT, folder);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    // Never overwrite an existing upload that happens to share a name
+    let name = safeName(publicId || Date.now());
+    if (fs.existsSync(path.join(dir, `${name}.pdf`))) name = `${name}-${Date.now()}`;
+    const abs = path.join(dir, `${name}.pdf`);
+
+    if (Buffer.isBuffer(source)) {
+      await fs.promises.writeFile(abs, source);
+    } else {
+      await pipeline(source, fs.createWriteStream(abs));
+    }
+    const { size } = await fs.promises.stat(abs);
+
+    return {
+      fileUrl: `${URL_PREFIX}/${folder}/${name}.pdf`,
+      publicId: `${folder}/${name}`,
+      resourceType: 'raw',
+      thumbnailUrl: '',
+      bytes: size,
+    };
+  }
+
+  static thumbnailUrlFor(fileUrl) {
+    const pid = this.publicIdFromUrl(fileUrl);
+    if (!pid) return '';
+    const name = pid.split('/').pop();
+    return fs.existsSync(path.join(THUMB_DIR, `${name}.png`)) ? `${THUMB_URL_PREFIX}/${name}.png` : '';
+  }
+
+  // Delete a stored PDF and its rendered preview
+  static async remove({ publicId, fileUrl } = {}) {
+    const pid = publicId || this.publicIdFromUrl(fileUrl);
+    if (!pid) return false;
+    const abs = path.resolve(ROOT, `${pid}.pdf`);
+    if (!abs.startsWith(ROOT + path.sep)) return false;
+
+    const name = path.basename(abs, '.pdf');
+    await fs.promises.rm(path.join(THUMB_DIR, `${name}.png`), { force: true });
+    try {
+      await fs.promises.unlink(abs);
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+
+  // Every PDF stored under `folder`
+  static async *list(folder = 'pdf_uploads') {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(path.join(ROOT, folder), { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (const entry of entries) {
+      if (!entry.isFile() || !entry.name.endsWith('.pdf')) continue;
+      const { mtime } = await fs.promises.stat(path.join(ROOT, folder, entry.name));
+      yield { publicId: `${folder}/${entry.name.replace(/\.pdf$/, '')}`, resourceType: 'raw', createdAt: mtime };
+    }
+  }
+
+  // Browsers cannot write to our disk directly; they post the file to the server instead
+  static createDirectUpload() {
+    return null;
+  }
+
+  static async openReadStream(fileUrl, { range } = {}) {
+    const abs = this.pathFromUrl(fileUrl);
+    if (!abs) throw Object.assign(new Error('File not found'), { status: 404 });
+
+    let stat;
+    try {
+      stat = await fs.promises.stat(abs);
+    } catch {
+      throw Object.assign(new Error('File not found'), { status: 404 });
+    }
+
+    const r = range ? parseRange(range, stat.size) : null;
+    if (r) {
+      return {
+        stream: fs.createReadStream(abs, { start: r.start, end: r.end }),
+        status: 206,
+        headers: {
+          contentLength: String(r.end - r.start + 1),
+          acceptRanges: 'bytes',
+          contentRange: `bytes ${r.start}-${r.end}/${stat.size}`,
+        },
+      };
+    }
+    return {
+      stream: fs.createReadStream(abs),
+      status: 200,
+      headers: { contentLength: String(stat.size), acceptRanges: 'bytes' },
+    };
+  }
+}
+
+module.exports = LocalStorage;
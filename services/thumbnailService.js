@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const { renderPage } = require('../utils/poppler');
+
+// First-page previews rendered on our own server with poppler.
+//
+// THUMBNAIL_SOURCE  auto (default): use the storage backend's preview (Cloudinary eager
+//                   transform) and render locally only when there is none
+//                   local: always render locally
+// THUMBNAIL_DIR     where rendered PNGs go (default public/uploads/thumbnails, served
+//                   at /uploads/thumbnails)
+const SIZES = { sm: 320, md: 640, lg: 1200 };
+const SOURCE = process.env.THUMBNAIL_SOURCE === 'local' ? 'local' : 'auto';
+const DIR = path.resolve(process.env.THUMBNAIL_DIR || path.join(__dirname, '..', 'public', 'uploads', 'thumbnails'));
+const URL_PREFIX = '/uploads/thumbnails';
+
+class ThumbnailService {
+  static get sizes() {
+    return SIZES;
+  }
+
+  static get dir() {
+    return DIR;
+  }
+
+  static get urlPrefix() {
+    return URL_PREFIX;
+  }
+
+  // Render page 1 of a local PDF at every size as `<key>-<size>.png`.
+  // Best-effort: resolves with the URLs by size, or null when poppler fails.
+  static async render(pdfPath, key) {
+    try {
+      await fs.promises.mkdir(DIR, { recursive: true });
+      const urls = {};
+      for (const [size, width] of Object.entries(SIZES)) {
+        await renderPage(pdfPath, path.join(DIR, `${key}-${size}`), { page: 1, width });
+        urls[size] = `${URL_PREFIX}/${key}-${size}.png`;
+      }
+      return urls;
+    } catch (err) {
+      console.error('Thumbnail render error:', key, err.message);
+      return null;
+    }
+  }
+
+  // Preview fields for a newly stored file: the storage backend's preview when it
+  // made one (and THUMBNAIL_SOURCE allows it), otherwise locally rendered sizes
+  static async forFile(pdfPath, key, storageThumbnailUrl = '') {
+    if (SOURCE === 'auto' && storageThumbnailUrl) {
+      return { thumbnailUrl: storageThumbnailUrl, thumbnails: {} };
+    }
+    const rendered = await this.render(pdfPath, key);
+    return {
+      thumbnailUrl: (rendered && rendered.md) || storageThumbnailUrl || '',
+      thumbnails: rendered || {},
+    };
+  }
+
+  // Delete locally rendered previews; URLs elsewhere (Cloudinary) are ignored
+  static async remove(thumbnails) {
+    for (const url of Object.values(thumbnails || {})) {
+      if (typeof url !== 'string' || !url.startsWith(`${URL_PREFIX}/`)) continue;
+      const abs = path.resolve(DIR, url.slice(URL_PREFIX.length + 1));
+      if (!abs.startsWith(DIR + path.sep)) continue;
+      await fs.promises.rm(abs, { force: true });
+    }
+  }
+
+  // `srcset` for a card image, e.g. "/uploads/thumbnails/x-sm.png 320w, ..."
+  static srcset(note) {
+    const thumbnails = (note && note.thumbnails) || {};
+    return Object.entries(SIZES)
+      .filter(([size]) => thumbnails[size])
+      .map(([size, width]) => `${thumbnails[size]} ${width}w`)
+      .join(', ');
+  }
+}
+
+module.exports = ThumbnailService;
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const uploadSessionSchema = require('../models/uploadSession');
+const NoteService = require('./noteService');
+const { isValidObjectId } = require('../utils/helpers');
+const { MAX_UPLOAD_BYTES, CHUNK_SIZE, TMP_DIR, ensureTmpDir, removeTempFile } = require('../utils/uploads');
+
+// Compile the UploadSession model on the shared PDF DB connection
+const { pdfDB } = require('../db');
+const UploadSession = pdfDB.model('UploadSession', uploadSessionSchema);
+
+const STALE_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// Errors carry the HTTP status (and the server-side offset where useful) for the routes
+function uploadError(status, message, extra = {}) {
+  return Object.assign(new Error(message), { status, ...extra });
+}
+
+function tempPathFor(session) {
+  return path.join(TMP_DIR, `${session._id}.part`);
+}
+
+class UploadService {
+  static get chunkSize() {
+    return CHUNK_SIZE;
+  }
+
+  // Start a resumable upload and reserve its temp file. With `noteId` the finished
+  // file becomes a new version of that note (the route checks ownership).
+  static async init(user, { filename, size, title, tags = [], noteId } = {}) {
+    const name = typeof filename === 'string' ? filename.trim() : '';
+    const total = Number(size);
+    if (!name) throw uploadError(400, 'filename is required');
+    if (!Number.isInteger(total) || total <= 0) throw uploadError(400, 'size must be a positive integer');
+    if (total > MAX_UPLOAD_BYTES) {
+      throw uploadError(413, `File is too large (max ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB)`);
+    }
+
+    await ensureTmpDir();
+    const session = await UploadSession.create({
+      uploader: user.id,
+      uploaderName: user.name || user.username,
+      note: noteId || null,
+      title: typeof title === 'string' ? title.trim() : '',
+      tags,
+      filename: name,
+      size: total,
+    });
+    await fs.promises.writeFile(tempPathFor(session), '');
+
+    this.sweepStaleTempFiles().catch(err => console.error('Upload sweep error:', err.message));
+    return session;
+  }
+
+  // A session is only visible to the user who started it
+  static async getSession(id, userId) {
+    if (!isValidObjectId(id)) return null;
+    const session = await UploadSession.findById(id);
+    if (!session || String(session.uploader) !== String(userId)) return null;
+    return session;
+  }
+
+  // Write one chunk at `offset`. Chunks arrive in order; a client that lost track of
+  // its position gets a 409 carrying the server's offset and resumes from there.
+  static async appendChunk(session, offset, stream, declaredLength) {
+    if (session.finalizing) throw uploadError(409, 'Upload is being finalized', { offset: session.offset });
+    if (!Number.isInteger(offset) || offset !== session.offset) {
+      throw uploadError(409, 'Offset does not match the upload', { offset: session.offset });
+    }
+    if (declaredLength > CHUNK_SIZE) throw uploadError(413, 'Chunk is too large');
+    if (offset + declaredLength > session.size) throw uploadError(400, 'Chunk exceeds the announced file size');
+
+    let received = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > CHUNK_SIZE || offset + received > session.size) {
+          return callback(uploadError(413, 'Chunk is too large'));
+        }
+        callback(null, chunk);
+      },
+    });
+
+    try {
+      // r+ at `offset` overwrites whatever a previously interrupted chunk left behind
+      await pipeline(stream, counter, fs.createWriteStream(tempPathFor(session), { flags: 'r+', start: offset }));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        await this.abort(session);
+        throw uploadError(410, 'Upload expired, please start again');
+      }
+      throw err;
+    }
+
+    // Only advance if nobody else moved the offset while we were writing
+    const updated = await UploadSession.findOneAndUpdate(
+      { _id: session._id, offset },
+      { $set: { offset: offset + received } },
+      { new: true }
+    );
+    if (!updated) {
+      const current = await UploadSession.findById(session._id);
+      throw uploadError(409, 'Offset does not match the upload', { offset: current ? current.offset : 0 });
+    }
+    return updated;
+  }
+
+  // Validate the assembled file, stream it to the storage backend and create the note
+  static async finalize(session) {
+    if (session.offset !== session.size) {
+      throw uploadError(409, 'Upload is incomplete', { offset: session.offset });
+    }
+    const claimed = await UploadSession.findOneAndUpdate(
+      { _id: session._id, finalizing: false },
+      { $set: { finalizing: true } },
+      { new: true }
+    );
+    if (!claimed) throw uploadError(409, 'Upload is already being finalized', { offset: session.offset });
+
+    const tempPath = tempPathFor(session);
+    try {
+      await fs.promises.truncate(tempPath, session.size);
+      let note;
+      if (session.note) {
+        const target = await NoteService.getNoteById(session.note);
+        if (!target) throw uploadError(404, 'The note no longer exists', { code: 'not_found' });
+        note = await NoteService.addRevision(target, tempPath, { filename: session.filename });
+      } else {
+        note = await NoteService.createFromFile(tempPath, {
+          title: session.title,
+          filename: session.filename,
+          tags: session.tags,
+          uploader: session.uploader,
+          uploaderName: session.uploaderName,
+        });
+      }
+
+      await this.abort(session);
+      return note;
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        await this.abort(session);
+        throw uploadError(410, 'Upload expired, please start again');
+      }
+      // Rejected files (invalid PDF, duplicate, note gone) fail the same way every time; nothing left to resume
+      if (err.status && typeof err.code === 'string') {
+        await this.abort(session);
+        throw err;
+      }
+      // Let the client retry finalize without re-sending the file
+      await UploadSession.updateOne({ _id: session._id }, { $set: { finalizing: false } });
+      throw err;
+    }
+  }
+
+  // Drop a session and its temp file
+  static async abort(session) {
+    await UploadSession.deleteOne({ _id: session._id });
+    await removeTempFile(tempPathFor(session));
+  }
+
+  // Temp files outlive their session when the TTL index removes it; clear them out
+  static async sweepStaleTempFiles() {
+    const cutoff = Date.now() - STALE_AFTER_MS;
+    const entries = await fs.promises.readdir(TMP_DIR);
+    for (const entry of entries) {
+      if (!entry.endsWith('.part')) continue;
+      const filePath = path.join(TMP_DIR, entry);
+      const { mtimeMs } = await fs.promises.stat(filePath).catch(() => ({ mtimeMs: Date.now() }));
+      if (mtimeMs < cutoff) await removeTempFile(filePath);
+    }
+  }
+}
+
+module.exports = UploadService;
@@ -0,0 +1,88 @@
+const voteSchema = require('../models/voteSchema');
+const noteSchema = require('../models/noteSchema');
+const { RANK_EXPRESSION } = require('../utils/ranking');
+
+// Compile the Vote and Note models on the shared PDF DB connection
+const { pdfDB } = require('../db');
+const Vote = pdfDB.model('Vote', voteSchema);
+const Note = pdfDB.model('Note', noteSchema);
+
+function voteError(status, message, code) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+// 1 (up), -1 (down) or 0 (no vote) from a request body value
+function parseValue(value) {
+  const parsed = typeof value === 'string' && value.trim() ? Number(value) : value;
+  if (parsed === 1 || parsed === -1 || parsed === 0) return parsed;
+  throw voteError(400, 'Vote must be 1 (up), -1 (down) or 0 (none)', 'invalid_vote');
+}
+
+// Move a note's counters from vote `from` to vote `to` (each 1, -1 or 0) and recompute
+// its rank in the same update, so concurrent votes can't leave a stale rank behind
+async function applyVote(noteId, from, to) {
+  const up = (to === 1) - (from === 1);
+  const down = (to === -1) - (from === -1);
+  if (!up && !down) return await Note.findById(noteId).select('upvotes downvotes score').lean();
+  return await Note.findOneAndUpdate(
+    { _id: noteId },
+    [
+      {
+        $set: {
+          upvotes: { $add: [{ $ifNull: ['$upvotes', 0] }, up] },
+          downvotes: { $add: [{ $ifNull: ['$downvotes', 0] }, down] },
+        },
+      },
+      { $set: { score: { $subtract: ['$upvotes', '$downvotes'] } } },
+      { $set: { rank: RANK_EXPRESSION } },
+    ],
+    { new: true, projection: 'upvotes downvotes score', lean: true }
+  );
+}
+
+class VoteService {
+  // Set the user's vote on a note: 1 up, -1 down, 0 takes it back. Resolves with the
+  // vote and the note's new totals: { value, upvotes, downvotes, score }.
+  static async vote(note, user, value) {
+    const to = parseValue(value);
+    let previous;
+    if (to) {
+      const update = { $set: { value: to, votedAt: new Date() } };
+      try {
+        previous = await Vote.findOneAndUpdate({ note: note._id, user: user.id }, update, { upsert: true, new: false });
+      } catch (err) {
+        // Two first votes raced on the unique index: the other one is there now
+        if (err.code !== 11000) throw err;
+        previous = await Vote.findOneAndUpdate({ note: note._id, user: user.id }, update, { new: false });
+      }
+    } else {
+      previous = await Vote.findOneAndDelete({ note: note._id, user: user.id });
+    }
+
+    const totals = await applyVote(note._id, previous ? previous.value : 0, to);
+    if (!totals) throw voteError(404, 'Note not found', 'note_not_found');
+    return { value: to, upvotes: totals.upvotes || 0, downvotes: totals.downvotes || 0, score: totals.score || 0 };
+  }
+
+  // The user's votes on `noteIds`, as a Map of note id string to 1 or -1 (for the card buttons)
+  static async valuesFor(userId, noteIds) {
+    if (!userId || !noteIds.length) return new Map();
+    const votes = await Vote.find({ user: userId, note: { $in: noteIds } }).select('note value').lean();
+    return new Map(votes.map(v => [String(v.note), v.value]));
+  }
+
+  // Drop the votes on a deleted note
+  static async removeForNote(noteId) {
+    await Vote.deleteMany({ note: noteId });
+  }
+
+  // Take back every vote of a deleted account, so the notes' totals drop with them
+  static async removeForUser(userId) {
+    for await (const vote of Vote.find({ user: userId }).cursor()) {
+      const removed = await Vote.findOneAndDelete({ _id: vote._id });
+      if (removed) await applyVote(removed.note, removed.value, 0);
+    }
+  }
+}
+
+module.exports = VoteService;
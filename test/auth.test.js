@@ -0,0 +1,138 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { requireAuth, requireRole, isOwner, canManage, canView, checkOwnership } = require('../middleware/auth');
+
+const OWNER = '507f1f77bcf86cd799439011';
+const OTHER = '507f1f77bcf86cd799439012';
+
+// Just enough of Express's req/res for the middleware: the status and JSON body it sent,
+// whether it let the request through, and the request it passed on
+async function run(middleware, req) {
+  const request = { session: {}, params: {}, ...req };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let passed = false;
+  await middleware(request, res, () => { passed = true; });
+  return { passed, status: res.statusCode, body: res.body, req: request };
+}
+
+const user = (role, id = OTHER) => ({ id, role });
+
+describe('requireAuth', () => {
+  test('refuses anonymous requests', async () => {
+    const result = await run(requireAuth, {});
+    assert.equal(result.passed, false);
+    assert.equal(result.status, 401);
+    assert.deepEqual(result.body, { success: false, message: 'Unauthorized' });
+  });
+
+  test('lets signed-in users through', async () => {
+    assert.equal((await run(requireAuth, { session: { user: user('user') } })).passed, true);
+  });
+});
+
+describe('requireRole', () => {
+  test('refuses anonymous requests with 401', async () => {
+    const result = await run(requireRole('moderator'), {});
+    assert.equal(result.passed, false);
+    assert.equal(result.status, 401);
+  });
+
+  test('refuses lower roles with 403', async () => {
+    for (const [role, needed] of [['user', 'moderator'], ['user', 'admin'], ['moderator', 'admin']]) {
+      const result = await run(requireRole(needed), { session: { user: user(role) } });
+      assert.equal(result.passed, false, `${role} passed ${needed}`);
+      assert.equal(result.status, 403);
+    }
+  });
+
+  test('treats accounts without a role, or with an unknown one, as users', async () => {
+    assert.equal((await run(requireRole('moderator'), { session: { user: { id: OTHER } } })).status, 403);
+    assert.equal((await run(requireRole('moderator'), { session: { user: user('superuser') } })).status, 403);
+  });
+
+  test('lets the role and the roles above it through', async () => {
+    for (const [role, needed] of [['moderator', 'moderator'], ['admin', 'moderator'], ['admin', 'admin'], ['user', 'user']]) {
+      assert.equal((await run(requireRole(needed), { session: { user: user(role) } })).passed, true, `${role} refused ${needed}`);
+    }
+  });
+});
+
+describe('ownership', () => {
+  const note = { uploader: OWNER, visibility: 'public' };
+
+  test('a note belongs to its uploader, populated or not', () => {
+    assert.equal(isOwner(note, user('user', OWNER)), true);
+    assert.equal(isOwner({ uploader: { _id: OWNER, username: 'owner' } }, user('user', OWNER)), true);
+    assert.equal(isOwner(note, user('user')), false);
+    assert.equal(isOwner(note, null), false);
+  });
+
+  test('documents with an owner belong to it', () => {
+    assert.equal(isOwner({ owner: OWNER }, user('user', OWNER)), true);
+    assert.equal(isOwner({ owner: OWNER }, user('user')), false);
+  });
+
+  test('legacy notes without an uploader belong to nobody', () => {
+    assert.equal(isOwner({ uploaderName: 'someone' }, user('user', OWNER)), false);
+    assert.equal(canManage({ uploaderName: 'someone' }, user('moderator')), false);
+  });
+
+  test('only the owner and admins may manage a note', () => {
+    assert.equal(canManage(note, user('user', OWNER)), true);
+    assert.equal(canManage(note, user('admin')), true);
+    assert.equal(canManage(note, user('moderator')), false);
+    assert.equal(canManage(note, user('user')), false);
+    assert.equal(canManage(null, user('admin')), false);
+  });
+
+  test('private notes are only viewable by their owner and admins', () => {
+    const secret = { ...note, visibility: 'private' };
+    assert.equal(canView(secret, user('user', OWNER)), true);
+    assert.equal(canView(secret, user('admin')), true);
+    assert.equal(canView(secret, user('moderator')), false);
+    assert.equal(canView(secret, null), false);
+    assert.equal(canView({ ...note, visibility: 'unlisted' }, null), true);
+    assert.equal(canView(note, null), true);
+  });
+});
+
+describe('checkOwnership', () => {
+  const note = { _id: 'n1', uploader: OWNER };
+  const Model = { findById: async (id) => (id === 'n1' ? note : null) };
+
+  test('hands the document to the owner', async () => {
+    const req = { session: { user: user('user', OWNER) }, params: { id: 'n1' } };
+    const result = await run(checkOwnership(Model), req);
+    assert.equal(result.passed, true);
+    assert.equal(result.req.resource, note);
+  });
+
+  test('lets admins manage other users\' documents', async () => {
+    assert.equal((await run(checkOwnership(Model), { session: { user: user('admin') }, params: { id: 'n1' } })).passed, true);
+  });
+
+  test('refuses everyone else with 403', async () => {
+    for (const role of ['user', 'moderator']) {
+      const result = await run(checkOwnership(Model), { session: { user: user(role) }, params: { id: 'n1' } });
+      assert.equal(result.passed, false);
+      assert.equal(result.status, 403);
+    }
+  });
+
+  test('answers 404 for missing documents', async () => {
+    const result = await run(checkOwnership(Model), { session: { user: user('admin') }, params: { id: 'n2' } });
+    assert.equal(result.passed, false);
+    assert.equal(result.status, 404);
+  });
+});
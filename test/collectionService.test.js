@@ -0,0 +1,105 @@
+const { test, describe, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The connections are never opened (see db.js); the models' queries are replaced below
+const { pdfDB } = require('../db');
+const CollectionService = require('../services/collectionService');
+
+const OWNER = { id: '507f1f77bcf86cd799439011', name: 'Ada' };
+const NOTE_A = '64b000000000000000000001';
+const NOTE_B = '64b000000000000000000002';
+const NOTE_C = '64b000000000000000000003';
+const COLLECTION_ID = '64c000000000000000000001';
+
+// A stand-in for a Mongoose query: chainable, resolving with `result`
+function query(result) {
+  return {
+    select() { return this; },
+    populate() { return this; },
+    then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); },
+  };
+}
+
+describe('CollectionService', () => {
+  const Collection = pdfDB.model('Collection');
+  const Note = pdfDB.model('Note');
+  const collection = () => ({ _id: COLLECTION_ID, notes: [NOTE_A, NOTE_B, NOTE_C] });
+
+  let exists;
+  let create;
+  let findOneAndUpdate;
+  let find;
+  beforeEach(() => {
+    mock.restoreAll();
+    exists = mock.method(Note, 'exists', async () => null);
+    create = mock.method(Collection, 'create', async (doc) => ({ _id: COLLECTION_ID, ...doc }));
+    findOneAndUpdate = mock.method(Collection, 'findOneAndUpdate', async (filter, update) => ({ _id: COLLECTION_ID, notes: update.$set.notes }));
+    find = mock.method(Note, 'find', () => query([]));
+  });
+
+  after(() => mock.restoreAll());
+
+  describe('create', () => {
+    test('starts with the note it was created for', async () => {
+      exists.mock.mockImplementation(async () => ({ _id: NOTE_A }));
+      const created = await CollectionService.create(OWNER, { title: 'OS midterm pack' }, { noteId: NOTE_A });
+      assert.deepEqual(created.notes, [NOTE_A]);
+      assert.equal(created.owner, OWNER.id);
+    });
+
+    test("creates nothing for a note the owner can't open", async () => {
+      for (const noteId of [NOTE_A, 'not-an-id']) {
+        await assert.rejects(
+          CollectionService.create(OWNER, { title: 'OS midterm pack' }, { noteId }),
+          { status: 404, code: 'note_not_found' }
+        );
+      }
+      assert.equal(create.mock.callCount(), 0);
+    });
+
+    test('starts empty without a note', async () => {
+      assert.deepEqual((await CollectionService.create(OWNER, { title: 'Empty' })).notes, []);
+      assert.equal(exists.mock.callCount(), 0);
+    });
+  });
+
+  describe('reorder', () => {
+    test('puts the listed notes first and keeps the others in their order after them', async () => {
+      const updated = await CollectionService.reorder(collection(), [NOTE_C]);
+      assert.deepEqual(updated.notes, [NOTE_C, NOTE_A, NOTE_B]);
+      const [filter] = findOneAndUpdate.mock.calls[0].arguments;
+      assert.deepEqual(filter.notes, [NOTE_A, NOTE_B, NOTE_C]);
+    });
+
+    test('refuses orders with unknown, repeated or no notes', async () => {
+      for (const order of [[], [NOTE_A, NOTE_A], [NOTE_A, '64b000000000000000000009'], 'nope', undefined]) {
+        await assert.rejects(CollectionService.reorder(collection(), order), { status: 400, code: 'bad_order' });
+      }
+      assert.equal(findOneAndUpdate.mock.callCount(), 0);
+    });
+
+    test('reports a conflict when the collection changed in the meantime', async () => {
+      findOneAndUpdate.mock.mockImplementation(async () => null);
+      await assert.rejects(CollectionService.reorder(collection(), [NOTE_B, NOTE_A]), { status: 409, code: 'conflict' });
+    });
+  });
+
+  describe('notesOf', () => {
+    test('returns the notes in collection order, without the ones left out', async () => {
+      find.mock.mockImplementation(() => query([{ _id: NOTE_C }, { _id: NOTE_A }]));
+      const notes = await CollectionService.notesOf(collection(), OWNER);
+      assert.deepEqual(notes.map(note => note._id), [NOTE_A, NOTE_C]);
+    });
+
+    test("leaves out other people's private and hidden notes", async () => {
+      await CollectionService.notesOf(collection(), null);
+      const [anonymous] = find.mock.calls[0].arguments;
+      assert.deepEqual(anonymous.visibility, { $ne: 'private' });
+      assert.deepEqual(anonymous.hidden, { $ne: true });
+
+      await CollectionService.notesOf(collection(), OWNER);
+      const [signedIn] = find.mock.calls[1].arguments;
+      assert.deepEqual(signedIn.$or, [{ visibility: { $ne: 'private' }, hidden: { $ne: true } }, { uploader: OWNER.id }]);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const { test, describe, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The connections are never opened (see db.js); the user store is replaced below
+const { userDB } = require('../db');
+const DigestService = require('../services/digestService');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+const OTHER_ID = '507f1f77bcf86cd799439012';
+
+describe('DigestService unsubscribe links', () => {
+  const updateOne = mock.method(userDB.model('UserLogin'), 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  after(() => mock.restoreAll());
+
+  test('a token made for a user turns their digest off', async () => {
+    updateOne.mock.resetCalls();
+    assert.equal(await DigestService.unsubscribe(DigestService.unsubscribeToken(USER_ID)), true);
+    assert.equal(updateOne.mock.callCount(), 1);
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.equal(String(filter._id), USER_ID);
+    assert.equal(update.$set['digest.frequency'], 'off');
+  });
+
+  test('tokens are bound to their user', () => {
+    const [id, signature] = DigestService.unsubscribeToken(USER_ID).split('.');
+    assert.equal(id, USER_ID);
+    assert.notEqual(signature, DigestService.unsubscribeToken(OTHER_ID).split('.')[1]);
+  });
+
+  test('a signature moved to another user is refused', async () => {
+    updateOne.mock.resetCalls();
+    const signature = DigestService.unsubscribeToken(USER_ID).split('.')[1];
+    assert.equal(await DigestService.unsubscribe(`${OTHER_ID}.${signature}`), false);
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  test('tampered, truncated and malformed tokens are refused', async () => {
+    updateOne.mock.resetCalls();
+    const token = DigestService.unsubscribeToken(USER_ID);
+    const last = token.slice(-1) === 'A' ? 'B' : 'A';
+    for (const bad of [
+      `${token.slice(0, -1)}${last}`,
+      token.slice(0, -4),
+      `${token}x`,
+      USER_ID,
+      `${USER_ID}.`,
+      `.${token.split('.')[1]}`,
+      `not-an-id.${token.split('.')[1]}`,
+      '',
+      null,
+      undefined,
+    ]) {
+      assert.equal(await DigestService.unsubscribe(bad), false, `accepted ${bad}`);
+    }
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,57 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeable, groupCopies } = require('../utils/duplicates');
+
+const ALICE = '507f1f77bcf86cd799439011';
+const BOB = '507f1f77bcf86cd799439012';
+
+let nextId = 0;
+const note = (uploader, fields = {}) => ({ _id: `note-${++nextId}`, uploader, ...fields });
+const ids = (notes) => notes.map(n => n._id);
+
+describe('mergeable', () => {
+  test('listed copies merge whoever uploaded them', () => {
+    assert.equal(mergeable(note(ALICE), note(BOB, { visibility: 'public' })), true);
+  });
+
+  test('unlisted, private and hidden copies never merge across uploaders', () => {
+    for (const fields of [{ visibility: 'unlisted' }, { visibility: 'private' }, { hidden: true }]) {
+      assert.equal(mergeable(note(ALICE, fields), note(BOB, fields)), false);
+      assert.equal(mergeable(note(ALICE), note(BOB, fields)), false);
+      assert.equal(mergeable(note(ALICE, fields), note(BOB)), false);
+    }
+  });
+
+  test("an uploader's copies merge only with the same visibility", () => {
+    assert.equal(mergeable(note(ALICE, { visibility: 'private' }), note(ALICE, { visibility: 'private' })), true);
+    assert.equal(mergeable(note(ALICE, { visibility: 'private' }), note(ALICE, { visibility: 'unlisted' })), false);
+    assert.equal(mergeable(note(ALICE), note(ALICE, { visibility: 'private' })), false);
+    assert.equal(mergeable(note(ALICE), note(ALICE, { hidden: true })), false);
+  });
+});
+
+describe('groupCopies', () => {
+  test('keeps the oldest listed copy and merges the other listed ones into it', () => {
+    const notes = [note(ALICE), note(BOB), note(ALICE, { visibility: 'public' })];
+    const groups = groupCopies(notes);
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].keep, notes[0]);
+    assert.deepEqual(ids(groups[0].duplicates), ids(notes.slice(1)));
+  });
+
+  test('leaves copies that fit no kept note on their own', () => {
+    const publicCopy = note(ALICE);
+    const privateCopy = note(BOB, { visibility: 'private' });
+    const secondPrivateCopy = note(BOB, { visibility: 'private' });
+    const hiddenCopy = note(ALICE, { hidden: true });
+    const laterPublicCopy = note(BOB);
+    const groups = groupCopies([privateCopy, publicCopy, secondPrivateCopy, hiddenCopy, laterPublicCopy]);
+    assert.deepEqual(groups.map(g => g.keep), [privateCopy, publicCopy, hiddenCopy]);
+    assert.deepEqual(groups.map(g => ids(g.duplicates)), [[secondPrivateCopy._id], [laterPublicCopy._id], []]);
+  });
+
+  test('a single copy stays as it is', () => {
+    const only = note(ALICE);
+    assert.deepEqual(groupCopies([only]), [{ keep: only, duplicates: [] }]);
+  });
+});
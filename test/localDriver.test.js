@@ -0,0 +1,66 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+// The driver reads LOCAL_STORAGE_DIR when it is loaded, so point it at a scratch folder first
+const ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudnotes-storage-'));
+process.env.LOCAL_STORAGE_DIR = ROOT;
+const LocalStorage = require('../services/storage/localDriver');
+
+const PDF = Buffer.from('%PDF-1.4\n% test file\n%%EOF\n');
+
+async function read(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+describe('LocalStorage', () => {
+  let stored;
+  before(async () => {
+    stored = await LocalStorage.upload(PDF, { publicId: 'Week 3: Graphs' });
+  });
+
+  after(() => fs.rmSync(ROOT, { recursive: true, force: true }));
+
+  test('stores uploads under the folder with a safe name', () => {
+    assert.equal(stored.fileUrl, '/files/pdf_uploads/Week_3_Graphs.pdf');
+    assert.equal(stored.publicId, 'pdf_uploads/Week_3_Graphs');
+    assert.equal(stored.bytes, PDF.length);
+    assert.deepEqual(fs.readFileSync(path.join(ROOT, 'pdf_uploads', 'Week_3_Graphs.pdf')), PDF);
+  });
+
+  test('never overwrites a stored file with the same name', async () => {
+    const again = await LocalStorage.upload(Readable.from([PDF]), { publicId: 'Week 3: Graphs' });
+    assert.notEqual(again.fileUrl, stored.fileUrl);
+    assert.deepEqual(await read((await LocalStorage.openReadStream(again.fileUrl)).stream), PDF);
+  });
+
+  test('maps URLs back to files inside the storage folder only', () => {
+    assert.equal(LocalStorage.pathFromUrl(stored.fileUrl), path.join(ROOT, 'pdf_uploads', 'Week_3_Graphs.pdf'));
+    assert.equal(LocalStorage.publicIdFromUrl(stored.fileUrl), stored.publicId);
+    for (const url of ['/files/../package.json', '/files/%2e%2e/package.json', '/uploads/pdf_uploads/a.pdf', null]) {
+      assert.equal(LocalStorage.pathFromUrl(url), null, url);
+    }
+  });
+
+  test('streams whole files and byte ranges', async () => {
+    const whole = await LocalStorage.openReadStream(stored.fileUrl);
+    assert.equal(whole.status, 200);
+    assert.equal(whole.headers.contentLength, String(PDF.length));
+    assert.deepEqual(await read(whole.stream), PDF);
+
+    const part = await LocalStorage.openReadStream(stored.fileUrl, { range: 'bytes=1-4' });
+    assert.equal(part.status, 206);
+    assert.equal(part.headers.contentRange, `bytes 1-4/${PDF.length}`);
+    assert.equal((await read(part.stream)).toString(), 'PDF-');
+  });
+
+  test('answers 404 for missing or outside files', async () => {
+    await assert.rejects(LocalStorage.openReadStream('/files/pdf_uploads/missing.pdf'), { status: 404 });
+    await assert.rejects(LocalStorage.openReadStream('/files/../server.js'), { status: 404 });
+  });
+});
@@ -0,0 +1,36 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { metadataFromBody } = require('../utils/noteMetadata');
+
+const CURRENT = ['subject:physics', 'course:phy-101', 'exam:final', 'handwritten'];
+
+describe('metadataFromBody tags', () => {
+  test('a subject alone replaces only the subject tag', () => {
+    const { tags } = metadataFromBody({ subject: 'Quantum Mechanics' }, CURRENT);
+    assert.deepEqual([...tags].sort(), ['course:phy-101', 'exam:final', 'handwritten', 'subject:quantum-mechanics']);
+  });
+
+  test('a course code or exam type alone keeps the other tags', () => {
+    assert.deepEqual(
+      [...metadataFromBody({ courseCode: 'PHY 202' }, CURRENT).tags].sort(),
+      ['course:phy-202', 'exam:final', 'handwritten', 'subject:physics']
+    );
+    assert.deepEqual(
+      [...metadataFromBody({ examType: 'midterm', subject: 'Physics' }, CURRENT).tags].sort(),
+      ['course:phy-101', 'exam:midterm', 'handwritten', 'subject:physics']
+    );
+  });
+
+  test('an empty structured field removes that tag only', () => {
+    assert.deepEqual([...metadataFromBody({ examType: '' }, CURRENT).tags].sort(), ['course:phy-101', 'handwritten', 'subject:physics']);
+  });
+
+  test('tags replace every tag', () => {
+    assert.deepEqual(metadataFromBody({ tags: 'solutions', subject: 'chemistry' }, CURRENT).tags, ['solutions', 'subject:chemistry']);
+    assert.deepEqual(metadataFromBody({ tags: [] }, CURRENT).tags, []);
+  });
+
+  test('other fields leave the tags alone', () => {
+    assert.deepEqual(metadataFromBody({ title: 'Renamed' }, CURRENT), { title: 'Renamed' });
+  });
+});
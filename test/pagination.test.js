@@ -0,0 +1,107 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { Types } = require('mongoose');
+const { SORTS, encodeCursor, decodeCursor, pageQuery, periodQuery, parseSort, parseLimit, MAX_LIMIT } = require('../utils/pagination');
+
+const ID = '64b000000000000000000001';
+const UPLOADED = new Date('2024-03-01T10:00:00Z');
+const note = { _id: new Types.ObjectId(ID), uploadedAt: UPLOADED, title: 'Graphs', viewCount: 12, rank: 2841.5 };
+const forged = (parts) => Buffer.from(JSON.stringify(parts)).toString('base64url');
+
+describe('cursors', () => {
+  test('round-trip the sort value and _id of each sort', () => {
+    assert.deepEqual(decodeCursor(encodeCursor(note, 'newest'), 'newest'), { value: UPLOADED, id: note._id });
+    assert.deepEqual(decodeCursor(encodeCursor(note, 'title'), 'title'), { value: 'Graphs', id: note._id });
+    assert.deepEqual(decodeCursor(encodeCursor(note, 'views'), 'views'), { value: 12, id: note._id });
+    assert.deepEqual(decodeCursor(encodeCursor(note, 'top'), 'top'), { value: 2841.5, id: note._id });
+  });
+
+  test('keep a missing sort value as null', () => {
+    const legacy = { _id: note._id };
+    assert.deepEqual(decodeCursor(encodeCursor(legacy, 'downloads'), 'downloads'), { value: null, id: note._id });
+  });
+
+  test('only continue the sort they were made for', () => {
+    assert.throws(() => decodeCursor(encodeCursor(note, 'newest'), 'oldest'), { status: 400, code: 'bad_cursor' });
+  });
+
+  test('refuse garbage and tampered values', () => {
+    for (const [sort, cursor] of [
+      ['newest', 'not base64 json'],
+      ['newest', forged({ sort: 'newest' })],
+      ['newest', forged(['newest', UPLOADED.toISOString()])],
+      ['newest', forged(['newest', 'yesterday', ID])],
+      ['newest', forged(['newest', 12, ID])],
+      ['views', forged(['views', '12', ID])],
+      ['views', forged(['views', 12, 'not-an-id'])],
+      ['views', forged(['views', 12, { $gt: '' }])],
+      ['title', forged(['title', { $ne: null }, ID])],
+    ]) {
+      assert.throws(() => decodeCursor(cursor, sort), { status: 400, code: 'bad_cursor' }, cursor);
+    }
+  });
+});
+
+describe('pageQuery', () => {
+  test('sorts on the field, then _id, without a cursor', () => {
+    assert.deepEqual(pageQuery({ hidden: false }), {
+      filter: { hidden: false },
+      sort: { uploadedAt: -1, _id: -1 },
+      collation: undefined,
+    });
+    assert.deepEqual(pageQuery({}, { sort: 'title' }).collation, SORTS.title.collation);
+  });
+
+  test('continues after the cursor when sorting down, with missing values last', () => {
+    const { filter } = pageQuery({}, { sort: 'views', cursor: encodeCursor(note, 'views') });
+    assert.deepEqual(filter, {
+      $or: [
+        { viewCount: { $lt: 12 } },
+        { viewCount: 12, _id: { $lt: note._id } },
+        { viewCount: null },
+      ],
+    });
+  });
+
+  test('continues after the cursor when sorting up, combined with the listing filter', () => {
+    const { filter } = pageQuery({ visibility: 'public' }, { sort: 'oldest', cursor: encodeCursor(note, 'oldest') });
+    assert.deepEqual(filter, {
+      $and: [
+        { visibility: 'public' },
+        { $or: [{ uploadedAt: { $gt: UPLOADED } }, { uploadedAt: UPLOADED, _id: { $gt: note._id } }] },
+      ],
+    });
+  });
+
+  test('after a missing value, only ties remain going down and every value going up', () => {
+    const legacy = { _id: note._id };
+    assert.deepEqual(pageQuery({}, { sort: 'views', cursor: encodeCursor(legacy, 'views') }).filter, {
+      viewCount: null,
+      _id: { $lt: note._id },
+    });
+    assert.deepEqual(pageQuery({}, { sort: 'oldest', cursor: encodeCursor(legacy, 'oldest') }).filter, {
+      $or: [{ uploadedAt: null, _id: { $gt: note._id } }, { uploadedAt: { $ne: null } }],
+    });
+  });
+});
+
+describe('sort options', () => {
+  test('unknown sorts fall back to newest and limits are clamped', () => {
+    assert.equal(parseSort('views'), 'views');
+    assert.equal(parseSort('__proto__'), 'newest');
+    assert.equal(parseLimit('5'), 5);
+    assert.equal(parseLimit('0'), 20);
+    assert.equal(parseLimit('-3'), 1);
+    assert.equal(parseLimit(String(MAX_LIMIT * 10)), MAX_LIMIT);
+  });
+
+  test('the top sort of a period ranks that period by rank, all time by score', () => {
+    const week = periodQuery('top', 'week');
+    assert.ok(week.filter.uploadedAt.$gte instanceof Date);
+    assert.equal(week.sorts.top.field, 'rank');
+    const all = periodQuery('top', 'all');
+    assert.deepEqual(all.filter, {});
+    assert.equal(all.sorts.top.field, 'score');
+    assert.deepEqual(periodQuery('newest', 'week'), { filter: {}, sorts: SORTS });
+  });
+});
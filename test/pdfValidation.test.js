@@ -0,0 +1,133 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+// The default policy: scripts and launch actions are stripped
+delete process.env.PDF_ACTIVE_CONTENT;
+const { validatePdfFile } = require('../utils/pdfValidation');
+
+const PAGE_TREE = [
+  '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+  '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >>',
+];
+
+// A small but well-formed PDF (valid xref offsets, so poppler reads it too) with
+// `catalog` as object 1, the one-page tree as objects 2 and 3, and `extra` after them
+function buildPdf({ catalog = '<< /Type /Catalog /Pages 2 0 R >>', extra = [], trailer = '' } = {}) {
+  const objects = [catalog, ...PAGE_TREE, ...extra];
+  let body = '%PDF-1.7\n';
+  const offsets = objects.map((object, i) => {
+    const offset = body.length;
+    body += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = body.length;
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R ${trailer}>>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(body, 'latin1');
+}
+
+// A compressed object stream holding `content`
+function objectStream(content) {
+  const data = zlib.deflateSync(Buffer.from(content, 'latin1')).toString('latin1');
+  return `<< /Type /ObjStm /N 1 /First 4 /Filter /FlateDecode /Length ${data.length} >>\nstream\n${data}\nendstream`;
+}
+
+let dir;
+let count = 0;
+async function write(bytes) {
+  const file = path.join(dir, `${++count}.pdf`);
+  await fs.promises.writeFile(file, bytes);
+  return file;
+}
+
+describe('validatePdfFile', () => {
+  before(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cloudnotes-pdf-'));
+  });
+
+  after(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  test('accepts a plain PDF and counts its pages', async () => {
+    const result = await validatePdfFile(await write(buildPdf()));
+    assert.deepEqual(result, { pageCount: 1, activeContent: [], sanitized: false, flagged: false });
+  });
+
+  test('refuses files that are not PDFs', async () => {
+    await assert.rejects(validatePdfFile(await write('hello, this is plain text')), { code: 'not_pdf', status: 422 });
+    await assert.rejects(validatePdfFile(await write('%PDF')), { code: 'not_pdf' });
+    // The header has to be within the first kilobyte
+    await assert.rejects(validatePdfFile(await write(Buffer.concat([Buffer.alloc(1100, ' '), buildPdf()]))), { code: 'not_pdf' });
+  });
+
+  test('refuses truncated PDFs', async () => {
+    const pdf = buildPdf();
+    await assert.rejects(validatePdfFile(await write(pdf.subarray(0, pdf.length - 40))), { code: 'corrupt' });
+  });
+
+  test('refuses encrypted PDFs', async () => {
+    const pdf = buildPdf({ extra: ['<< /Filter /Standard /V 2 /R 3 /O (x) /U (y) /P -4 >>'], trailer: '/Encrypt 4 0 R ' });
+    await assert.rejects(validatePdfFile(await write(pdf)), { code: 'encrypted' });
+  });
+
+  test('strips scripts in place, keeping the file size and xref offsets', async () => {
+    const pdf = buildPdf({
+      catalog: '<< /Type /Catalog /Pages 2 0 R /OpenAction 4 0 R >>',
+      extra: ['<< /S /JavaScript /JS (app.alert\\(1\\)) >>'],
+    });
+    const file = await write(pdf);
+    const result = await validatePdfFile(file);
+    assert.equal(result.sanitized, true);
+    assert.equal(result.flagged, false);
+    assert.deepEqual([...result.activeContent].sort(), ['JS', 'JavaScript', 'OpenAction']);
+
+    const stored = (await fs.promises.readFile(file)).toString('latin1');
+    assert.equal(stored.length, pdf.length);
+    assert.doesNotMatch(stored, /\/(JavaScript|JS|OpenAction)\b/);
+    assert.match(stored, /startxref/);
+  });
+
+  test('finds launch actions hidden behind #xx name escapes', async () => {
+    const pdf = buildPdf({
+      catalog: '<< /Type /Catalog /Pages 2 0 R /O#70enAction 4 0 R >>',
+      extra: ['<< /S /L#61unch /F (calc.exe) >>'],
+    });
+    const file = await write(pdf);
+    const result = await validatePdfFile(file);
+    assert.ok(result.activeContent.includes('Launch'));
+    assert.equal(result.sanitized, true);
+    assert.doesNotMatch((await fs.promises.readFile(file)).toString('latin1'), /L#61unch|O#70enAction/);
+  });
+
+  test('only flags scripts in files that cannot be rewritten', async () => {
+    const pdf = buildPdf({
+      catalog: '<< /Type /Catalog /Pages 2 0 R /OpenAction 4 0 R >>',
+      extra: ['<< /S /JavaScript /JS (app.alert\\(1\\)) >>'],
+    });
+    const file = await write(pdf);
+    const result = await validatePdfFile(file, { strip: false });
+    assert.equal(result.sanitized, false);
+    assert.equal(result.flagged, true);
+    assert.deepEqual(await fs.promises.readFile(file), pdf);
+  });
+
+  test('flags scripts inside compressed object streams, which cannot be stripped', async () => {
+    const pdf = buildPdf({ extra: [objectStream('5 0 << /S /JavaScript /JS (app.alert\\(1\\)) >>')] });
+    const result = await validatePdfFile(await write(pdf));
+    assert.ok(result.activeContent.includes('JavaScript'));
+    assert.equal(result.flagged, true);
+  });
+
+  test('ignores names inside binary stream data', async () => {
+    const content = '/JavaScript /Launch /Encrypt';
+    const pdf = buildPdf({ extra: [`<< /Length ${content.length} >>\nstream\n${content}\nendstream`] });
+    const result = await validatePdfFile(await write(pdf));
+    assert.deepEqual(result.activeContent, []);
+  });
+});
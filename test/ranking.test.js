@@ -0,0 +1,35 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { rankFor, TENFOLD_SECONDS } = require('../utils/ranking');
+
+const NOW = new Date('2024-03-01T10:00:00Z');
+const daysBefore = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000);
+
+describe('rankFor', () => {
+  test('a newer note ranks above an older one with the same score', () => {
+    assert.ok(rankFor(5, NOW) > rankFor(5, daysBefore(1)));
+    assert.ok(rankFor(0, NOW) > rankFor(0, daysBefore(1)));
+  });
+
+  test('ten times the net votes make up for a week of age', () => {
+    const weekOld = rankFor(100, daysBefore(7));
+    assert.ok(Math.abs(weekOld - rankFor(10, NOW)) < 1e-9);
+    assert.equal(TENFOLD_SECONDS, 7 * 24 * 60 * 60);
+  });
+
+  test('scores of -1, 0 and 1 only differ by the upload time', () => {
+    assert.equal(rankFor(1, NOW), rankFor(0, NOW));
+    assert.equal(rankFor(-1, NOW), rankFor(0, NOW));
+  });
+
+  test('net downvotes rank below zero by the same scale', () => {
+    const base = rankFor(0, NOW);
+    assert.ok(Math.abs(base - rankFor(-100, NOW) - 2) < 1e-9);
+    assert.ok(Math.abs(rankFor(100, NOW) - base - 2) < 1e-9);
+  });
+
+  test('accepts upload dates as strings or timestamps', () => {
+    assert.equal(rankFor(3, NOW.toISOString()), rankFor(3, NOW));
+    assert.equal(rankFor(3, NOW.getTime()), rankFor(3, NOW));
+  });
+});
@@ -0,0 +1,120 @@
+const { test, describe, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The connections are never opened (see db.js); the link store is replaced below
+const { pdfDB } = require('../db');
+const ShareService = require('../services/shareService');
+
+const LINK_ID = '64d000000000000000000001';
+const OTHER_ID = '64d000000000000000000002';
+const DAY = 24 * 60 * 60 * 1000;
+
+const link = (fields = {}) => ({
+  _id: LINK_ID,
+  revokedAt: null,
+  expiresAt: null,
+  maxDownloads: null,
+  downloadCount: 0,
+  ...fields,
+});
+
+describe('ShareService', () => {
+  const ShareLink = pdfDB.model('ShareLink');
+  let stored;
+  let findById;
+  let create;
+  beforeEach(() => {
+    mock.restoreAll();
+    stored = link();
+    findById = mock.method(ShareLink, 'findById', async (id) => (String(id) === String(stored._id) ? stored : null));
+    create = mock.method(ShareLink, 'create', async (doc) => ({ _id: LINK_ID, ...doc }));
+  });
+
+  after(() => mock.restoreAll());
+
+  describe('tokens', () => {
+    test('a token opens the link it was made for', async () => {
+      const token = ShareService.tokenFor(stored);
+      assert.equal(token.split('.')[0], LINK_ID);
+      assert.equal(ShareService.pathFor(stored), `/s/${token}`);
+      assert.equal(await ShareService.resolve(token), stored);
+    });
+
+    test('forged, altered and malformed tokens are not found without a lookup', async () => {
+      const token = ShareService.tokenFor(stored);
+      const signature = token.split('.')[1];
+      const last = token.slice(-1) === 'A' ? 'B' : 'A';
+      for (const bad of [
+        `${token.slice(0, -1)}${last}`,
+        `${token}x`,
+        token.slice(0, -3),
+        `${OTHER_ID}.${signature}`,
+        LINK_ID,
+        `${LINK_ID}.`,
+        `not-an-id.${signature}`,
+        '',
+        undefined,
+      ]) {
+        await assert.rejects(ShareService.resolve(bad), { status: 404, code: 'not_found' }, `accepted ${bad}`);
+      }
+      assert.equal(findById.mock.callCount(), 0);
+    });
+
+    test('a valid token for a deleted link is not found', async () => {
+      const token = ShareService.tokenFor({ _id: OTHER_ID });
+      await assert.rejects(ShareService.resolve(token), { status: 404, code: 'not_found' });
+    });
+  });
+
+  describe('resolve', () => {
+    const token = () => ShareService.tokenFor(stored);
+
+    test('refuses revoked links', async () => {
+      stored = link({ revokedAt: new Date() });
+      await assert.rejects(ShareService.resolve(token()), { status: 410, code: 'revoked' });
+    });
+
+    test('refuses links past their expiry, and only those', async () => {
+      stored = link({ expiresAt: new Date(Date.now() - 1000) });
+      await assert.rejects(ShareService.resolve(token()), { status: 410, code: 'expired' });
+      stored = link({ expiresAt: new Date(Date.now() + DAY) });
+      assert.equal(await ShareService.resolve(token()), stored);
+    });
+
+    test('refuses links that used up their downloads', async () => {
+      stored = link({ maxDownloads: 3, downloadCount: 3 });
+      await assert.rejects(ShareService.resolve(token()), { status: 410, code: 'used_up' });
+      stored = link({ maxDownloads: 3, downloadCount: 2 });
+      assert.equal(await ShareService.resolve(token()), stored);
+    });
+  });
+
+  describe('create', () => {
+    const note = { _id: '64b000000000000000000001' };
+    const owner = { id: '507f1f77bcf86cd799439011' };
+
+    test('sets the expiry that many days ahead', async () => {
+      const before = Date.now();
+      const created = await ShareService.create(note, owner, { expiresInDays: '7', maxDownloads: 5 });
+      const expires = created.expiresAt.getTime();
+      assert.ok(expires >= before + 7 * DAY && expires <= Date.now() + 7 * DAY);
+      assert.equal(created.maxDownloads, 5);
+    });
+
+    test('lasts until revoked without limits', async () => {
+      const created = await ShareService.create(note, owner, { expiresInDays: '', maxDownloads: null });
+      assert.equal(created.expiresAt, null);
+      assert.equal(created.maxDownloads, null);
+    });
+
+    test('refuses out-of-range limits', async () => {
+      for (const expiresInDays of [0, 366, 1.5, 'soon', -1]) {
+        await assert.rejects(ShareService.create(note, owner, { expiresInDays }), { status: 400, code: 'invalid_expiry' });
+      }
+      for (const maxDownloads of [0, 10001, 2.5]) {
+        await assert.rejects(ShareService.create(note, owner, { maxDownloads }), { status: 400, code: 'invalid_max_downloads' });
+      }
+      assert.equal(create.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { isListed, listedQuery, viewableQuery, curatedQuery } = require('../utils/visibility');
+
+const USER = { id: '507f1f77bcf86cd799439011' };
+
+describe('isListed', () => {
+  test('lists public notes and notes from before visibility existed', () => {
+    assert.equal(isListed({ visibility: 'public' }), true);
+    assert.equal(isListed({}), true);
+  });
+
+  test('never lists unlisted, private or hidden notes', () => {
+    assert.equal(isListed({ visibility: 'unlisted' }), false);
+    assert.equal(isListed({ visibility: 'private' }), false);
+    assert.equal(isListed({ visibility: 'public', hidden: true }), false);
+  });
+});
+
+describe('queries', () => {
+  test('listedQuery matches what isListed accepts', () => {
+    assert.deepEqual(listedQuery(), { visibility: { $nin: ['unlisted', 'private'] }, hidden: { $ne: true } });
+  });
+
+  test('listedQuery gives a fresh filter each time', () => {
+    const filter = listedQuery();
+    filter.visibility.$nin.push('public');
+    assert.deepEqual(listedQuery().visibility, { $nin: ['unlisted', 'private'] });
+  });
+
+  test('viewableQuery keeps private notes for their owner only', () => {
+    assert.deepEqual(viewableQuery(null), { visibility: { $ne: 'private' } });
+    assert.deepEqual(viewableQuery(USER), { $or: [{ visibility: { $ne: 'private' } }, { uploader: USER.id }] });
+  });
+
+  test('curatedQuery also leaves out hidden notes, except the user\'s own', () => {
+    const shown = { visibility: { $ne: 'private' }, hidden: { $ne: true } };
+    assert.deepEqual(curatedQuery(undefined), shown);
+    assert.deepEqual(curatedQuery(USER), { $or: [shown, { uploader: USER.id }] });
+  });
+});
@@ -0,0 +1,114 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { isZipFile, listZipEntries, extractZipEntry, ZipWriter } = require('../utils/zip');
+
+const FILES = {
+  'notes.txt': 'Lecture notes\n'.repeat(100),
+  'week 1/slides.pdf': Buffer.from('%PDF-1.4 not really a PDF, but bytes all the same'),
+  'übung/blatt-1.txt': 'ümlauts survive',
+  'empty.txt': '',
+};
+
+let dir;
+let zipPath;
+
+// Write FILES into an archive with ZipWriter, the last one from a stream
+async function writeArchive(target) {
+  const zip = new ZipWriter();
+  const done = pipeline(zip.stream, fs.createWriteStream(target));
+  const names = Object.keys(FILES);
+  for (const name of names.slice(0, -1)) await zip.addEntry(name, FILES[name]);
+  const last = names[names.length - 1];
+  await zip.addEntry(last, Readable.from([Buffer.from(FILES[last])]));
+  await zip.finish();
+  await done;
+}
+
+describe('ZIP archives', () => {
+  before(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cloudnotes-zip-'));
+    zipPath = path.join(dir, 'archive.zip');
+    await writeArchive(zipPath);
+  });
+
+  after(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  test('the writer\'s archives are recognized as ZIP files', async () => {
+    assert.equal(await isZipFile(zipPath), true);
+    const other = path.join(dir, 'plain.txt');
+    await fs.promises.writeFile(other, 'just text');
+    assert.equal(await isZipFile(other), false);
+  });
+
+  test('every entry is listed with its name and size', async () => {
+    const entries = await listZipEntries(zipPath);
+    assert.deepEqual(entries.map(e => e.name), Object.keys(FILES));
+    for (const entry of entries) {
+      assert.equal(entry.size, Buffer.byteLength(FILES[entry.name]), entry.name);
+      assert.equal(entry.encrypted, false);
+      assert.equal(entry.directory, false);
+    }
+  });
+
+  test('entries extract to the bytes that went in', async () => {
+    for (const entry of await listZipEntries(zipPath)) {
+      const out = path.join(dir, 'out.bin');
+      await extractZipEntry(zipPath, entry, out);
+      assert.deepEqual(await fs.promises.readFile(out), Buffer.from(FILES[entry.name]), entry.name);
+    }
+  });
+
+  test('entries larger than the limit are refused', async () => {
+    const [entry] = await listZipEntries(zipPath);
+    await assert.rejects(
+      extractZipEntry(zipPath, entry, path.join(dir, 'big.bin'), { maxBytes: 100 }),
+      { code: 'too_large', status: 413 }
+    );
+  });
+
+  test('the limit holds when the archive understates an entry\'s size', async () => {
+    const [entry] = await listZipEntries(zipPath);
+    await assert.rejects(
+      extractZipEntry(zipPath, { ...entry, size: 10 }, path.join(dir, 'bomb.bin'), { maxBytes: 100 }),
+      { code: 'too_large', status: 413 }
+    );
+  });
+
+  test('encrypted entries and unknown compression methods are refused', async () => {
+    const [entry] = await listZipEntries(zipPath);
+    await assert.rejects(
+      extractZipEntry(zipPath, { ...entry, encrypted: true }, path.join(dir, 'x.bin')),
+      { code: 'encrypted' }
+    );
+    await assert.rejects(
+      extractZipEntry(zipPath, { ...entry, method: 12 }, path.join(dir, 'x.bin')),
+      { code: 'unsupported_zip' }
+    );
+  });
+
+  test('damaged archives are refused', async () => {
+    const bytes = await fs.promises.readFile(zipPath);
+    const truncated = path.join(dir, 'truncated.zip');
+    await fs.promises.writeFile(truncated, bytes.subarray(0, bytes.length - 30));
+    await assert.rejects(listZipEntries(truncated), { code: 'bad_zip' });
+
+    const garbage = path.join(dir, 'garbage.zip');
+    await fs.promises.writeFile(garbage, Buffer.alloc(200, 7));
+    await assert.rejects(listZipEntries(garbage), { code: 'bad_zip' });
+  });
+
+  test('an entry pointing at something other than a local header is refused', async () => {
+    const [first, second] = await listZipEntries(zipPath);
+    await assert.rejects(
+      extractZipEntry(zipPath, { ...second, offset: first.offset + 1 }, path.join(dir, 'x.bin')),
+      { code: 'bad_zip' }
+    );
+  });
+});
@@ -0,0 +1,50 @@
+const { cleanLine, cleanText, MAX_DESCRIPTION_LENGTH } = require('./noteMetadata');
+const { VISIBILITIES, isVisibility } = require('./visibility');
+
+// Editable collection fields (POST / PATCH /api/collections). The notes in a collection
+// and their order are changed through /api/collections/:id/notes instead.
+const MAX_TITLE_LENGTH = exports.MAX_TITLE_LENGTH = 120;
+
+function metadataError(message, code) {
+  return Object.assign(new Error(message), { status: 400, code });
+}
+
+// { title?, description?, visibility? } from a request body. A new collection needs a
+// title; an update needs at least one field.
+exports.collectionFromBody = (body = {}, { create = false } = {}) => {
+  const has = (field) => Object.prototype.hasOwnProperty.call(body, field);
+  const fields = {};
+
+  if (has('title') || create) {
+    if (typeof body.title !== 'string') throw metadataError('Title must be text', 'invalid_title');
+    const title = cleanLine(body.title);
+    if (!title) throw metadataError('Title cannot be empty', 'invalid_title');
+    if (title.length > MAX_TITLE_LENGTH) {
+      throw metadataError(`Title is too long (max ${MAX_TITLE_LENGTH} characters)`, 'invalid_title');
+    }
+    fields.title = title;
+  }
+
+  if (has('description')) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      throw metadataError('Description must be text', 'invalid_description');
+    }
+    const description = cleanText(body.description || '');
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      throw metadataError(`Description is too long (max ${MAX_DESCRIPTION_LENGTH} characters)`, 'invalid_description');
+    }
+    fields.description = description;
+  }
+
+  if (has('visibility')) {
+    if (!isVisibility(body.visibility)) {
+      throw metadataError(`Visibility must be one of ${VISIBILITIES.join(', ')}`, 'invalid_visibility');
+    }
+    fields.visibility = body.visibility;
+  }
+
+  if (!create && !Object.keys(fields).length) {
+    throw metadataError('Nothing to update (expected title, description or visibility)', 'no_changes');
+  }
+  return fields;
+};
@@ -0,0 +1,24 @@
+const { cleanText } = require('./noteMetadata');
+
+// Comment bodies (POST / PATCH /api/notes/:id/comments). They are stored and served as
+// plain text: clients put them in the page as text, never as HTML.
+const MAX_COMMENT_LENGTH = exports.MAX_COMMENT_LENGTH = 5000;
+
+function commentError(message, code) {
+  return Object.assign(new Error(message), { status: 400, code });
+}
+
+// The body of a comment from a request body. Besides control characters, invisible
+// direction overrides are dropped (they can make text read differently than it is
+// stored), and runs of blank lines are collapsed.
+exports.commentBodyFrom = (body = {}) => {
+  if (typeof body.body !== 'string') throw commentError('Comment must be text', 'invalid_body');
+  const text = cleanText(body.body)
+    .replace(/[\u200e\u200f\u202a-\u202e\u2066-\u2069]+/g, '')
+    .replace(/\n{3,}/g, '\n\n');
+  if (!text) throw commentError('Comment cannot be empty', 'invalid_body');
+  if (text.length > MAX_COMMENT_LENGTH) {
+    throw commentError(`Comment is too long (max ${MAX_COMMENT_LENGTH} characters)`, 'invalid_body');
+  }
+  return text;
+};
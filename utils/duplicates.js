@@ -0,0 +1,28 @@
+const { isListed } = require('./visibility');
+
+// Merging folds one note into the other, so both must be seen by the same people
+function sameAudience(a, b) {
+  return (a.visibility || 'public') === (b.visibility || 'public') && Boolean(a.hidden) === Boolean(b.hidden);
+}
+
+exports.describeAudience = (note) => `${note.visibility || 'public'}${note.hidden ? ' (hidden)' : ''}`;
+
+// Whether `duplicate` may be merged into `keep`: listed copies whoever uploaded them,
+// other copies only into the same uploader's note with the same visibility
+const mergeable = exports.mergeable = (keep, duplicate) => {
+  if (isListed(keep) && isListed(duplicate)) return true;
+  return String(keep.uploader) === String(duplicate.uploader) && sameAudience(keep, duplicate);
+};
+
+// Split notes holding the same file (oldest first) into the copies that stay, each with
+// the duplicates to merge into it: [{ keep, duplicates }]. The oldest copy of each
+// audience stays; copies that fit none of them stay on their own.
+exports.groupCopies = (notes) => {
+  const groups = [];
+  for (const note of notes) {
+    const group = groups.find(g => mergeable(g.keep, note));
+    if (group) group.duplicates.push(note);
+    else groups.push({ keep: note, duplicates: [] });
+  }
+  return groups;
+};
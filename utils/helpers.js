@@ -5,11 +5,48 @@ exports.isValidObjectId = (id) => {
   return Types.ObjectId.isValid(id);
 };
 
-// Format API response in a consistent way
-exports.apiResponse = (res, { success = true, data = null, message = '', status = 200 }) => {
-  return res.status(status).json({ success, data, message });
+// Format API response in a consistent way. Paginated listings also pass `nextCursor`
+// (null on the last page); it is left out everywhere else.
+exports.apiResponse = (res, { success = true, data = null, message = '', status = 200, nextCursor }) => {
+  return res.status(status).json({ success, data, message, nextCursor });
 };
 
+// Send an error that carries an HTTP `status` and, optionally, a machine-readable
+// `code` the client can branch on (e.g. PDF validation failures) plus extra `data`
+exports.apiError = (res, err) => {
+  return exports.apiResponse(res, {
+    success: false,
+    status: err.status || 500,
+    message: err.message,
+    data: err.code ? { code: err.code, ...(err.data || {}) } : null,
+  });
+};
+
+// File name derived from a note title: no path separators, quotes or control
+// characters, and never empty
+exports.safeFilename = (title, ext = 'pdf') => {
+  const base = String(title || '')
+    .normalize('NFKC')
+    .replace(/[\u0000-\u001f\u007f"*/:<>?\\|]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .slice(0, 120)
+    .trim();
+  const name = base || 'document';
+  return ext && !name.toLowerCase().endsWith(`.${ext}`) ? `${name}.${ext}` : name;
+};
+
+// Content-Disposition value with an ASCII fallback and the UTF-8 name (RFC 6266)
+exports.contentDisposition = (title, { type = 'inline', ext = 'pdf' } = {}) => {
+  const name = exports.safeFilename(title, ext);
+  const ascii = name.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+};
+
+// Escape user input for use inside a RegExp / MongoDB $regex
+exports.escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 // Handle async/await errors in Express routes
 exports.asyncHandler = (fn) => (req, res, next) => {
   return Promise.resolve(fn(req, res, next)).catch(next);
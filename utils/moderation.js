@@ -0,0 +1,21 @@
+// Why a note can be reported, with the labels of the report dialog on /view/:id
+const REPORT_REASONS = exports.REPORT_REASONS = {
+  spam: 'Spam or advertising',
+  copyright: 'Copyright infringement',
+  offensive: 'Offensive or abusive',
+  other: 'Something else',
+};
+
+// What a moderator can do about a reported note (services/reportService.js)
+//   dismiss  the reports were unfounded; the note stays as it is
+//   hide     the note stays up at its link but is no longer listed (utils/visibility.js)
+//   delete   the note is deleted with its stored files
+const MODERATION_ACTIONS = exports.MODERATION_ACTIONS = {
+  dismiss: 'Dismiss',
+  hide: 'Hide from listings',
+  delete: 'Delete',
+};
+
+exports.isReportReason = (value) => Object.hasOwn(REPORT_REASONS, value);
+
+exports.isModerationAction = (value) => Object.hasOwn(MODERATION_ACTIONS, value);
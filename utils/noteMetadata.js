@@ -0,0 +1,74 @@
+const { tagsFromBody } = require('./tags');
+const { VISIBILITIES, isVisibility } = require('./visibility');
+
+// Editable note metadata (PATCH /api/notes/:id). File fields are changed by uploading
+// a new version instead.
+const MAX_TITLE_LENGTH = exports.MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = exports.MAX_DESCRIPTION_LENGTH = 2000;
+// Structured tag fields and the tag kind each one sets (utils/tags.js)
+const TAG_FIELD_KINDS = { subject: 'subject', courseCode: 'course', examType: 'exam' };
+
+function metadataError(message, code) {
+  return Object.assign(new Error(message), { status: 400, code });
+}
+
+// Single line, no control characters, inner whitespace collapsed
+const cleanLine = exports.cleanLine = (value) => {
+  return String(value).replace(/[\u0000-\u001f\u007f]+/g, ' ').replace(/\s+/g, ' ').trim();
+};
+
+// Control characters other than line breaks and tabs are dropped; line breaks are kept
+const cleanText = exports.cleanText = (value) => {
+  return String(value).replace(/\r\n?/g, '\n').replace(/[\u0000-\u0008\u000b-\u001f\u007f]+/g, '').trim();
+};
+
+// The changes a request body asks for: { title?, description?, tags?, visibility? }. Fields left out
+// of the body are left out of the result; unknown fields are ignored.
+// `tags` replaces all of the note's tags. Without it, `subject`, `courseCode` and `examType`
+// only replace the note's tag of that kind (an empty value removes it) and keep the rest of
+// `currentTags`.
+exports.metadataFromBody = (body = {}, currentTags = []) => {
+  const has = (field) => Object.prototype.hasOwnProperty.call(body, field);
+  const changes = {};
+
+  if (has('title')) {
+    if (typeof body.title !== 'string') throw metadataError('Title must be text', 'invalid_title');
+    const title = cleanLine(body.title);
+    if (!title) throw metadataError('Title cannot be empty', 'invalid_title');
+    if (title.length > MAX_TITLE_LENGTH) {
+      throw metadataError(`Title is too long (max ${MAX_TITLE_LENGTH} characters)`, 'invalid_title');
+    }
+    changes.title = title;
+  }
+
+  if (has('description')) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      throw metadataError('Description must be text', 'invalid_description');
+    }
+    const description = cleanText(body.description || '');
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      throw metadataError(`Description is too long (max ${MAX_DESCRIPTION_LENGTH} characters)`, 'invalid_description');
+    }
+    changes.description = description;
+  }
+
+  if (has('tags')) {
+    changes.tags = tagsFromBody(body);
+  } else if (Object.keys(TAG_FIELD_KINDS).some(has)) {
+    const kinds = Object.keys(TAG_FIELD_KINDS).filter(has).map(field => TAG_FIELD_KINDS[field]);
+    const kept = (currentTags || []).filter(tag => !kinds.some(kind => tag.startsWith(`${kind}:`)));
+    changes.tags = tagsFromBody({ ...body, tags: kept });
+  }
+
+  if (has('visibility')) {
+    if (!isVisibility(body.visibility)) {
+      throw metadataError(`Visibility must be one of ${VISIBILITIES.join(', ')}`, 'invalid_visibility');
+    }
+    changes.visibility = body.visibility;
+  }
+
+  if (!Object.keys(changes).length) {
+    throw metadataError('Nothing to update (expected title, description, tags or visibility)', 'no_changes');
+  }
+  return changes;
+};
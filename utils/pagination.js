@@ -0,0 +1,106 @@
+const { Types } = require('mongoose');
+
+// Cursor pagination for note listings. A cursor holds the sort value and _id of the
+// last note of a page (base64url JSON, opaque to clients), so the next page starts
+// right after it even while notes are being added; skip/limit would shift instead.
+
+// ?sort= keys. Every sort ends on _id, which breaks ties. Listings of other documents
+// (e.g. saved notes) pass their own table of the same shape as `sorts`.
+const SORTS = exports.SORTS = {
+  newest: { field: 'uploadedAt', dir: -1, type: 'date', label: 'Newest' },
+  oldest: { field: 'uploadedAt', dir: 1, type: 'date', label: 'Oldest' },
+  title: { field: 'title', dir: 1, type: 'string', label: 'Title', collation: { locale: 'en', strength: 2 } },
+  views: { field: 'viewCount', dir: -1, type: 'number', label: 'Most viewed' },
+  downloads: { field: 'downloadCount', dir: -1, type: 'number', label: 'Most downloaded' },
+  top: { field: 'rank', dir: -1, type: 'number', label: 'Top' },
+};
+const DEFAULT_SORT = exports.DEFAULT_SORT = 'newest';
+
+// ?period= of the top sort. A week or a month ranks the notes uploaded in it by their
+// time-decayed score (utils/ranking.js); all time ranks every note by net votes alone.
+const TOP_PERIODS = exports.TOP_PERIODS = {
+  week: { days: 7, label: 'This week' },
+  month: { days: 30, label: 'This month' },
+  all: { days: 0, label: 'All time' },
+};
+const DEFAULT_PERIOD = exports.DEFAULT_PERIOD = 'week';
+const ALL_TIME_SORTS = { ...SORTS, top: { ...SORTS.top, field: 'score' } };
+const MAX_LIMIT = exports.MAX_LIMIT = 100;
+
+function cursorError() {
+  return Object.assign(new Error('Invalid or expired cursor'), { status: 400, code: 'bad_cursor' });
+}
+
+// Known sort key, or the default
+exports.parseSort = (key) => {
+  return Object.prototype.hasOwnProperty.call(SORTS, key) ? key : DEFAULT_SORT;
+};
+
+// Known top period, or the default
+exports.parsePeriod = (key) => {
+  return Object.prototype.hasOwnProperty.call(TOP_PERIODS, key) ? key : DEFAULT_PERIOD;
+};
+
+// { filter, sorts } that narrow a listing to a top `period`; other sorts are left as they are
+exports.periodQuery = (sortKey, period = DEFAULT_PERIOD) => {
+  if (sortKey !== 'top') return { filter: {}, sorts: SORTS };
+  const { days } = TOP_PERIODS[exports.parsePeriod(period)];
+  if (!days) return { filter: {}, sorts: ALL_TIME_SORTS };
+  return { filter: { uploadedAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } }, sorts: SORTS };
+};
+
+exports.parseLimit = (value, fallback = 20) => {
+  return Math.min(Math.max(parseInt(value, 10) || fallback, 1), MAX_LIMIT);
+};
+
+exports.encodeCursor = (doc, sortKey, sorts = SORTS) => {
+  const value = doc[sorts[sortKey].field];
+  return Buffer.from(JSON.stringify([sortKey, value === undefined ? null : value, String(doc._id)])).toString('base64url');
+};
+
+// { value, id } of a cursor; a cursor only continues the sort it was made for
+exports.decodeCursor = (cursor, sortKey, sorts = SORTS) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    throw cursorError();
+  }
+  if (!Array.isArray(parsed) || parsed.length !== 3) throw cursorError();
+  const [key, raw, id] = parsed;
+  if (key !== sortKey || typeof id !== 'string' || !Types.ObjectId.isValid(id)) throw cursorError();
+
+  const { type } = sorts[sortKey];
+  let value = raw;
+  if (raw !== null) {
+    if (type === 'date') value = new Date(raw);
+    const valid = type === 'date' ? typeof raw === 'string' && !isNaN(value) : typeof raw === type;
+    if (!valid) throw cursorError();
+  }
+  return { value, id: new Types.ObjectId(id) };
+};
+
+// Notes that come after (value, id) when sorting on `field` in direction `dir`.
+// Missing values sort lowest: last when going down, first when going up.
+function afterCursor(field, dir, value, id) {
+  const op = dir < 0 ? '$lt' : '$gt';
+  const tie = { [field]: value, _id: { [op]: id } };
+  if (value === null) {
+    return dir < 0 ? tie : { $or: [tie, { [field]: { $ne: null } }] };
+  }
+  const after = [{ [field]: { [op]: value } }, tie];
+  if (dir < 0) after.push({ [field]: null });
+  return { $or: after };
+}
+
+// find() arguments for the page after `cursor`: { filter, sort, collation }
+exports.pageQuery = (filter, { sort: sortKey = DEFAULT_SORT, cursor, sorts = SORTS } = {}) => {
+  const { field, dir, collation } = sorts[sortKey];
+  let pageFilter = filter;
+  if (cursor) {
+    const { value, id } = exports.decodeCursor(cursor, sortKey, sorts);
+    const after = afterCursor(field, dir, value, id);
+    pageFilter = Object.keys(filter).length ? { $and: [filter, after] } : after;
+  }
+  return { filter: pageFilter, sort: { [field]: dir, _id: dir }, collation };
+};
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { run } = require('./poppler');
+const { MAX_UPLOAD_BYTES } = require('./uploads');
+
+// PDF ingest checks shared by every upload path: magic bytes, size, page count,
+// encryption, structural damage and active content (JavaScript / launch actions).
+//
+// MAX_PDF_PAGES       largest accepted page count (default 2000)
+// PDF_ACTIVE_CONTENT  what to do with scripts and launch actions:
+//                     strip (default) | flag | reject
+const MAX_PAGES = parseInt(process.env.MAX_PDF_PAGES, 10) || 2000;
+const POLICIES = ['strip', 'flag', 'reject'];
+const ACTIVE_CONTENT_POLICY = POLICIES.includes(process.env.PDF_ACTIVE_CONTENT)
+  ? process.env.PDF_ACTIVE_CONTENT
+  : 'strip';
+
+// Names that make a viewer run code or other programs, and the keys that fire them
+const ACTIVE_NAMES = new Set(['JavaScript', 'JS', 'Launch']);
+const TRIGGER_NAMES = new Set(['OpenAction', 'AA']);
+
+// A name token, or the `stream` keyword that starts binary data we must not parse
+const TOKEN_RE = /\/([^\s/<>[\]()%{}]*)|stream(?:\r\n|\n|\r)/g;
+const CARRY = 64;
+const MAX_OBJSTM_BYTES = 16 * 1024 * 1024;
+const MAX_OBJSTM_INFLATED = 64 * 1024 * 1024;
+
+// Errors carry the HTTP status and a machine-readable code for the upload UI
+function validationError(code, message, status = 422) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+// PDF names may hide characters as #xx escapes (e.g. /J#61vaScript)
+function decodeName(raw) {
+  return raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// Record what a name tells us about the document
+function visitName(state, name, offset, length) {
+  if (name === 'Encrypt') state.encrypted = true;
+  if (state.lastName === 'Type' && name === 'Page') state.pages++;
+  if (state.lastName === 'Type' && name === 'ObjStm') state.pendingObjStm = true;
+  if (ACTIVE_NAMES.has(name) || TRIGGER_NAMES.has(name)) state.names.push({ name, offset, length });
+  state.lastName = name;
+}
+
+// Scan text that holds no stream data (the inside of an inflated object stream)
+function scanPlain(text, state) {
+  const re = /\/([^\s/<>[\]()%{}]*)/g;
+  let m;
+  while ((m = re.exec(text))) {
+    visitName(state, decodeName(m[1]), -1, m[1].length);
+  }
+}
+
+// Walk the file once, outside of stream data, collecting names, page objects
+// and the byte ranges of compressed object streams
+async function scanFile(filePath) {
+  const state = {
+    header: false,
+    encrypted: false,
+    pages: 0,
+    names: [],
+    objStreams: [],
+    lastName: '',
+    pendingObjStm: false,
+  };
+  let inStream = false;
+  let streamStart = 0;
+  let streamIsObjStm = false;
+  let carry = '';
+  let carryOffset = 0;
+  let first = true;
+
+  for await (const chunk of fs.createReadStream(filePath, { highWaterMark: 64 * 1024 })) {
+    const text = carry + chunk.toString('latin1');
+    const base = carryOffset;
+    if (first) {
+      // The spec allows the header anywhere in the first 1024 bytes
+      state.header = text.slice(0, 1024).includes('%PDF-');
+      first = false;
+    }
+
+    let i = 0;
+    for (;;) {
+      if (inStream) {
+        const end = text.indexOf('endstream', i);
+        if (end === -1) {
+          i = Math.max(i, text.length - CARRY);
+          break;
+        }
+        if (streamIsObjStm) state.objStreams.push({ start: streamStart, end: base + end });
+        inStream = false;
+        i = end + 'endstream'.length;
+        continue;
+      }
+
+      TOKEN_RE.lastIndex = i;
+      const m = TOKEN_RE.exec(text);
+      // Wait for more data when a token may continue past this chunk
+      if (!m || m.index + m[0].length >= text.length - 1) {
+        i = m ? m.index : Math.max(i, text.length - CARRY);
+        break;
+      }
+      if (m[1] !== undefined) {
+        visitName(state, decodeName(m[1]), base + m.index + 1, m[1].length);
+      } else {
+        inStream = true;
+        streamStart = base + m.index + m[0].length;
+        streamIsObjStm = state.pendingObjStm;
+        state.pendingObjStm = false;
+      }
+      i = m.index + m[0].length;
+    }
+
+    carry = text.slice(i);
+    carryOffset = base + i;
+  }
+
+  // A trailing name with nothing after it is still a name
+  if (!inStream && carry) {
+    const m = /\/([^\s/<>[\]()%{}]*)$/.exec(carry);
+    if (m) visitName(state, decodeName(m[1]), carryOffset + m.index + 1, m[1].length);
+  }
+  return state;
+}
+
+// Inflate object streams (where modern writers put most objects) and scan them too.
+// Names found here cannot be neutralized in place, so they are reported separately.
+async function scanObjectStreams(filePath, state) {
+  const inner = { encrypted: false, pages: 0, names: [], objStreams: [], lastName: '', pendingObjStm: false };
+  const fd = await fs.promises.open(filePath, 'r');
+  try {
+    for (const { start, end } of state.objStreams) {
+      const length = Math.min(end - start, MAX_OBJSTM_BYTES);
+      if (length <= 0) continue;
+      const buf = Buffer.alloc(length);
+      await fd.read(buf, 0, length, start);
+      let inflated;
+      try {
+        inflated = zlib.inflateSync(buf, {
+          finishFlush: zlib.constants.Z_SYNC_FLUSH,
+          maxOutputLength: MAX_OBJSTM_INFLATED,
+        });
+      } catch {
+        continue; // not Flate-encoded, or damaged: nothing we can read
+      }
+      scanPlain(inflated.toString('latin1'), inner);
+    }
+  } finally {
+    await fd.close();
+  }
+  return inner;
+}
+
+// Header and trailer checks on the first and last kilobyte
+async function readTail(filePath, size) {
+  const length = Math.min(size, 1024);
+  const buf = Buffer.alloc(length);
+  const fd = await fs.promises.open(filePath, 'r');
+  try {
+    await fd.read(buf, 0, length, size - length);
+  } finally {
+    await fd.close();
+  }
+  return buf.toString('latin1');
+}
+
+// Exact page count from poppler when it is installed; null lets the caller fall back
+async function pdfinfoPages(filePath) {
+  try {
+    const out = await run('pdfinfo', [filePath]);
+    const m = /^Pages:\s+(\d+)/m.exec(out);
+    return m ? parseInt(m[1], 10) : 0;
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    const detail = String(err.stderr || err.message || '');
+    if (/password|encrypt/i.test(detail)) {
+      throw validationError('encrypted', 'Password-protected or encrypted PDFs are not supported');
+    }
+    throw validationError('corrupt', 'The PDF is damaged and cannot be read');
+  }
+}
+
+// Overwrite names with same-length filler so the xref offsets stay valid:
+// /JavaScript becomes /XXXXXXXXXX, which no viewer acts on
+async function neutralize(filePath, names) {
+  const fd = await fs.promises.open(filePath, 'r+');
+  try {
+    for (const { offset, length } of names) {
+      await fd.write(Buffer.alloc(length, 'X'), 0, length, offset);
+    }
+  } finally {
+    await fd.close();
+  }
+}
+
+// Validate a PDF on disk. Resolves with what was learned about it, or rejects
+// with an error carrying `status` and `code` (not_pdf, too_large, corrupt,
+// encrypted, too_many_pages, active_content).
+// Pass `strip: false` when the file cannot be rewritten (already in storage);
+// active content is then flagged instead.
+exports.validatePdfFile = async (filePath, { strip = true } = {}) => {
+  const { size } = await fs.promises.stat(filePath);
+  if (size > MAX_UPLOAD_BYTES) {
+    throw validationError('too_large', `File is too large (max ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB)`, 413);
+  }
+  if (size < 8) throw validationError('not_pdf', 'The file is not a PDF');
+
+  const state = await scanFile(filePath);
+  if (!state.header) throw validationError('not_pdf', 'The file is not a PDF');
+
+  const tail = await readTail(filePath, size);
+  if (!tail.includes('%%EOF') || !tail.includes('startxref')) {
+    throw validationError('corrupt', 'The PDF is damaged or incomplete');
+  }
+  if (state.encrypted) {
+    throw validationError('encrypted', 'Password-protected or encrypted PDFs are not supported');
+  }
+
+  const inner = await scanObjectStreams(filePath, state);
+  if (inner.encrypted) {
+    throw validationError('encrypted', 'Password-protected or encrypted PDFs are not supported');
+  }
+
+  const infoPages = await pdfinfoPages(filePath);
+  const pageCount = infoPages === null ? state.pages + inner.pages : infoPages;
+  if (!pageCount) throw validationError('corrupt', 'The PDF has no readable pages');
+  if (pageCount > MAX_PAGES) {
+    throw validationError('too_many_pages', `The PDF has ${pageCount} pages (max ${MAX_PAGES})`);
+  }
+
+  const all = [...state.names, ...inner.names];
+  const hasActive = all.some(n => ACTIVE_NAMES.has(n.name));
+  const activeContent = hasActive ? [...new Set(all.map(n => n.name))] : [];
+  let sanitized = false;
+  let flagged = false;
+
+  if (hasActive) {
+    if (ACTIVE_CONTENT_POLICY === 'reject') {
+      throw validationError('active_content', `PDFs with embedded scripts or launch actions are not accepted (${activeContent.join(', ')})`);
+    }
+    if (ACTIVE_CONTENT_POLICY === 'strip' && strip) {
+      await neutralize(filePath, state.names);
+      sanitized = state.names.length > 0;
+      // Anything inside compressed object streams is still there
+      flagged = inner.names.some(n => ACTIVE_NAMES.has(n.name));
+    } else {
+      flagged = true;
+    }
+  }
+
+  return { pageCount, activeContent, sanitized, flagged };
+};
+
+exports.MAX_PAGES = MAX_PAGES;
@@ -0,0 +1,58 @@
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// pdf-poppler ships static binaries for macOS and Windows only, and calls
+// process.exit() when required on any other platform. Elsewhere we rely on
+// poppler-utils being installed and on the PATH.
+let popplerPath = null;
+function binary(name) {
+  if (popplerPath === null) {
+    popplerPath = ['darwin', 'win32'].includes(os.platform())
+      ? require('pdf-poppler').path
+      : '';
+  }
+  return popplerPath ? path.join(popplerPath, name) : name;
+}
+
+// Run a poppler tool and resolve with its stdout
+exports.run = (tool, args, { maxBuffer = 5000 * 1024 } = {}) => {
+  return new Promise((resolve, reject) => {
+    execFile(binary(tool), args, { encoding: 'utf8', maxBuffer, shell: false }, (err, stdout, stderr) => {
+      if (err) return reject(Object.assign(err, { stderr }));
+      resolve(stdout);
+    });
+  });
+};
+
+// Render one page of a PDF to `<outPrefix>.png`, scaled to `width` pixels wide
+exports.renderPage = async (pdfPath, outPrefix, { page = 1, width = 600 } = {}) => {
+  await exports.run('pdftocairo', [
+    '-png',
+    '-f', String(page),
+    '-l', String(page),
+    '-singlefile',
+    '-scale-to-x', String(width),
+    '-scale-to-y', '-1',
+    pdfPath,
+    outPrefix,
+  ]);
+  return `${outPrefix}.png`;
+};
+
+// Text of every page of a PDF, page 1 first, with whitespace collapsed. Pages past
+// `maxChars` of text in total are dropped.
+exports.extractText = async (pdfPath, { maxChars = Infinity } = {}) => {
+  // pdftotext ends every page with a form feed
+  const out = await exports.run('pdftotext', ['-enc', 'UTF-8', '-q', pdfPath, '-'], { maxBuffer: 64 * 1024 * 1024 });
+  const pages = [];
+  let total = 0;
+  for (const raw of out.split('\f')) {
+    const text = raw.replace(/\s+/g, ' ').trim();
+    if (total + text.length > maxChars) break;
+    total += text.length;
+    pages.push(text);
+  }
+  while (pages.length && !pages[pages.length - 1]) pages.pop();
+  return pages;
+};
@@ -0,0 +1,26 @@
+// Time-decayed ranking of notes by their votes, for the "top" sort (utils/pagination.js).
+// A note's rank is the order of magnitude of its net votes plus its upload time, so a
+// new note starts above an older one with the same score and older notes have to keep
+// earning votes to stay up: ten times the net votes make up for a week of age. The
+// rank only changes when a vote does, so it is stored and indexed like any other sort
+// field and nothing has to be recomputed as time passes.
+const TENFOLD_SECONDS = exports.TENFOLD_SECONDS = 7 * 24 * 60 * 60;
+
+exports.rankFor = (score, uploadedAt) => {
+  const order = Math.log10(Math.max(Math.abs(score), 1));
+  return Math.sign(score) * order + new Date(uploadedAt).getTime() / 1000 / TENFOLD_SECONDS;
+};
+
+// The same as an aggregation expression over a note's `score` and `uploadedAt`, for
+// pipeline updates that change the vote counters (legacy notes fall back on their _id)
+exports.RANK_EXPRESSION = {
+  $add: [
+    {
+      $multiply: [
+        { $cmp: [{ $ifNull: ['$score', 0] }, 0] },
+        { $log10: { $max: [{ $abs: { $ifNull: ['$score', 0] } }, 1] } },
+      ],
+    },
+    { $divide: [{ $toLong: { $ifNull: ['$uploadedAt', { $toDate: '$_id' }] } }, 1000 * TENFOLD_SECONDS] },
+  ],
+};
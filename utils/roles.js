@@ -0,0 +1,13 @@
+// Account roles, each including the ones before it:
+// - user:      everyone
+// - moderator: also works the report queue (/moderation)
+// - admin:     also runs /admin and may manage any note, comment or collection
+const ROLES = exports.ROLES = ['user', 'moderator', 'admin'];
+exports.DEFAULT_ROLE = 'user';
+
+exports.isRole = (value) => ROLES.includes(value);
+
+// Whether the session user has `role` or a higher one
+exports.hasRole = (user, role) => {
+  return Boolean(user) && ROLES.indexOf(user.role || exports.DEFAULT_ROLE) >= ROLES.indexOf(role);
+};
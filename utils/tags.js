@@ -0,0 +1,64 @@
+// Note tags are short lowercase strings. Structured tags carry a kind prefix
+// ("subject:physics", "course:cs-101", "exam:midterm"); anything else is a
+// free-form label ("handwritten", "solutions").
+const KINDS = exports.KINDS = ['subject', 'course', 'exam'];
+// Offered in the upload form; other exam types are accepted too
+exports.EXAM_TYPES = ['midterm', 'final', 'quiz', 'assignment', 'lab', 'practice'];
+const MAX_TAGS = exports.MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+function tagError(message, code) {
+  return Object.assign(new Error(message), { status: 400, code });
+}
+
+// Lowercase, dash-separated value; letters, digits and + # . & survive ("c++", "c#")
+function normalizeValue(value) {
+  return String(value || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}+#.&-]+/gu, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^[-.]+|[-.]+$/g, '');
+}
+
+// "Subject: Quantum Physics" -> "subject:quantum-physics"; null when nothing is left
+exports.normalizeTag = (raw) => {
+  const text = String(raw || '').trim();
+  const m = /^([a-z]+)\s*:\s*(.*)$/i.exec(text);
+  const kind = m && KINDS.includes(m[1].toLowerCase()) ? m[1].toLowerCase() : null;
+  const value = normalizeValue(kind ? m[2] : text);
+  if (!value) return null;
+  const tag = kind ? `${kind}:${value}` : value;
+  return tag.length > MAX_TAG_LENGTH ? null : tag;
+};
+
+function splitList(value) {
+  if (Array.isArray(value)) return value.flatMap(splitList);
+  if (typeof value !== 'string') return [];
+  return value.split(',');
+}
+
+// Tags from a request body: `tags` (array or comma-separated) plus the structured
+// `subject`, `courseCode` and `examType` fields of the upload form
+exports.tagsFromBody = (body = {}) => {
+  const raw = splitList(body.tags);
+  if (body.subject) raw.push(`subject:${body.subject}`);
+  if (body.courseCode) raw.push(`course:${body.courseCode}`);
+  if (body.examType) raw.push(`exam:${body.examType}`);
+  const tags = [...new Set(raw.map(exports.normalizeTag).filter(Boolean))];
+  if (tags.length > MAX_TAGS) throw tagError(`A note can have at most ${MAX_TAGS} tags`, 'too_many_tags');
+  return tags;
+};
+
+// Tags selected in a query string (?tag=a&tag=b or ?tags=a,b)
+exports.tagsFromQuery = (query = {}) => {
+  return [...new Set(splitList([].concat(query.tag || [], query.tags || [])).map(exports.normalizeTag).filter(Boolean))];
+};
+
+// How a tag is shown: { kind: 'course' | ... | null, label: 'CS-101' }
+exports.describeTag = (tag) => {
+  const i = tag.indexOf(':');
+  const kind = i > 0 && KINDS.includes(tag.slice(0, i)) ? tag.slice(0, i) : null;
+  const value = kind ? tag.slice(i + 1) : tag;
+  return { kind, label: kind === 'course' ? value.toUpperCase() : value.replace(/-/g, ' ') };
+};
@@ -0,0 +1,57 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+// Upload limits and scratch space shared by the multipart routes and resumable uploads
+const MB = 1024 * 1024;
+
+exports.MAX_UPLOAD_BYTES = Math.round((parseFloat(process.env.MAX_UPLOAD_MB) || 200) * MB);
+
+// Files accepted by one bulk upload, counting the PDFs inside ZIP archives
+exports.MAX_BULK_FILES = parseInt(process.env.MAX_BULK_FILES, 10) || 50;
+
+// Stay under the ~4.5 MB request body limit of serverless hosts by default
+exports.CHUNK_SIZE = Math.round((parseFloat(process.env.UPLOAD_CHUNK_MB) || 4) * MB);
+
+// Must be shared by every app instance when resumable uploads run behind a load balancer
+exports.TMP_DIR = path.resolve(process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'cloudnotes-uploads'));
+
+exports.ensureTmpDir = async () => {
+  await fs.promises.mkdir(exports.TMP_DIR, { recursive: true });
+  return exports.TMP_DIR;
+};
+
+// Best-effort removal of a temp file; missing files are fine
+exports.removeTempFile = async (filePath) => {
+  if (!filePath) return;
+  try {
+    await fs.promises.rm(filePath, { force: true });
+  } catch (err) {
+    console.error('Temp file cleanup error:', filePath, err.message);
+  }
+};
+
+// Pass-through stream that fails with `makeError()` once more than `maxBytes` went through
+exports.limitBytes = (maxBytes, makeError) => {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      seen += chunk.length;
+      if (seen > maxBytes) return callback(makeError());
+      callback(null, chunk);
+    },
+  });
+};
+
+// Hex SHA-256 of a file on disk, used to recognise re-uploads of the same PDF
+exports.sha256File = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+};
@@ -0,0 +1,29 @@
+// Who can see a note:
+// - public:   listed everywhere (/read, profiles, search, tag cloud)
+// - unlisted: not listed, but anyone with the /view/:id link can open it
+// - private:  only the owner
+// Notes from before visibility existed have no field and count as public.
+// Moderators can also hide a public note (`hidden`): it stays up at its link but is no
+// longer listed anywhere.
+const VISIBILITIES = exports.VISIBILITIES = ['public', 'unlisted', 'private'];
+exports.DEFAULT_VISIBILITY = 'public';
+
+exports.isVisibility = (value) => VISIBILITIES.includes(value);
+
+exports.isListed = (note) => (!note.visibility || note.visibility === 'public') && !note.hidden;
+
+// Filter for notes that may appear in listings
+exports.listedQuery = () => ({ visibility: { $nin: ['unlisted', 'private'] }, hidden: { $ne: true } });
+
+// Filter for notes `user` may open: everything but other people's private notes
+exports.viewableQuery = (user) => {
+  const notPrivate = { visibility: { $ne: 'private' } };
+  return user ? { $or: [notPrivate, { uploader: user.id }] } : notPrivate;
+};
+
+// Filter for notes shown to `user` in a list someone put together (a collection): the
+// ones they may open, minus the ones a moderator hid, unless they are the user's own
+exports.curatedQuery = (user) => {
+  const shown = { visibility: { $ne: 'private' }, hidden: { $ne: true } };
+  return user ? { $or: [shown, { uploader: user.id }] } : shown;
+};
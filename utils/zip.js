@@ -0,0 +1,262 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable, PassThrough, Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { limitBytes } = require('./uploads');
+
+// Minimal ZIP support without a dependency:
+// - reader for bulk uploads: entries are listed from the central directory and extracted
+//   one at a time to disk. Stored and deflated entries are supported; ZIP64 and encrypted
+//   entries are not.
+// - streaming writer for bulk downloads (ZipWriter)
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+// Bit 3: sizes and CRC follow the data; bit 11: UTF-8 names
+const WRITER_FLAGS = 0x0808;
+const MAX_ZIP_OFFSET = 0xffffffff;
+
+function zipError(message, code = 'bad_zip', status = 422) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+async function readAt(fh, position, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await fh.read(buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+// True when the file starts like a ZIP archive (local header, or an empty archive)
+exports.isZipFile = async (filePath) => {
+  const fh = await fs.promises.open(filePath, 'r');
+  try {
+    const head = await readAt(fh, 0, 4);
+    if (head.length < 4) return false;
+    const sig = head.readUInt32LE(0);
+    return sig === LOCAL_HEADER || sig === END_OF_CENTRAL_DIR;
+  } finally {
+    await fh.close();
+  }
+};
+
+// Entries from the central directory: { name, size, compressedSize, method, encrypted, directory, offset }
+exports.listZipEntries = async (zipPath) => {
+  const fh = await fs.promises.open(zipPath, 'r');
+  try {
+    const { size } = await fh.stat();
+    // The end record sits in the last 22 bytes plus an optional comment of up to 64 KB
+    const tail = await readAt(fh, Math.max(0, size - 22 - 0xffff), Math.min(size, 22 + 0xffff));
+    let end = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIR) { end = i; break; }
+    }
+    if (end < 0) throw zipError('The archive is damaged or not a ZIP file');
+
+    const count = tail.readUInt16LE(end + 10);
+    const dirSize = tail.readUInt32LE(end + 12);
+    const dirOffset = tail.readUInt32LE(end + 16);
+    if (count === 0xffff || dirOffset === 0xffffffff) {
+      throw zipError('ZIP64 archives are not supported', 'unsupported_zip');
+    }
+    if (dirOffset + dirSize > size) throw zipError('The archive is damaged or not a ZIP file');
+
+    const dir = await readAt(fh, dirOffset, dirSize);
+    const entries = [];
+    let p = 0;
+    for (let i = 0; i < count; i++) {
+      if (p + 46 > dir.length || dir.readUInt32LE(p) !== CENTRAL_HEADER) {
+        throw zipError('The archive is damaged or not a ZIP file');
+      }
+      const flags = dir.readUInt16LE(p + 8);
+      const nameLength = dir.readUInt16LE(p + 28);
+      const extraLength = dir.readUInt16LE(p + 30);
+      const commentLength = dir.readUInt16LE(p + 32);
+      // Bit 11: UTF-8 names; older tools write their code page, latin1 is the closest guess
+      const name = dir.subarray(p + 46, p + 46 + nameLength).toString(flags & 0x800 ? 'utf8' : 'latin1');
+      entries.push({
+        name,
+        method: dir.readUInt16LE(p + 10),
+        compressedSize: dir.readUInt32LE(p + 20),
+        size: dir.readUInt32LE(p + 24),
+        encrypted: Boolean(flags & 0x1),
+        directory: name.endsWith('/'),
+        offset: dir.readUInt32LE(p + 42),
+      });
+      p += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  } finally {
+    await fh.close();
+  }
+};
+
+// Write one entry's contents to `destPath`, failing once more than `maxBytes` come out
+// (the sizes in the archive are not trusted)
+exports.extractZipEntry = async (zipPath, entry, destPath, { maxBytes = Infinity } = {}) => {
+  if (entry.encrypted) throw zipError('Encrypted ZIP entries are not supported', 'encrypted');
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw zipError(`Unsupported ZIP compression method (${entry.method})`, 'unsupported_zip');
+  }
+
+  const fh = await fs.promises.open(zipPath, 'r');
+  let start;
+  try {
+    const header = await readAt(fh, entry.offset, 30);
+    if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_HEADER) {
+      throw zipError('The archive is damaged or not a ZIP file');
+    }
+    start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  } finally {
+    await fh.close();
+  }
+
+  const tooLarge = () => zipError(`${entry.name} is too large (max ${Math.round(maxBytes / 1024 / 1024)} MB)`, 'too_large', 413);
+  if (entry.size > maxBytes) throw tooLarge();
+
+  const stages = [entry.compressedSize > 0
+    ? fs.createReadStream(zipPath, { start, end: start + entry.compressedSize - 1 })
+    : Readable.from([])];
+  if (entry.method === 8) stages.push(zlib.createInflateRaw());
+  stages.push(limitBytes(maxBytes, tooLarge));
+  stages.push(fs.createWriteStream(destPath));
+
+  try {
+    await pipeline(...stages);
+  } catch (err) {
+    if (err.code === 'too_large') throw err;
+    if (err.code && String(err.code).startsWith('Z_')) throw zipError(`${entry.name} is damaged`);
+    throw err;
+  }
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields (local time, 2-second precision, 1980 at the earliest)
+function dosDateTime(date) {
+  const d = date instanceof Date && !isNaN(date) && date.getFullYear() >= 1980 ? date : new Date(1980, 0, 1);
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+// Writes a ZIP archive to `writer.stream` one entry at a time. Each entry is deflated
+// on the fly and its CRC and sizes go into a data descriptor after the data, so neither
+// the files nor the archive are ever held in memory. Archives are limited to 4 GB
+// (no ZIP64).
+class ZipWriter {
+  constructor() {
+    this.stream = new PassThrough();
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  async write(buf) {
+    if (this.offset + buf.length > MAX_ZIP_OFFSET) {
+      throw zipError('The archive would be larger than 4 GB', 'too_large', 413);
+    }
+    if (this.stream.destroyed) throw new Error('ZIP stream closed');
+    this.offset += buf.length;
+    if (this.stream.write(buf)) return;
+    // Wait for the reader, but don't hang when it goes away (e.g. the download is cancelled)
+    await new Promise((resolve, reject) => {
+      const onDrain = () => { this.stream.off('close', onClose); resolve(); };
+      const onClose = () => { this.stream.off('drain', onDrain); reject(new Error('ZIP stream closed')); };
+      this.stream.once('drain', onDrain).once('close', onClose);
+    });
+  }
+
+  // `source` is a Buffer, a string or a readable stream
+  async addEntry(name, source, { date = new Date() } = {}) {
+    const nameBuf = Buffer.from(name, 'utf8');
+    const { time, date: day } = dosDateTime(date);
+    const offset = this.offset;
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_HEADER, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(WRITER_FLAGS, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(day, 12);
+    header.writeUInt16LE(nameBuf.length, 26);
+    await this.write(Buffer.concat([header, nameBuf]));
+
+    let crc = 0;
+    let size = 0;
+    let compressedSize = 0;
+    const input = typeof source === 'string' || Buffer.isBuffer(source)
+      ? Readable.from([Buffer.from(source)])
+      : source;
+    await pipeline(
+      input,
+      new Transform({
+        transform(chunk, encoding, callback) {
+          crc = crc32(chunk, crc);
+          size += chunk.length;
+          callback(null, chunk);
+        },
+      }),
+      zlib.createDeflateRaw(),
+      new Writable({
+        write: (chunk, encoding, callback) => {
+          compressedSize += chunk.length;
+          this.write(chunk).then(() => callback(), callback);
+        },
+      })
+    );
+    if (size > MAX_ZIP_OFFSET) throw zipError(`${name} is larger than 4 GB`, 'too_large', 413);
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(DATA_DESCRIPTOR, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(compressedSize, 8);
+    descriptor.writeUInt32LE(size, 12);
+    await this.write(descriptor);
+
+    this.entries.push({ nameBuf, time, day, crc, size, compressedSize, offset });
+  }
+
+  // Write the central directory and end the stream
+  async finish() {
+    const dirOffset = this.offset;
+    for (const entry of this.entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(CENTRAL_HEADER, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(WRITER_FLAGS, 8);
+      record.writeUInt16LE(8, 10);
+      record.writeUInt16LE(entry.time, 12);
+      record.writeUInt16LE(entry.day, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBuf.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      await this.write(Buffer.concat([record, entry.nameBuf]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIR, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - dirOffset, 12);
+    end.writeUInt32LE(dirOffset, 16);
+    await this.write(end);
+    this.stream.end();
+  }
+}
+
+exports.ZipWriter = ZipWriter;